@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * お申込みデータの保存（MySQL）
+ *
+ * テーブルは初回アクセス時に作成する。申込データ本体はJSONのまま保存し、
+ * 受付番号と申込ID（requestId）で検索できるようにしている。
+ */
+final class ApplicationRepository
+{
+    /** MySQL の一意キー違反のエラー番号 */
+    private const DUPLICATE_KEY = 1062;
+
+    public function __construct(private readonly PDO $pdo)
+    {
+        $this->pdo->exec(<<<'SQL'
+            CREATE TABLE IF NOT EXISTS applications (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                receipt_number VARCHAR(32) NULL UNIQUE,
+                request_id VARCHAR(64) NOT NULL UNIQUE,
+                payload JSON NOT NULL,
+                created_at DATETIME NOT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            SQL);
+    }
+
+    /**
+     * 同じ申込IDで受付済みなら受付番号を返す（再送信時の二重登録防止）
+     */
+    public function findReceiptNumber(string $requestId): ?string
+    {
+        $stmt = $this->pdo->prepare('SELECT receipt_number FROM applications WHERE request_id = ?');
+        $stmt->execute([$requestId]);
+        $receiptNumber = $stmt->fetchColumn();
+        return $receiptNumber === false ? null : $receiptNumber;
+    }
+
+    /**
+     * 申込データを保存し、受付番号を発行する
+     * 同じ申込IDの再送信が同時に届いて先に保存されていた場合は、保存済みの受付番号を返す
+     */
+    public function save(array $application): string
+    {
+        $now = new DateTimeImmutable('now', new DateTimeZone('Asia/Tokyo'));
+
+        $this->pdo->beginTransaction();
+        try {
+            $stmt = $this->pdo->prepare('INSERT INTO applications (request_id, payload, created_at) VALUES (?, ?, ?)');
+            $stmt->execute([
+                $application['requestId'],
+                json_encode($application, JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR),
+                $now->format('Y-m-d H:i:s'),
+            ]);
+            $id = (int) $this->pdo->lastInsertId();
+
+            // 受付番号: NF-受付日-連番
+            $receiptNumber = sprintf('NF-%s-%06d', $now->format('Ymd'), $id);
+            $this->pdo->prepare('UPDATE applications SET receipt_number = ? WHERE id = ?')->execute([$receiptNumber, $id]);
+
+            $this->pdo->commit();
+        } catch (Throwable $e) {
+            $this->pdo->rollBack();
+            if ($e instanceof PDOException && (int) ($e->errorInfo[1] ?? 0) === self::DUPLICATE_KEY) {
+                $receiptNumber = $this->findReceiptNumber($application['requestId']);
+                if ($receiptNumber !== null) {
+                    return $receiptNumber;
+                }
+            }
+            throw $e;
+        }
+        return $receiptNumber;
+    }
+}
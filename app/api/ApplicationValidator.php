@@ -0,0 +1,238 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * お申込みデータの検証
+ *
+ * 画面側（formValidation.js）と同じ形式チェックに加え、選択グループの回答が
+ * 画面の選択肢にある値かどうかを確認する。
+ */
+final class ApplicationValidator
+{
+    /** 選択グループごとの選択肢（index.html の data-value と合わせる） */
+    private const CHOICES = [
+        'mail_optin' => ['yes', 'no'],
+        'contract_doc_method' => ['yes', 'no'],
+        'contact_time' => ['weekday_am', 'weekday_pm', 'holiday_am', 'holiday_pm'],
+        'payment_method' => ['credit', 'bank_debit'],
+        'service_address_relation' => ['same', 'different'],
+        'ntt_holder_relation' => ['same', 'different'],
+        'relation_with_holder' => ['family', 'other'],
+        'internet_usage' => ['not_using', 'using_other'],
+        'current_network' => [
+            'au_hikari', 'cable_tv', 'nuro', 'commufa', 'eo_hikari', 'other', 'flets_family', 'collabo', 'home_mobile_router',
+        ],
+        'applicant_region' => ['east', 'west'],
+        'applicant_region2' => ['east', 'west'],
+        'residence_type' => ['detached_owner', 'detached_rent', 'apartment_condo', 'apartment_rent'],
+        'residence_type2' => ['detached_owner', 'detached_rent', 'apartment_condo', 'apartment_rent'],
+        'nifty_price_plan' => ['3y_n', '2y_n'],
+        'housing_plan' => ['home', 'mansion'],
+        'apply_hikari10g' => ['apply', 'declined'],
+        'apply_phone' => ['apply', 'declined'],
+        'apply_tv' => ['apply', 'declined'],
+    ];
+
+    /**
+     * 選択肢が郵便番号で変わる選択グループの形式（postalLookup.js の buildChomeOptions と合わせる）
+     * 丁目の数字（丁目なしは 0）、複数の町がある郵便番号は "町の番号-丁目"、該当なしは none
+     */
+    private const CHOICE_PATTERNS = [
+        'address_chome' => '/^(?:(?:\d{1,2}-)?\d{1,2}|none)$/',
+        'address_chome2' => '/^(?:(?:\d{1,2}-)?\d{1,2}|none)$/',
+    ];
+
+    /** 提供可否を判定するサービス → 申込しない場合の回答名（serviceAvailability.js の AVAILABILITY_CONFIG.services と合わせる） */
+    private const SERVICES = [
+        'service_hikari10g' => 'apply_hikari10g',
+        'service_phone' => 'apply_phone',
+        'service_tv' => 'apply_tv',
+    ];
+
+    /** 必ず回答が必要な選択グループ */
+    private const REQUIRED_CHOICES = ['payment_method', 'nifty_price_plan', 'housing_plan'];
+
+    public function __construct(private readonly PriceTable $prices)
+    {
+    }
+
+    /**
+     * @return string[] エラーメッセージ（問題がなければ空）
+     */
+    public function validate(array $application): array
+    {
+        $errors = [];
+
+        if (!is_string($application['requestId'] ?? null) || !preg_match('/^[\w-]{8,64}$/', $application['requestId'])) {
+            $errors[] = '申込IDが正しくありません';
+        }
+
+        $choices = is_array($application['choices'] ?? null) ? $application['choices'] : [];
+        foreach (self::REQUIRED_CHOICES as $group) {
+            if (($choices[$group] ?? null) === null) {
+                $errors[] = "{$group} が未回答です";
+            }
+        }
+        foreach ($choices as $group => $value) {
+            if ($value === null) {
+                continue;
+            }
+            if (isset(self::CHOICE_PATTERNS[$group])) {
+                if (!is_string($value) || !preg_match(self::CHOICE_PATTERNS[$group], $value)) {
+                    $errors[] = "{$group} の回答が正しくありません";
+                }
+            } elseif (!isset(self::CHOICES[$group])) {
+                $errors[] = "{$group} は不明な選択グループです";
+            } elseif (!in_array($value, self::CHOICES[$group], true)) {
+                $errors[] = "{$group} の回答が正しくありません";
+            }
+        }
+
+        $applicant = $application['applicant'] ?? [];
+        $this->checkName($errors, $applicant['nameKana'] ?? null, 'お申込者名（カナ）', true, '/^[ァ-ヶー]+$/u');
+        $this->checkName($errors, $applicant['nameKanji'] ?? null, 'お申込者名（漢字）', true, null);
+        $this->checkPattern($errors, $applicant['zip'] ?? null, '/^\d{7}$/', 'お申込者の郵便番号');
+        $this->checkPattern($errors, $applicant['birthDate'] ?? null, '/^\d{4}-\d{2}-\d{2}$/', '生年月日');
+        $this->checkPattern($errors, $applicant['phone'] ?? null, '/^\d{2,4}-\d{2,4}-\d{3,4}$/', '電話番号');
+
+        $holder = $application['holder'] ?? [];
+        $this->checkName($errors, $holder['nameKana'] ?? null, '回線名義人名（カナ）', false, '/^[ァ-ヶー]+$/u');
+        $this->checkName($errors, $holder['nameKanji'] ?? null, '回線名義人名（漢字）', false, '/^[^\x00-\x7F\x{FF61}-\x{FF9F}]+$/u');
+
+        $transfer = $application['transfer'] ?? [];
+        $this->checkPattern($errors, $transfer['approvalNumber'] ?? null, '/^[ECD]\d{10}$/', '転用承諾番号');
+        $this->checkPattern($errors, $transfer['carrierChangeNumber'] ?? null, '/^[FCD]\d{10}$/', '事業者変更承諾番号');
+
+        $this->checkPattern($errors, $application['install']['zip'] ?? null, '/^\d{7}$/', '設置先の郵便番号');
+        $this->checkPattern($errors, $application['entryCode'] ?? null, '/^[\w-]{1,32}$/', '従業員ID');
+
+        $this->checkServices($errors, $application['services'] ?? null, $application['staff']['overrides'] ?? [], $choices);
+        $this->checkQuote($errors, $application['quote'] ?? null, $choices);
+
+        return $errors;
+    }
+
+    /**
+     * サービスの提供可否の判定結果（すべてのサービスを判定していること、ご利用できないサービスは申込しないになっていること、
+     * 申込するかどうかが説明ページの回答と一致すること、従業員が決めた結果は従業員の変更と一致すること）
+     */
+    private function checkServices(array &$errors, mixed $services, mixed $overrides, array $choices): void
+    {
+        if ($services === null) {
+            $errors[] = 'サービスの提供可否の判定結果がありません';
+            return;
+        }
+        $results = is_array($services) && is_array($services['results'] ?? null) ? $services['results'] : null;
+        if ($results === null) {
+            $errors[] = 'サービスの提供可否の形式が正しくありません';
+            return;
+        }
+        foreach (array_keys(self::SERVICES) as $field) {
+            if (!array_key_exists($field, $results)) {
+                $errors[] = "{$field} の提供可否の判定結果がありません";
+            }
+        }
+        $staffValues = [];
+        foreach (is_array($overrides) ? $overrides : [] as $override) {
+            if (is_array($override) && is_string($override['field'] ?? null)) {
+                $staffValues[$override['field']] = $override['value'] ?? null;
+            }
+        }
+        foreach ($results as $field => $result) {
+            if (!isset(self::SERVICES[$field])) {
+                $errors[] = "{$field} は不明なサービスです";
+                continue;
+            }
+            $availability = is_array($result) ? ($result['availability'] ?? null) : null;
+            $source = is_array($result) ? ($result['source'] ?? null) : null;
+            $apply = is_array($result) ? ($result['apply'] ?? null) : null;
+            if (!in_array($availability, ['available', 'unavailable'], true) || !in_array($source, ['table', 'staff'], true)
+                || !in_array($apply, [null, 'apply', 'declined'], true)) {
+                $errors[] = "{$field} の提供可否の形式が正しくありません";
+            } elseif ($availability === 'unavailable' && $apply !== 'declined') {
+                $errors[] = "{$field} はご利用できないため申込しないにする必要があります";
+            } elseif (($choices[self::SERVICES[$field]] ?? null) !== $apply) {
+                $errors[] = "{$field} の申込の回答が説明ページの回答と一致しません";
+            } elseif ($source === 'staff' && ($staffValues[$field] ?? null) !== $availability) {
+                $errors[] = "{$field} の提供可否が従業員の変更と一致しません";
+            }
+        }
+    }
+
+    /**
+     * 料金プランの試算（pricing.js の calculateQuote）が回答した料金プラン・住居タイプ・お支払い方法のものであり、
+     * 試算した版の料金表で試算し直した金額と一致すること
+     */
+    private function checkQuote(array &$errors, mixed $quote, array $choices): void
+    {
+        if ($quote === null) {
+            return;
+        }
+        if (!is_array($quote)) {
+            $errors[] = '料金プランの試算の形式が正しくありません';
+            return;
+        }
+        $answers = ['plan' => 'nifty_price_plan', 'housingPlan' => 'housing_plan', 'paymentMethod' => 'payment_method'];
+        foreach ($answers as $key => $group) {
+            if (($quote[$key] ?? null) !== ($choices[$group] ?? null)) {
+                $errors[] = "料金プランの試算の {$key} が回答（{$group}）と一致しません";
+                return;
+            }
+        }
+        $plan = $quote['plan'] ?? null;
+        $housingPlan = $quote['housingPlan'] ?? null;
+        $paymentMethod = $quote['paymentMethod'] ?? null;
+        if (!is_string($plan) || !is_string($housingPlan) || !(is_string($paymentMethod) || $paymentMethod === null)) {
+            $errors[] = '料金プランの試算の形式が正しくありません';
+            return;
+        }
+        $version = $quote['version'] ?? null;
+        if (!is_string($version) || !$this->prices->has($version)) {
+            $errors[] = '料金プランの試算の料金表の版（version）が料金表にありません';
+            return;
+        }
+        $expected = $this->prices->quote($version, $plan, $housingPlan, $paymentMethod);
+        if ($expected === null) {
+            $errors[] = "料金プランの試算の料金プラン・住居タイプが料金表（{$version}）にありません";
+            return;
+        }
+        foreach (['term', 'monthlyFee', 'paymentFee', 'firstMonth', 'initialFee', 'firstYearTotal', 'cancellationFee'] as $key) {
+            if (($quote[$key] ?? null) !== $expected[$key]) {
+                $errors[] = "料金プランの試算の {$key} が料金表（{$version}）と一致しません";
+            }
+        }
+        $campaignIds = static fn (mixed $campaigns): array => is_array($campaigns) ? array_map(static fn ($c) => is_array($c) ? ($c['id'] ?? null) : null, $campaigns) : [];
+        if ($campaignIds($quote['campaigns'] ?? null) !== $campaignIds($expected['campaigns'])) {
+            $errors[] = "料金プランの試算のキャンペーンが料金表（{$version}）と一致しません";
+        }
+    }
+
+    private function checkPattern(array &$errors, mixed $value, string $pattern, string $label): void
+    {
+        if ($value === null) {
+            return;
+        }
+        if (!is_string($value) || !preg_match($pattern, $value)) {
+            $errors[] = "{$label}の形式が正しくありません";
+        }
+    }
+
+    private function checkName(array &$errors, mixed $name, string $label, bool $required, ?string $pattern): void
+    {
+        $family = is_array($name) ? ($name['family'] ?? null) : null;
+        $given = is_array($name) ? ($name['given'] ?? null) : null;
+        if ($family === null && $given === null) {
+            if ($required) {
+                $errors[] = "{$label}が入力されていません";
+            }
+            return;
+        }
+        foreach ([$family, $given] as $part) {
+            if (!is_string($part) || $part === '' || mb_strlen($part) > 50 || ($pattern && !preg_match($pattern, $part))) {
+                $errors[] = "{$label}の形式が正しくありません";
+                return;
+            }
+        }
+    }
+}
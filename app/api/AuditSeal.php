@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 監査ログの封印（MySQL）
+ *
+ * 監査ログのハッシュの連鎖には鍵がないため、画面側で記録を書き換えてから連鎖を作り直すと
+ * 連鎖だけでは見分けられない。受付APIは連鎖を確かめた後、申込ID・セッションID・記録の件数・
+ * 最後のハッシュ（head）と封印した時刻を、サーバーだけが持つ鍵（AUDIT_SEAL_SECRET）の HMAC-SHA256 で封印して保存する。
+ * 後から確かめるときは tools/exportAudit.mjs --seals に audit_seals テーブルの内容を渡す。
+ * テーブルは初回アクセス時に作成する。
+ */
+final class AuditSeal
+{
+    /** 鍵の最小の長さ */
+    private const MIN_SECRET_LENGTH = 32;
+
+    /** リポジトリや手順書に載ったことのある開発用の鍵 */
+    private const KNOWN_SECRETS = ['dev-audit-seal-secret', 'change-me'];
+
+    public function __construct(private readonly PDO $pdo, private readonly string $secret)
+    {
+        if ($secret === '') {
+            throw new RuntimeException('AUDIT_SEAL_SECRET が設定されていません');
+        }
+        if (in_array($secret, self::KNOWN_SECRETS, true) || strlen($secret) < self::MIN_SECRET_LENGTH) {
+            throw new RuntimeException('AUDIT_SEAL_SECRET に開発用の値・' . self::MIN_SECRET_LENGTH . '文字未満の値は使えません');
+        }
+        $this->pdo->exec(<<<'SQL'
+            CREATE TABLE IF NOT EXISTS audit_seals (
+                request_id VARCHAR(64) NOT NULL PRIMARY KEY,
+                session_id VARCHAR(64) NULL,
+                entry_count INT UNSIGNED NOT NULL,
+                head CHAR(64) NOT NULL,
+                sealed_at DATETIME NOT NULL,
+                seal CHAR(64) NOT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            SQL);
+    }
+
+    /**
+     * 確かめ終えた監査ログを封印する（同じ申込IDの再送信では最初の封印を残す）
+     */
+    public function seal(string $requestId, array $audit): void
+    {
+        $row = [
+            'request_id' => $requestId,
+            'session_id' => is_string($audit['sessionId'] ?? null) ? $audit['sessionId'] : null,
+            'entry_count' => count($audit['entries']),
+            'head' => (string) $audit['head'],
+            'sealed_at' => (new DateTimeImmutable('now', new DateTimeZone('Asia/Tokyo')))->format('Y-m-d H:i:s'),
+        ];
+        $row['seal'] = $this->sign($row);
+        $this->pdo->prepare(
+            'INSERT IGNORE INTO audit_seals (request_id, session_id, entry_count, head, sealed_at, seal) VALUES (?, ?, ?, ?, ?, ?)'
+        )->execute(array_values($row));
+    }
+
+    /**
+     * HMAC を計算する内容（tools/exportAudit.mjs の sealText と合わせる）
+     *
+     * @param array{request_id: string, session_id: string|null, entry_count: int, head: string, sealed_at: string} $row
+     */
+    private function sign(array $row): string
+    {
+        $text = implode("\n", [$row['request_id'], $row['session_id'] ?? '', $row['entry_count'], $row['head'], $row['sealed_at']]);
+        return hash_hmac('sha256', $text, $this->secret);
+    }
+}
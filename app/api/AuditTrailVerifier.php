@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 監査ログ（申込データの audit）の確認
+ *
+ * 画面側（auditTrail.js）で各記録につけた SHA-256 のハッシュの連鎖を計算し直し、
+ * 記録が書き換えられたり抜けたりしていないかを確認する。
+ * ハッシュの計算対象は JSON.stringify([seq, time, type, page, data, prev]) と同じ文字列。
+ */
+final class AuditTrailVerifier
+{
+    private const GENESIS = '0000000000000000000000000000000000000000000000000000000000000000';
+
+    /** 受け付ける前に必ず記録されている必要がある種類 */
+    private const REQUIRED_TYPES = [
+        'video_complete' => '重要事項の説明動画の視聴完了',
+        'staff_login' => '従業員のログイン',
+        'consent' => 'お客様のご了承',
+    ];
+
+    /**
+     * @return string[] エラーメッセージ（問題がなければ空）
+     */
+    public function verify(mixed $audit): array
+    {
+        if (!is_array($audit) || !is_array($audit['entries'] ?? null) || !array_is_list($audit['entries'])) {
+            return ['監査ログがありません'];
+        }
+
+        $prev = self::GENESIS;
+        foreach ($audit['entries'] as $index => $entry) {
+            if (!is_array($entry) || ($entry['seq'] ?? null) !== $index) {
+                return ["監査ログの{$index}番目の記録の番号が正しくありません"];
+            }
+            if (($entry['prev'] ?? null) !== $prev) {
+                return ["監査ログの{$index}番目の記録が前の記録とつながっていません"];
+            }
+            if (!is_string($entry['hash'] ?? null) || !hash_equals(hash('sha256', $this->entryText($entry)), $entry['hash'])) {
+                return ["監査ログの{$index}番目の記録のハッシュが内容と一致しません"];
+            }
+            $prev = $entry['hash'];
+        }
+        if (($audit['head'] ?? null) !== $prev) {
+            return ['監査ログの最後の記録が head と一致しません'];
+        }
+
+        $types = array_column($audit['entries'], 'type');
+        $errors = [];
+        foreach (self::REQUIRED_TYPES as $type => $label) {
+            if (!in_array($type, $types, true)) {
+                $errors[] = "監査ログに{$label}の記録がありません";
+            }
+        }
+        return $errors;
+    }
+
+    /**
+     * JavaScript の JSON.stringify と同じ文字列にする（スラッシュ・改行文字・Unicode をエスケープしない）
+     */
+    private function entryText(array $entry): string
+    {
+        return json_encode(
+            [$entry['seq'], $entry['time'] ?? null, $entry['type'] ?? null, $entry['page'] ?? null, $entry['data'] ?? null, $entry['prev']],
+            JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_LINE_TERMINATORS | JSON_THROW_ON_ERROR
+        );
+    }
+}
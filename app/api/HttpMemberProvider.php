@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/MemberProvider.php';
+
+/**
+ * ノジマアプリの会員APIから会員情報を取得する
+ *
+ * GET {MEMBER_API_URL}/members/{会員番号} が MemberProvider の形のJSONを返すことを想定している。
+ * 認証トークンは MEMBER_API_TOKEN（Bearer）で渡す。
+ */
+final class HttpMemberProvider implements MemberProvider
+{
+    public function __construct(
+        private readonly string $baseUrl,
+        private readonly string $token = '',
+        private readonly int $timeout = 5,
+    ) {
+    }
+
+    public function find(string $memberId): ?array
+    {
+        $headers = ['Accept: application/json'];
+        if ($this->token !== '') {
+            $headers[] = 'Authorization: Bearer ' . $this->token;
+        }
+        $context = stream_context_create(['http' => [
+            'method' => 'GET',
+            'header' => implode("\r\n", $headers),
+            'timeout' => $this->timeout,
+            'ignore_errors' => true, // 404 などでも本文とステータスを受け取る
+        ]]);
+
+        $url = rtrim($this->baseUrl, '/') . '/members/' . rawurlencode($memberId);
+        $body = @file_get_contents($url, false, $context);
+        $status = $this->statusCode($http_response_header ?? []);
+
+        if ($status === 404) {
+            return null;
+        }
+        if ($body === false || $status !== 200) {
+            throw new RuntimeException("会員APIの呼び出しに失敗しました（HTTP {$status}）");
+        }
+        $member = json_decode($body, true, 32, JSON_THROW_ON_ERROR);
+        return is_array($member) ? $member : null;
+    }
+
+    private function statusCode(array $responseHeaders): int
+    {
+        foreach (array_reverse($responseHeaders) as $header) {
+            if (preg_match('#^HTTP/\S+\s+(\d{3})#', $header, $m)) {
+                return (int) $m[1];
+            }
+        }
+        return 0;
+    }
+}
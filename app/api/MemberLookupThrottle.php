@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 会員情報の取得回数の制限（MySQL）
+ *
+ * 会員情報は個人情報のため、同じ従業員・同じ端末（接続元のIPアドレス）から一定時間内に
+ * 決まった回数を超えて取得しようとしたら、最初の取得から一定時間たつまで断る。
+ * 見つからなかった会員番号も1回と数える（会員番号を順に試して会員を探せないようにする）。
+ * テーブルは初回アクセス時に作成する。
+ */
+final class MemberLookupThrottle
+{
+    public function __construct(
+        private readonly PDO $pdo,
+        private readonly int $maxLookups = 30,
+        private readonly int $windowSeconds = 600,
+    ) {
+        $this->pdo->exec(<<<'SQL'
+            CREATE TABLE IF NOT EXISTS member_lookups (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                staff_id VARCHAR(32) NOT NULL,
+                client VARCHAR(64) NOT NULL,
+                looked_up_at DATETIME NOT NULL,
+                INDEX (staff_id, looked_up_at),
+                INDEX (client, looked_up_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            SQL);
+    }
+
+    /**
+     * 制限中なら解除までの秒数、そうでなければ 0
+     */
+    public function lockedFor(string $staffId, string $client): int
+    {
+        $stmt = $this->pdo->prepare(<<<'SQL'
+            SELECT COUNT(*) AS lookups, MIN(looked_up_at) AS first_looked_up_at FROM member_lookups
+            WHERE (staff_id = ? OR client = ?) AND looked_up_at >= ?
+            SQL);
+        $stmt->execute([$staffId, $client, date('Y-m-d H:i:s', time() - $this->windowSeconds)]);
+        $row = $stmt->fetch();
+        if ((int) $row['lookups'] < $this->maxLookups || $row['first_looked_up_at'] === null) {
+            return 0;
+        }
+        return max(1, strtotime($row['first_looked_up_at']) + $this->windowSeconds - time());
+    }
+
+    public function record(string $staffId, string $client): void
+    {
+        $this->pdo->prepare('INSERT INTO member_lookups (staff_id, client, looked_up_at) VALUES (?, ?, ?)')
+            ->execute([$staffId, $client, date('Y-m-d H:i:s')]);
+    }
+}
@@ -0,0 +1,23 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * ノジマアプリ会員情報の取得元
+ *
+ * find() は会員が見つからなければ null、見つかれば以下の形の連想配列を返す。
+ * （memberPrefill.js の MemberProfile と合わせる）
+ *
+ *   memberId   会員番号
+ *   nameKana   ['family' => 姓, 'given' => 名]（全角カナ）
+ *   nameKanji  ['family' => 姓, 'given' => 名]
+ *   gender     'male' | 'female' | null
+ *   birthDate  'YYYY-MM-DD' | null
+ *   phone      '090-1234-5678' | null
+ *   address    ['zip' => 7桁, 'chome' => 丁目の数字 | null, 'street' => 番地・建物名] | null
+ *   niftyIds   [['id' => @nifty ID, 'email' => メールアドレス, 'joinedAt' => 'YYYY-MM-DD', 'monthlyCharge' => bool], ...]
+ */
+interface MemberProvider
+{
+    public function find(string $memberId): ?array;
+}
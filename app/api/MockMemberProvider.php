@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/MemberProvider.php';
+
+/**
+ * 開発用の会員情報（data/members/mock_members.json のテストデータを返す）
+ */
+final class MockMemberProvider implements MemberProvider
+{
+    public function __construct(private readonly string $fixturePath = __DIR__ . '/../data/members/mock_members.json')
+    {
+    }
+
+    public function find(string $memberId): ?array
+    {
+        $members = json_decode((string) file_get_contents($this->fixturePath), true, 32, JSON_THROW_ON_ERROR);
+        foreach ($members as $member) {
+            if (($member['memberId'] ?? null) === $memberId) {
+                return $member;
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 料金表（public/data/pricing.json）
+ *
+ * 画面（pricing.js）と同じ料金表を版ごとに読み、お申込みに添えられた試算を同じ計算で試算し直す。
+ * 料金を変えた後も、変える前に始めたお申込みを前の版で確かめられるよう、料金表には前の版も残しておく。
+ */
+final class PriceTable
+{
+    private readonly array $versions;
+
+    public function __construct(string $path = __DIR__ . '/../public/data/pricing.json')
+    {
+        $data = is_file($path) ? json_decode((string) file_get_contents($path), true) : null;
+        if (!is_array($data) || !is_array($data['versions'] ?? null)) {
+            throw new RuntimeException("料金表を読み込めません: {$path}");
+        }
+        $this->versions = $data['versions'];
+    }
+
+    public function has(string $version): bool
+    {
+        return is_array($this->versions[$version] ?? null);
+    }
+
+    /**
+     * 料金プランの試算（pricing.js の calculateQuote と同じ計算）
+     *
+     * @return array<string, mixed>|null 料金表にない版・料金プラン・住居タイプなら null
+     */
+    public function quote(string $version, string $plan, string $housingPlan, ?string $paymentMethod): ?array
+    {
+        $table = $this->versions[$version] ?? null;
+        $definition = $table['plans'][$plan] ?? null;
+        $monthlyFee = $definition['monthly'][$housingPlan] ?? null;
+        if (!is_array($table) || !is_array($definition) || !is_int($monthlyFee)) {
+            return null;
+        }
+
+        $paymentFee = (int) ($table['paymentFees'][$paymentMethod ?? ''] ?? 0);
+        $campaigns = [];
+        foreach ($table['campaigns'] ?? [] as $campaign) {
+            if (in_array($paymentMethod, $campaign['payment'], true) && (!isset($campaign['plans']) || in_array($plan, $campaign['plans'], true))) {
+                $campaigns[] = [
+                    'id' => $campaign['id'],
+                    'label' => $campaign['label'],
+                    'monthlyDiscount' => $campaign['monthlyDiscount'],
+                    'months' => $campaign['months'],
+                ];
+            }
+        }
+        $initialFee = array_sum(array_column($table['initialFees'] ?? [], 'amount'));
+
+        // 月ごとの支払額（割引で0円を下回らない）
+        $monthAmount = static function (int $month) use ($monthlyFee, $paymentFee, $campaigns): int {
+            $discount = 0;
+            foreach ($campaigns as $campaign) {
+                if ($month < $campaign['months']) {
+                    $discount += $campaign['monthlyDiscount'];
+                }
+            }
+            return max(0, $monthlyFee + $paymentFee - $discount);
+        };
+        $firstYearTotal = $initialFee;
+        for ($month = 0; $month < $table['months']; $month++) {
+            $firstYearTotal += $monthAmount($month);
+        }
+
+        return [
+            'version' => $version,
+            'plan' => $plan,
+            'housingPlan' => $housingPlan,
+            'paymentMethod' => $paymentMethod,
+            'term' => $definition['term'],
+            'monthlyFee' => $monthlyFee,
+            'paymentFee' => $paymentFee,
+            'campaigns' => $campaigns,
+            'firstMonth' => $monthAmount(0),
+            'initialFee' => $initialFee,
+            'firstYearTotal' => $firstYearTotal,
+            'cancellationFee' => $definition['cancellationFee'][$housingPlan],
+        ];
+    }
+}
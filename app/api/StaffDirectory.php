@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 従業員の一覧（従業員コード・暗証番号の確認）
+ *
+ * 一覧は JSON ファイル（既定: data/staff/staff.json。環境変数 STAFF_LIST_FILE で変更可能）で、
+ * 各要素は ['staffId' => 従業員ID, 'name' => 名前, 'codeHash' => コードのハッシュ]。
+ * コードはそのまま保存せず、tools/hashStaffCode.mjs で作った PBKDF2-SHA256 のハッシュ
+ * （pbkdf2-sha256$回数$ソルト$ハッシュ）で照合する。
+ * 一覧はリポジトリに含めない（data/staff/staff.example.json を参考に店舗ごとに作る）。
+ * 一覧がない・空・見本のままの場合は、ログインを受け付けない。
+ */
+final class StaffDirectory
+{
+    /** @var array<int, array<string, mixed>> */
+    private readonly array $staffList;
+
+    public function __construct(string $listPath = __DIR__ . '/../data/staff/staff.json')
+    {
+        if (str_ends_with($listPath, '.example.json') || !is_file($listPath)) {
+            throw new RuntimeException("従業員の一覧がありません: {$listPath}（staff.example.json を参考に作ってください）");
+        }
+        $staffList = json_decode((string) file_get_contents($listPath), true, 32, JSON_THROW_ON_ERROR);
+        if (!is_array($staffList) || !array_is_list($staffList) || $staffList === []) {
+            throw new RuntimeException("従業員の一覧が空か、形式が正しくありません: {$listPath}");
+        }
+        $this->staffList = $staffList;
+    }
+
+    /**
+     * コードが一致する従業員を返す（見つからなければ null）
+     *
+     * @return array{staffId: string, name: string}|null
+     */
+    public function authenticate(string $code): ?array
+    {
+        $found = null;
+        // 一致した時点でやめず、すべての従業員を照合する（応答時間でコードを推測されないように）
+        foreach ($this->staffList as $staff) {
+            if ($this->matches($code, (string) ($staff['codeHash'] ?? '')) && $found === null) {
+                $found = ['staffId' => (string) $staff['staffId'], 'name' => (string) ($staff['name'] ?? '')];
+            }
+        }
+        return $found;
+    }
+
+    private function matches(string $code, string $codeHash): bool
+    {
+        $parts = explode('$', $codeHash);
+        if (count($parts) !== 4 || $parts[0] !== 'pbkdf2-sha256') {
+            return false;
+        }
+        [, $iterations, $salt, $hash] = $parts;
+        $actual = hash_pbkdf2('sha256', $code, (string) hex2bin($salt), (int) $iterations);
+        return hash_equals($hash, $actual);
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 従業員ログインの失敗回数による締め出し（MySQL）
+ *
+ * 同じ端末（接続元のIPアドレス）から一定時間内に決まった回数失敗すると、
+ * 最後の失敗から一定時間はコードを確かめずに断る。ログインに成功したら失敗の記録を消す。
+ * テーブルは初回アクセス時に作成する。
+ */
+final class StaffLoginThrottle
+{
+    public function __construct(
+        private readonly PDO $pdo,
+        private readonly int $maxFailures = 5,
+        private readonly int $windowSeconds = 900,
+        private readonly int $lockSeconds = 900,
+    ) {
+        $this->pdo->exec(<<<'SQL'
+            CREATE TABLE IF NOT EXISTS staff_login_failures (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                client VARCHAR(64) NOT NULL,
+                failed_at DATETIME NOT NULL,
+                INDEX (client, failed_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+            SQL);
+    }
+
+    /**
+     * 締め出し中なら解除までの秒数、そうでなければ 0
+     */
+    public function lockedFor(string $client): int
+    {
+        [$count, $last] = $this->recentFailures($client);
+        if ($count < $this->maxFailures || $last === null) {
+            return 0;
+        }
+        return max(0, $last + $this->lockSeconds - time());
+    }
+
+    /**
+     * 失敗を記録し、締め出されるまでの残りの回数を返す（0 なら締め出し）
+     */
+    public function recordFailure(string $client): int
+    {
+        $this->pdo->prepare('INSERT INTO staff_login_failures (client, failed_at) VALUES (?, ?)')
+            ->execute([$client, date('Y-m-d H:i:s')]);
+        [$count] = $this->recentFailures($client);
+        return max(0, $this->maxFailures - $count);
+    }
+
+    public function clear(string $client): void
+    {
+        $this->pdo->prepare('DELETE FROM staff_login_failures WHERE client = ?')->execute([$client]);
+    }
+
+    /**
+     * @return array{0: int, 1: int|null} 期間内の失敗の回数と、最後の失敗の時刻（UNIX時刻）
+     */
+    private function recentFailures(string $client): array
+    {
+        $stmt = $this->pdo->prepare(
+            'SELECT COUNT(*) AS failures, MAX(failed_at) AS last_failed_at FROM staff_login_failures WHERE client = ? AND failed_at >= ?'
+        );
+        $stmt->execute([$client, date('Y-m-d H:i:s', time() - $this->windowSeconds)]);
+        $row = $stmt->fetch();
+        return [(int) $row['failures'], $row['last_failed_at'] === null ? null : strtotime($row['last_failed_at'])];
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 従業員のログインと、従業員が変更した内容（申込データの staff）の確認
+ *
+ *   staff.token      最後にログインした従業員のトークン（entryCode の従業員IDと一致すること）
+ *   staff.overrides  [{ field, value, reason, staffId, time, token }, ...]
+ *                    変更ごとに、そのときのトークンの署名・従業員IDを確かめる
+ * トークンの有効期限は、画面から送られた時刻（time）ではなく、受け付けた時点のサーバーの時刻で確かめる
+ * （StaffToken::verify。期限後は StaffToken::GRACE_SECONDS 秒まで受け付ける）。
+ */
+final class StaffOverrideValidator
+{
+    /** 従業員が変更できる項目と値（staffMode.js の STAFF_OVERRIDES と合わせる） */
+    private const FIELDS = [
+        'housing_plan' => ['home', 'mansion'],
+        'service_hikari10g' => ['available', 'unavailable'],
+        'service_phone' => ['available', 'unavailable'],
+        'service_tv' => ['available', 'unavailable'],
+    ];
+
+    public function __construct(private readonly StaffToken $tokens)
+    {
+    }
+
+    /**
+     * @return string[] エラーメッセージ（問題がなければ空）
+     */
+    public function validate(array $application): array
+    {
+        $staff = is_array($application['staff'] ?? null) ? $application['staff'] : [];
+        $login = $this->tokens->verify($staff['token'] ?? null);
+        if ($login === null) {
+            return ['従業員のログインを確認できないか、従業員モードの有効期限が切れています'];
+        }
+        if (($application['entryCode'] ?? null) !== $login['staffId']) {
+            return ['従業員IDがログインした従業員と一致しません'];
+        }
+
+        $overrides = $staff['overrides'] ?? [];
+        if (!is_array($overrides) || !array_is_list($overrides)) {
+            return ['従業員による変更の形式が正しくありません'];
+        }
+        $errors = [];
+        foreach ($overrides as $index => $override) {
+            $number = $index + 1;
+            $field = $override['field'] ?? null;
+            if (!is_string($field) || !isset(self::FIELDS[$field])) {
+                $errors[] = "従業員による変更（{$number}件目）の項目が正しくありません";
+                continue;
+            }
+            if (!in_array($override['value'] ?? null, self::FIELDS[$field], true)) {
+                $errors[] = "従業員による変更（{$field}）の値が正しくありません";
+            }
+            $reason = $override['reason'] ?? null;
+            if (!is_string($reason) || trim($reason) === '' || mb_strlen($reason) > 200) {
+                $errors[] = "従業員による変更（{$field}）の理由が入力されていません";
+            }
+            $token = $this->tokens->verify($override['token'] ?? null);
+            if ($token === null || ($override['staffId'] ?? null) !== $token['staffId']) {
+                $errors[] = "従業員による変更（{$field}）のログインを確認できないか、有効期限が切れています";
+            }
+        }
+        return $errors;
+    }
+}
@@ -0,0 +1,78 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * 従業員モードのトークン（時間制限つき）
+ *
+ * ログインに成功した従業員の ID・名前・有効期限を HMAC-SHA256 で署名したもの。
+ * 画面側（staffMode.js）は従業員による変更と一緒に申込データの staff.token として送り、
+ * 受付API（StaffOverrideValidator.php）が署名と、受け付けた時点（サーバーの時刻）で有効期限内であることを確かめる。
+ */
+final class StaffToken
+{
+    /** 有効期限後も受け付ける秒数（従業員の確認の後、お客様が料金プランを選んで送信するまでの猶予） */
+    public const GRACE_SECONDS = 300;
+
+    /** 署名の鍵の最小の長さ */
+    private const MIN_SECRET_LENGTH = 32;
+
+    /** リポジトリや手順書に載ったことのある開発用の鍵（使えば誰でもトークンを作れる） */
+    private const KNOWN_SECRETS = ['dev-staff-token-secret', 'change-me'];
+
+    public function __construct(private readonly string $secret, private readonly int $lifetimeSeconds = 600)
+    {
+        if ($secret === '') {
+            throw new RuntimeException('STAFF_TOKEN_SECRET が設定されていません');
+        }
+        if (in_array($secret, self::KNOWN_SECRETS, true) || strlen($secret) < self::MIN_SECRET_LENGTH) {
+            throw new RuntimeException('STAFF_TOKEN_SECRET に開発用の値・' . self::MIN_SECRET_LENGTH . '文字未満の値は使えません');
+        }
+    }
+
+    /**
+     * @param array{staffId: string, name: string} $staff
+     * @return array{token: string, expiresAt: int} expiresAt はミリ秒（JavaScript の Date.now() と同じ単位）
+     */
+    public function issue(array $staff): array
+    {
+        $expiresAt = (time() + $this->lifetimeSeconds) * 1000;
+        $payload = self::base64url(json_encode(
+            ['staffId' => $staff['staffId'], 'name' => $staff['name'], 'exp' => $expiresAt],
+            JSON_UNESCAPED_UNICODE | JSON_THROW_ON_ERROR
+        ));
+        return ['token' => $payload . '.' . $this->sign($payload), 'expiresAt' => $expiresAt];
+    }
+
+    /**
+     * 署名が正しく、サーバーの時刻で有効期限（と GRACE_SECONDS の猶予）内なら中身（staffId・name・exp）を返す
+     *
+     * @param int|null $now 確かめる時刻（UNIX時刻。既定は現在時刻）
+     * @return array{staffId: string, name: string, exp: int}|null
+     */
+    public function verify(mixed $token, ?int $now = null): ?array
+    {
+        if (!is_string($token) || substr_count($token, '.') !== 1) {
+            return null;
+        }
+        [$payload, $signature] = explode('.', $token);
+        if (!hash_equals($this->sign($payload), $signature)) {
+            return null;
+        }
+        $data = json_decode((string) base64_decode(strtr($payload, '-_', '+/'), true), true);
+        if (!is_array($data) || !isset($data['staffId'], $data['exp']) || !is_int($data['exp'])) {
+            return null;
+        }
+        return (($now ?? time()) - self::GRACE_SECONDS) * 1000 <= $data['exp'] ? $data : null;
+    }
+
+    private function sign(string $payload): string
+    {
+        return self::base64url(hash_hmac('sha256', $payload, $this->secret, true));
+    }
+
+    private static function base64url(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+}
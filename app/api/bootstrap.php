@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * 受付APIの共通処理
+ *
+ * app/public/api/*.php から読み込み、JSONの入出力とDB接続を提供する。
+ * 接続先は docker-compose.yml の database サービス（環境変数で上書き可能）。
+ */
+
+/**
+ * JSONを返して終了する
+ */
+function json_response(int $status, array $body): never
+{
+    http_response_code($status);
+    header('Content-Type: application/json; charset=utf-8');
+    header('Cache-Control: no-store');
+    echo json_encode($body, JSON_UNESCAPED_UNICODE);
+    exit;
+}
+
+/**
+ * 許可していないHTTPメソッドなら 405 を返す
+ */
+function require_method(string ...$methods): void
+{
+    if (!in_array($_SERVER['REQUEST_METHOD'] ?? 'GET', $methods, true)) {
+        header('Allow: ' . implode(', ', $methods));
+        json_response(405, ['message' => 'Method Not Allowed']);
+    }
+}
+
+/**
+ * リクエストボディのJSONを連想配列として読み込む
+ */
+function read_json_body(): array
+{
+    $raw = file_get_contents('php://input');
+    try {
+        $data = json_decode($raw === false ? '' : $raw, true, 32, JSON_THROW_ON_ERROR);
+    } catch (JsonException) {
+        json_response(400, ['message' => 'JSONの形式が正しくありません']);
+    }
+    if (!is_array($data)) {
+        json_response(400, ['message' => 'JSONの形式が正しくありません']);
+    }
+    return $data;
+}
+
+/**
+ * DB接続（リクエスト内で使い回す）
+ */
+function db(): PDO
+{
+    static $pdo = null;
+    if ($pdo === null) {
+        $dsn = sprintf(
+            'mysql:host=%s;port=%s;dbname=%s;charset=utf8mb4',
+            getenv('DB_HOST') ?: 'database',
+            getenv('DB_PORT') ?: '3306',
+            getenv('DB_NAME') ?: 'symfony_docker'
+        );
+        $pdo = new PDO($dsn, getenv('DB_USER') ?: 'symfony', getenv('DB_PASSWORD') ?: 'symfony', [
+            PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION,
+            PDO::ATTR_DEFAULT_FETCH_MODE => PDO::FETCH_ASSOC,
+        ]);
+    }
+    return $pdo;
+}
+
+/**
+ * 会員情報の取得元
+ *
+ * MEMBER_PROVIDER=http なら会員API（MEMBER_API_URL / MEMBER_API_TOKEN）、
+ * それ以外（既定）は開発用のテストデータを使う。
+ */
+function member_provider(): MemberProvider
+{
+    if ((getenv('MEMBER_PROVIDER') ?: 'mock') === 'http') {
+        require_once __DIR__ . '/HttpMemberProvider.php';
+        $baseUrl = getenv('MEMBER_API_URL');
+        if (!$baseUrl) {
+            throw new RuntimeException('MEMBER_API_URL が設定されていません');
+        }
+        return new HttpMemberProvider($baseUrl, getenv('MEMBER_API_TOKEN') ?: '');
+    }
+    require_once __DIR__ . '/MockMemberProvider.php';
+    return new MockMemberProvider();
+}
+
+/**
+ * 従業員の一覧（STAFF_LIST_FILE で一覧のファイルを変更できる）
+ */
+function staff_directory(): StaffDirectory
+{
+    require_once __DIR__ . '/StaffDirectory.php';
+    $listPath = getenv('STAFF_LIST_FILE');
+    return $listPath ? new StaffDirectory($listPath) : new StaffDirectory();
+}
+
+/**
+ * 従業員モードのトークン（STAFF_TOKEN_SECRET で署名し、STAFF_SESSION_MINUTES 分（既定10分）有効）
+ */
+function staff_token(): StaffToken
+{
+    require_once __DIR__ . '/StaffToken.php';
+    return new StaffToken(getenv('STAFF_TOKEN_SECRET') ?: '', 60 * (int) (getenv('STAFF_SESSION_MINUTES') ?: 10));
+}
+
+/**
+ * 料金表（PRICE_TABLE_FILE で料金表のファイルを変更できる。既定は画面と同じ public/data/pricing.json）
+ */
+function price_table(): PriceTable
+{
+    require_once __DIR__ . '/PriceTable.php';
+    $path = getenv('PRICE_TABLE_FILE');
+    return $path ? new PriceTable($path) : new PriceTable();
+}
+
+/**
+ * 監査ログの封印（AUDIT_SEAL_SECRET の鍵で、受け付けた監査ログの head を HMAC で封印する）
+ */
+function audit_seal(): AuditSeal
+{
+    require_once __DIR__ . '/AuditSeal.php';
+    return new AuditSeal(db(), getenv('AUDIT_SEAL_SECRET') ?: '');
+}
+
+/**
+ * 想定外の例外はログに残して 500 を返す
+ */
+set_exception_handler(static function (Throwable $e): void {
+    error_log('[api] ' . $e);
+    json_response(500, ['message' => 'サーバーでエラーが発生しました']);
+});
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+// =================================================================================
+// アニメーションのレイヤー
+// =================================================================================
+// THREE.AnimationMixer の上に、体の部位ごとのレイヤーを重ねて再生する仕組みです。
+// 全身の動き（アイドル・お辞儀）を base レイヤーで再生したまま、
+// 話している間の身振り（talk）やうなずき（head）を別のレイヤーに重ねられます。
+//   mask     : 動かす骨の範囲（BONE_MASKS の名前。null なら全身）
+//   additive : true なら下のレイヤーの動きに加算する（クリップの最初のフレームからの差分を足す）。
+//              false の場合、同じ骨を動かす下のレイヤーとは重みに応じて混ざる
+//   weight   : レイヤーの重み（0〜1）
+
+export const LAYER_CONFIG = {
+    base: { mask: null, additive: false, weight: 1.0 },          // アイドル・全身の動き
+    talk: { mask: 'upperBody', additive: true, weight: 0.6 },    // 話している間の身振り
+    gesture: { mask: 'arms', additive: true, weight: 1.0 },      // 手を振るなどの腕の動き
+    head: { mask: 'head', additive: true, weight: 1.0 },         // うなずきなどの首の動き
+};
+
+// 既定の切り替え時間（秒）。アクションごとに fadeIn / fadeOut で変更できる
+export const DEFAULT_TRANSITION = { fadeIn: 0.3, fadeOut: 0.5 };
+
+// 指の骨（VRM 1.0 の名前）
+const FINGERS = ['Thumb', 'Index', 'Middle', 'Ring', 'Little'].flatMap(finger => (
+    finger === 'Thumb'
+        ? ['ThumbMetacarpal', 'ThumbProximal', 'ThumbDistal']
+        : [`${finger}Proximal`, `${finger}Intermediate`, `${finger}Distal`]
+));
+
+function armBones(side) {
+    return [`${side}Shoulder`, `${side}UpperArm`, `${side}LowerArm`, `${side}Hand`, ...FINGERS.map(name => `${side}${name}`)];
+}
+
+// 部位ごとの骨（VRMのヒューマノイドの骨の名前）
+export const BONE_MASKS = {
+    head: ['neck', 'head'],
+    arms: [...armBones('left'), ...armBones('right')],
+    upperBody: ['spine', 'chest', 'upperChest', 'neck', 'head', ...armBones('left'), ...armBones('right')],
+};
+
+/**
+ * クリップから指定した骨のトラックだけを残す
+ * @param {THREE.AnimationClip} clip
+ * @param {string[]} bones VRMのヒューマノイドの骨の名前
+ * @param {VRM} vrm
+ * @returns {THREE.AnimationClip} 新しいクリップ
+ */
+export function maskClip(clip, bones, vrm) {
+    const nodeNames = new Set(bones.map(bone => vrm.humanoid?.getNormalizedBoneNode(bone)?.name).filter(Boolean));
+    const masked = clip.clone();
+    masked.tracks = masked.tracks.filter(track => nodeNames.has(THREE.PropertyBinding.parseTrackName(track.name).nodeName));
+    return masked;
+}
+
+export class AnimationLayers {
+    /**
+     * @param {THREE.AnimationMixer} mixer
+     * @param {VRM} vrm
+     * @param {object} [options]
+     * @param {object} [options.layers] LAYER_CONFIG の上書き
+     * @param {object} [options.masks] BONE_MASKS の上書き
+     */
+    constructor(mixer, vrm, { layers = {}, masks = {} } = {}) {
+        this.mixer = mixer;
+        this.vrm = vrm;
+        this.layers = Object.fromEntries(
+            Object.entries({ ...LAYER_CONFIG, ...layers }).map(([name, layer]) => [name, { ...layer }])
+        );
+        this.masks = { ...BONE_MASKS, ...masks };
+        this.current = {};        // レイヤー名 → 再生中のアクション
+        this.actions = new Map(); // "クリップのuuid:レイヤー名" → アクション
+    }
+
+    // -----------------------------------------------------------------------------
+    // レイヤー用のアクション
+    // -----------------------------------------------------------------------------
+    // クリップをレイヤーの範囲に絞り、加算レイヤーなら差分のクリップにしてからアクションを作ります。
+    actionFor(clip, layerName) {
+        const layer = this.layers[layerName];
+        if (!layer) throw new Error(`アニメーションのレイヤー「${layerName}」は定義されていません`);
+
+        const key = `${clip.uuid}:${layerName}`;
+        if (!this.actions.has(key)) {
+            let layered = clip;
+            if (layer.mask) {
+                const bones = this.masks[layer.mask];
+                if (!bones) throw new Error(`骨の範囲「${layer.mask}」は定義されていません`);
+                layered = maskClip(clip, bones, this.vrm);
+                if (!layered.tracks.length) console.warn(`アニメーション「${clip.name}」には ${layer.mask} の動きがありません`);
+            }
+            if (layer.additive) {
+                if (layered === clip) layered = clip.clone();
+                THREE.AnimationUtils.makeClipAdditive(layered);
+            }
+            const action = this.mixer.clipAction(layered);
+            action.blendMode = layer.additive ? THREE.AdditiveAnimationBlendMode : THREE.NormalAnimationBlendMode;
+            action.userData = { layer: layerName };
+            this.actions.set(key, action);
+        }
+        return this.actions.get(key);
+    }
+
+    // アクションを再生しているレイヤーの名前
+    layerOf(action) {
+        return action?.userData?.layer ?? null;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 再生・停止
+    // -----------------------------------------------------------------------------
+    /**
+     * レイヤーでクリップを再生する（同じレイヤーで再生中のアクションからは fadeIn 秒で切り替える）
+     * 同じアクションが再生中の場合は最初に戻さずにそのまま続けます。
+     * @param {string} layerName
+     * @param {THREE.AnimationClip} clip
+     * @param {object} [options]
+     * @param {number} [options.fadeIn]
+     * @param {boolean} [options.loop] true ならループ、false なら1回再生して最後の姿勢で止める
+     * @returns {THREE.AnimationAction}
+     */
+    play(layerName, clip, { fadeIn = DEFAULT_TRANSITION.fadeIn, loop } = {}) {
+        const action = this.actionFor(clip, layerName);
+        if (loop !== undefined) {
+            action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
+            action.clampWhenFinished = !loop;
+        }
+
+        const previous = this.current[layerName];
+        if (previous === action) return action;
+
+        previous?.fadeOut(fadeIn);
+        action.reset().setEffectiveWeight(this.layers[layerName].weight).fadeIn(fadeIn).play();
+        this.current[layerName] = action;
+        return action;
+    }
+
+    /**
+     * レイヤーの再生を fadeOut 秒で止める
+     * @param {string} layerName
+     * @param {number} [fadeOut]
+     */
+    stop(layerName, fadeOut = DEFAULT_TRANSITION.fadeOut) {
+        const action = this.current[layerName];
+        if (!action) return;
+        action.fadeOut(fadeOut);
+        delete this.current[layerName];
+    }
+
+    // レイヤーの重みを変える（再生中のアクションにもすぐ反映する）
+    setWeight(layerName, weight) {
+        this.layers[layerName].weight = weight;
+        this.current[layerName]?.setEffectiveWeight(weight);
+    }
+}
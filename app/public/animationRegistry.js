@@ -0,0 +1,183 @@
+import { loadMixamoAnimation } from './loadMixamoAnimation.js'; // MixamoのアニメーションをVRM用に変換するカスタム関数
+import { loadXRAnimatorAnimation } from './loadXRAnimatorAnimation.js'; // XR Animator用のアニメーション変換関数
+import { loadVRMAnimation } from './loadVRMAnimation.js'; // VRM Animation(.vrma)の変換関数
+import { loadBVHAnimation } from './loadBVHAnimation.js'; // モーションキャプチャ(BVH)の変換関数
+import { loadBakedClip, matchesAvatar } from './bakedAnimation.js'; // 前もって変換したアニメーションの読み込み
+
+// =================================================================================
+// アニメーションの一覧
+// =================================================================================
+// animations/manifest.json に登録したアニメーションを、意味のある名前（greet・thank・think など）で
+// 使えるようにします。アニメーションは初めて使うときに読み込み、読み込んだものは使い回します。
+//
+// manifest.json の形式:
+//   { "clips": { "<名前>": { "file": "<animations からのパス>", "format": "mixamo" | "xr-animator" | "vrma" | "bvh",
+//                            "layer": "head", "fadeIn": 0.2, "fadeOut": 0.3 } } }
+//   format は省略時に拡張子で決めます（.fbx → mixamo、.glb / .gltf → xr-animator、.vrma → vrma、.bvh → bvh）。
+//   どの形式も retargetAnimation.js でVRMの骨向けに変換します。
+//
+// tools/bakeAnimations.mjs で前もって変換したクリップ（animations/baked/）があれば、そちらを優先して読み込みます。
+// 変換後に manifest.json のファイルを変えた・アバターが違うなど、使えない場合はその場で変換します。
+//   layer / fadeIn / fadeOut は再生するレイヤーと切り替え時間の既定値です（animationLayers.js を参照）。
+
+export const ANIMATION_CONFIG = {
+    manifestUrl: 'animations/manifest.json',
+    baseUrl: 'animations',
+    bakedUrl: 'animations/baked',  // 変換済みのクリップの置き場所（null なら使わない）
+    concurrency: 2,        // 同時に読み込むアニメーションの数（FBXの変換は重いため絞る）
+};
+
+// 形式ごとの読み込み関数
+export const ANIMATION_LOADERS = {
+    mixamo: loadMixamoAnimation,
+    'xr-animator': loadXRAnimatorAnimation,
+    vrma: loadVRMAnimation,
+    bvh: loadBVHAnimation,
+};
+
+// ファイル名から形式を決める
+export function formatFor(file) {
+    if (/\.fbx$/i.test(file)) return 'mixamo';
+    if (/\.(glb|gltf)$/i.test(file)) return 'xr-animator';
+    if (/\.vrma$/i.test(file)) return 'vrma';
+    if (/\.bvh$/i.test(file)) return 'bvh';
+    return null;
+}
+
+export class AnimationRegistry {
+    /**
+     * @param {VRM} vrm アニメーションを適用するVRM
+     * @param {object} [options]
+     * @param {object} [options.config] ANIMATION_CONFIG の上書き
+     * @param {object} [options.loaders] ANIMATION_LOADERS の上書き
+     */
+    constructor(vrm, { config = {}, loaders = ANIMATION_LOADERS } = {}) {
+        this.vrm = vrm;
+        this.config = { ...ANIMATION_CONFIG, ...config };
+        this.loaders = loaders;
+        this.entries = {};      // 名前 → manifest の設定
+        this.baked = {};        // 名前 → 変換済みのクリップの設定（animations/baked/manifest.json）
+        this.clips = new Map(); // 名前 → Promise<THREE.AnimationClip>
+        this.active = 0;        // 読み込み中の数
+        this.queue = [];        // 読み込み待ち
+    }
+
+    // -----------------------------------------------------------------------------
+    // 一覧の読み込み
+    // -----------------------------------------------------------------------------
+    async loadManifest() {
+        const response = await fetch(this.config.manifestUrl);
+        if (!response.ok) throw new Error(`アニメーションの一覧を読み込めませんでした（HTTP ${response.status}）`);
+        const manifest = await response.json();
+        this.entries = manifest.clips || {};
+        if (this.config.bakedUrl) await this.loadBakedManifest();
+        return this.names();
+    }
+
+    // 変換済みのクリップの一覧（ないのは普通のため、読み込めなくても警告しない）
+    async loadBakedManifest() {
+        this.baked = {};
+        let manifest;
+        try {
+            const response = await fetch(`${this.config.bakedUrl}/manifest.json`);
+            if (!response.ok) return;
+            manifest = await response.json();
+        } catch {
+            return;
+        }
+        if (!matchesAvatar(manifest.avatar, this.vrm)) {
+            console.warn('変換済みのアニメーションは別のアバター向けのため使いません。tools/bakeAnimations.mjs で作り直してください');
+            return;
+        }
+        this.baked = manifest.clips || {};
+    }
+
+    // 使える変換済みのクリップの設定（manifest.json のファイル・形式が変換したときと同じもの）
+    bakedEntry(name) {
+        const entry = this.entries[name];
+        const baked = this.baked[name];
+        if (!entry || !baked) return null;
+        if (baked.source !== entry.file || baked.format !== (entry.format || formatFor(entry.file))) {
+            console.warn(`アニメーション「${name}」は変換後にファイルが変わったため、その場で変換します`);
+            return null;
+        }
+        return baked;
+    }
+
+    names() {
+        return Object.keys(this.entries);
+    }
+
+    has(name) {
+        return Object.hasOwn(this.entries, name);
+    }
+
+    // -----------------------------------------------------------------------------
+    // アニメーションの取得
+    // -----------------------------------------------------------------------------
+    /**
+     * 名前に対応するアニメーションを返す（初回のみ読み込む）
+     * @param {string} name
+     * @returns {Promise<THREE.AnimationClip>}
+     */
+    getClip(name) {
+        if (!this.clips.has(name)) {
+            const request = this.loadClip(name);
+            // 読み込みに失敗したものは次回に再試行できるよう、キャッシュに残さない
+            request.catch(() => this.clips.delete(name));
+            this.clips.set(name, request);
+        }
+        return this.clips.get(name);
+    }
+
+    // 使いそうなアニメーションを先に読み込んでおく（失敗しても警告のみ）
+    preload(names) {
+        return Promise.all(names.filter(name => this.has(name)).map(name => this.getClip(name).catch((error) => {
+            console.warn(`アニメーション「${name}」を先読みできませんでした:`, error);
+        })));
+    }
+
+    async loadClip(name) {
+        const entry = this.entries[name];
+        if (!entry) throw new Error(`アニメーション「${name}」は ${this.config.manifestUrl} に登録されていません`);
+
+        const baked = this.bakedEntry(name);
+        if (baked) {
+            try {
+                const clip = await loadBakedClip(`${this.config.bakedUrl}/${encodeURIComponent(baked.file)}`, this.vrm);
+                clip.name = name;
+                return clip;
+            } catch (error) {
+                console.warn(`アニメーション「${name}」の変換済みのクリップを使えないため、その場で変換します:`, error);
+            }
+        }
+
+        const format = entry.format || formatFor(entry.file);
+        const loader = this.loaders[format];
+        if (!loader) throw new Error(`アニメーション「${name}」の形式（${entry.file}）に対応していません`);
+
+        const url = `${this.config.baseUrl}/${entry.file.split('/').map(encodeURIComponent).join('/')}`;
+        const clip = await this.limit(() => loader(url, this.vrm));
+        // 差し替えた読み込み関数が null を返した場合もエラーにする
+        if (!clip) throw new Error(`アニメーション「${name}」（${entry.file}）を変換できませんでした`);
+        clip.name = name;
+        return clip;
+    }
+
+    // 同時に読み込む数を config.concurrency までに抑える
+    async limit(task) {
+        if (this.active >= this.config.concurrency) {
+            // 空きは終わった読み込みから直接引き継ぐ（active は増やさない）
+            await new Promise(resolve => this.queue.push(resolve));
+        } else {
+            this.active++;
+        }
+        try {
+            return await task();
+        } finally {
+            const next = this.queue.shift();
+            if (next) next();
+            else this.active--;
+        }
+    }
+}
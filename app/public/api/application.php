@@ -0,0 +1,59 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * お申込みの受付API
+ *
+ * POST api/application.php  （applicationSubmission.js の buildApplication で作ったJSON）
+ *   201 { receiptNumber }          受付完了
+ *   200 { receiptNumber }          同じ申込IDで受付済み（再送信）
+ *   422 { message, errors[] }      入力内容の不備・監査ログ（audit）の連鎖の不一致・従業員のログイン（staff）の不一致・期限切れ
+ *   503 { message }                従業員モードのトークン・監査ログの封印の鍵が設定されていない
+ *
+ * 受け付けた監査ログは head を HMAC で封印して audit_seals テーブルに保存する（AuditSeal.php）。
+ */
+
+require __DIR__ . '/../../api/bootstrap.php';
+require __DIR__ . '/../../api/ApplicationValidator.php';
+require __DIR__ . '/../../api/ApplicationRepository.php';
+require __DIR__ . '/../../api/AuditTrailVerifier.php';
+require __DIR__ . '/../../api/StaffOverrideValidator.php';
+
+require_method('POST');
+
+$application = read_json_body();
+
+// 受付済みの申込IDの再送信は、検証・封印の前に保存済みの受付番号を返す
+// （従業員のトークンの期限が切れた後の再送信でも、受け付けた結果が変わらないようにする）
+$repository = new ApplicationRepository(db());
+if (is_string($application['requestId'] ?? null)) {
+    $receiptNumber = $repository->findReceiptNumber($application['requestId']);
+    if ($receiptNumber !== null) {
+        json_response(200, ['receiptNumber' => $receiptNumber]);
+    }
+}
+
+try {
+    $tokens = staff_token();
+    $seals = audit_seal();
+} catch (RuntimeException $e) {
+    if ($e instanceof PDOException) {
+        throw $e;
+    }
+    error_log('[api] ' . $e->getMessage());
+    json_response(503, ['message' => '受付APIの鍵が設定されていないため受け付けられません']);
+}
+
+$errors = [
+    ...(new ApplicationValidator(price_table()))->validate($application),
+    ...(new AuditTrailVerifier())->verify($application['audit'] ?? null),
+    ...(new StaffOverrideValidator($tokens))->validate($application),
+];
+if ($errors) {
+    json_response(422, ['message' => '入力内容に誤りがあります', 'errors' => $errors]);
+}
+
+$seals->seal($application['requestId'], $application['audit']);
+
+json_response(201, ['receiptNumber' => $repository->save($application)]);
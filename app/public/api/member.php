@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * ノジマアプリ会員情報の取得API（従業員ログイン中のみ）
+ *
+ * GET api/member.php?memberId=会員番号
+ *   Authorization: Bearer <従業員ログインAPIのトークン>
+ *   200 { member }              会員情報（MemberProvider.php の形）
+ *   401 { message }             従業員ログインを確認できない（トークンがない・期限切れ）
+ *   404 { message }             会員が見つからない
+ *   422 { message }             会員番号の形式が正しくない
+ *   429 { message, retryAfter } 取得が続いたため制限中（retryAfter: 解除までの秒数）
+ *   503 { message }             トークンの鍵が設定されていない
+ */
+
+require __DIR__ . '/../../api/bootstrap.php';
+require __DIR__ . '/../../api/MemberLookupThrottle.php';
+
+require_method('GET');
+
+try {
+    $tokens = staff_token();
+} catch (RuntimeException $e) {
+    error_log('[api] ' . $e->getMessage());
+    json_response(503, ['message' => '従業員ログインが設定されていません']);
+}
+
+// 送信の遅れを見込んだ猶予は使わず、トークンの有効期限内だけ取得できる
+$header = (string) ($_SERVER['HTTP_AUTHORIZATION'] ?? '');
+$token = preg_match('/^Bearer\s+(\S+)$/', $header, $m) ? $m[1] : null;
+$staff = $tokens->verify($token, time() + StaffToken::GRACE_SECONDS);
+if ($staff === null) {
+    json_response(401, ['message' => '従業員ログインを確認できないか、有効期限が切れています']);
+}
+
+$memberId = trim((string) ($_GET['memberId'] ?? ''));
+if (!preg_match('/^[A-Za-z0-9-]{4,32}$/', $memberId)) {
+    json_response(422, ['message' => '会員番号の形式が正しくありません']);
+}
+
+$client = $_SERVER['REMOTE_ADDR'] ?? 'unknown';
+$throttle = new MemberLookupThrottle(db());
+
+$lockedFor = $throttle->lockedFor($staff['staffId'], $client);
+if ($lockedFor > 0) {
+    header('Retry-After: ' . $lockedFor);
+    json_response(429, ['message' => '会員情報の取得が続いたため、しばらく取得できません', 'retryAfter' => $lockedFor]);
+}
+$throttle->record($staff['staffId'], $client);
+
+$member = member_provider()->find($memberId);
+if ($member === null) {
+    json_response(404, ['message' => '会員が見つかりませんでした']);
+}
+
+json_response(200, ['member' => $member]);
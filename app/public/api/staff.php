@@ -0,0 +1,57 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * 従業員ログインAPI
+ *
+ * POST api/staff.php  { code }  従業員コード（半角英字5桁）または暗証番号（数字4〜8桁）
+ *   200 { staff, token, expiresAt }   ログイン成功（staff: { staffId, name }。expiresAt はミリ秒）
+ *   401 { message, remaining }        コードが一致しない（remaining: 締め出されるまでの残りの回数）
+ *   422 { message }                   コードの形式が正しくない
+ *   429 { message, retryAfter }       失敗が続いたため締め出し中（retryAfter: 解除までの秒数）
+ *   503 { message }                   従業員の一覧・トークンの鍵が設定されていない（開発用の値のままを含む）
+ */
+
+require __DIR__ . '/../../api/bootstrap.php';
+require __DIR__ . '/../../api/StaffLoginThrottle.php';
+
+require_method('POST');
+
+// 設定に不備があればコードを確かめる前に断る（開発用の一覧・鍵のまま公開しないため）
+try {
+    $directory = staff_directory();
+    $tokens = staff_token();
+} catch (RuntimeException $e) {
+    error_log('[api] ' . $e->getMessage());
+    json_response(503, ['message' => '従業員ログインが設定されていません']);
+}
+
+$body = read_json_body();
+$code = $body['code'] ?? null;
+if (!is_string($code) || !preg_match('/^(?:[A-Za-z]{5}|\d{4,8})$/', $code)) {
+    json_response(422, ['message' => '従業員コードの形式が正しくありません']);
+}
+
+$client = $_SERVER['REMOTE_ADDR'] ?? 'unknown';
+$throttle = new StaffLoginThrottle(db());
+
+$lockedFor = $throttle->lockedFor($client);
+if ($lockedFor > 0) {
+    header('Retry-After: ' . $lockedFor);
+    json_response(429, ['message' => '失敗が続いたため、しばらくログインできません', 'retryAfter' => $lockedFor]);
+}
+
+$staff = $directory->authenticate($code);
+if ($staff === null) {
+    $remaining = $throttle->recordFailure($client);
+    if ($remaining === 0) {
+        $lockedFor = $throttle->lockedFor($client);
+        header('Retry-After: ' . $lockedFor);
+        json_response(429, ['message' => '失敗が続いたため、しばらくログインできません', 'retryAfter' => $lockedFor]);
+    }
+    json_response(401, ['message' => '従業員コードが正しくありません', 'remaining' => $remaining]);
+}
+
+$throttle->clear($client);
+json_response(200, ['staff' => $staff, ...$tokens->issue($staff)]);
@@ -0,0 +1,248 @@
+// =================================================================================
+// お申込みの送信
+// =================================================================================
+// 回答状態（window.choiceState）と各ページの入力欄・hidden をひとつの申込データにまとめ、
+// PHP の受付API（api/application.php）へ送信します。説明・同意の監査ログ（auditTrail.js）と
+// サービスの提供可否の判定結果（serviceAvailability.js）と料金プランの試算（pricing.js）を添えます。
+
+// 受付APIのURL
+export const APPLICATION_ENDPOINT = 'api/application.php';
+
+/**
+ * @typedef {object} PersonName
+ * @property {string} family 姓
+ * @property {string} given 名
+ */
+
+/**
+ * @typedef {object} Application 送信する申込データ
+ * @property {number} version データ形式のバージョン
+ * @property {string} requestId 再送信で二重登録しないためのID
+ * @property {string} createdAt 作成日時（ISO 8601）
+ * @property {Object<string, string|null>} choices 選択グループごとの回答（未回答は null）
+ * @property {object} applicant お申込者
+ * @property {PersonName} applicant.nameKana
+ * @property {PersonName} applicant.nameKanji
+ * @property {string|null} applicant.birthDate YYYY-MM-DD
+ * @property {string|null} applicant.phone 090-1234-5678 形式
+ * @property {string|null} applicant.zip 7桁の郵便番号
+ * @property {string|null} applicant.address 申込者住所（確認画面の表示どおり）
+ * @property {string|null} niftyId 利用する@nifty ID（新規登録は "__new__"）
+ * @property {object} holder 回線名義人
+ * @property {PersonName} holder.nameKana
+ * @property {PersonName} holder.nameKanji
+ * @property {object} transfer のりかえ情報
+ * @property {string|null} transfer.approvalNumber 転用承諾番号
+ * @property {string|null} transfer.carrierChangeNumber 事業者変更承諾番号
+ * @property {object} install 設置先
+ * @property {string|null} install.zip
+ * @property {string|null} install.address
+ * @property {string|null} entryCode ログインした従業員のID
+ * @property {object|null} audit 監査ログ（AuditTrail の seal の結果）
+ * @property {{ token: string|null, overrides: object[] }|null} staff 従業員のログインと変更（StaffOverrides の applicationData の結果）
+ * @property {{ tableVersion: string|null, results: object }|null} services サービスの提供可否と申込しないサービス（ServiceAvailability の applicationData の結果）
+ * @property {Quote|null} quote 選んだ料金プランの試算（PricingGuide の applicationData の結果）
+ */
+
+// 名前（name属性）で入力欄の値を取得する。ラジオボタンは選択中の値
+function fieldValue(root, name) {
+    const fields = [...root.querySelectorAll(`[name="${name}"]`)];
+    const field = fields.find(f => f.type !== 'radio' || f.checked);
+    const value = field?.value?.trim();
+    return value ? value : null;
+}
+
+function joinValues(values, separator = '') {
+    return values.every(Boolean) ? values.join(separator) : null;
+}
+
+function formatDate(year, month, day) {
+    if (!year || !month || !day) return null;
+    return `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function createRequestId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 回答と入力内容から申込データを作る
+ * @param {object} definition フロー定義（FLOW_DEFINITION）
+ * @param {object} state 回答状態（window.choiceState）
+ * @param {object} [options]
+ * @param {ParentNode} [options.root] 入力欄を探す範囲（既定: document）
+ * @param {string} [options.requestId]
+ * @param {object} [options.audit] 監査ログ
+ * @param {object} [options.staff] 従業員のログインと変更
+ * @param {object} [options.services] サービスの提供可否
+ * @param {object} [options.quote] 料金プランの試算
+ * @returns {Application}
+ */
+export function buildApplication(definition, state, { root = document, requestId = createRequestId(), audit = null, staff = null, services = null, quote = null } = {}) {
+    const value = (name) => fieldValue(root, name);
+
+    // 選択グループは回答状態を優先し、未回答なら hidden の初期値（従業員の選択済みなど）を使う
+    const choices = {};
+    for (const step of Object.values(definition.steps)) {
+        if (step.choiceGroup) choices[step.choiceGroup] = state[step.choiceGroup] ?? value(step.choiceGroup);
+    }
+
+    const transferNumber = (prefixName, codeName) => (value(codeName) ? `${value(prefixName)}${value(codeName)}` : null);
+
+    return {
+        version: 1,
+        requestId,
+        createdAt: new Date().toISOString(),
+        choices,
+        applicant: {
+            nameKana: { family: value('applicantNameKanaFamily'), given: value('applicantNameKanaGiven') },
+            nameKanji: { family: value('applicantNameKanjiFamily'), given: value('nameKanjiGiven') },
+            birthDate: formatDate(value('birthYear'), value('birthMonth'), value('birthDay')),
+            phone: joinValues([value('phone1'), value('phone2'), value('phone3')], '-'),
+            zip: joinValues([value('zipA1'), value('zipB1')]),
+            address: value('applicant_address'),
+        },
+        niftyId: value('niftyId'),
+        holder: {
+            nameKana: { family: value('holderNameKanaFamily'), given: value('holderNameKanaGiven') },
+            nameKanji: { family: value('holderNameKanjiFamily'), given: value('holderNameKanjiGiven') },
+        },
+        transfer: {
+            approvalNumber: transferNumber('transferPrefix1', 'transferCode1'),
+            carrierChangeNumber: transferNumber('transferPrefix2', 'transferCode2'),
+        },
+        install: {
+            zip: joinValues([value('zipA2'), value('zipB2')]),
+            address: value('install_address'),
+        },
+        entryCode: value('entry_code'),
+        audit,
+        staff,
+        services,
+        quote,
+    };
+}
+
+// =================================================================================
+// 送信クラス
+// =================================================================================
+// 通信エラーやサーバーエラー（5xx）は間隔をあけて自動で再試行します。
+// 入力内容の不備（4xx）は再試行しても結果が変わらないため、すぐにエラーにします。
+export class ApplicationSubmitter {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} [options]
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {string} [options.endpoint] 受付APIのURL
+     * @param {number} [options.retries] 自動再試行の回数
+     * @param {number} [options.timeout] 1回の送信のタイムアウト（ミリ秒）
+     * @param {AuditTrail} [options.audit] 申込データに添える監査ログ
+     * @param {StaffOverrides} [options.staff] 申込データに添える従業員のログインと変更
+     * @param {ServiceAvailability} [options.availability] 申込データに添えるサービスの提供可否
+     * @param {PricingGuide} [options.pricing] 申込データに添える料金プランの試算
+     */
+    constructor(definition, { state = window.choiceState, endpoint = APPLICATION_ENDPOINT, retries = 2, timeout = 15000, audit = null, staff = null, availability = null, pricing = null } = {}) {
+        this.definition = definition;
+        this.audit = audit;
+        this.staff = staff;
+        this.availability = availability;
+        this.pricing = pricing;
+        this.state = state;
+        this.endpoint = endpoint;
+        this.retries = retries;
+        this.timeout = timeout;
+        this.requestId = null;    // 成功するまで同じIDで再送信する
+        this.lastReceipt = null;
+
+        document.addEventListener('flow:reset', () => {
+            this.requestId = null;
+            this.lastReceipt = null;
+            this.showReceipt('');
+        });
+    }
+
+    /**
+     * 申込データを送信し、受付番号を表示する
+     * @returns {Promise<{ receiptNumber: string }>}
+     */
+    async submit() {
+        // 送信の記録は申込IDごとに1回だけ残す（再送信で監査ログの連鎖が変わらないようにする）
+        if (!this.requestId) {
+            this.requestId = createRequestId();
+            this.audit?.record('submit', { requestId: this.requestId });
+        }
+        const audit = this.audit ? await this.audit.seal() : null;
+        const staff = this.staff?.applicationData() ?? null;
+        const services = this.availability?.applicationData() ?? null;
+        const quote = this.pricing?.applicationData() ?? null;
+        const application = buildApplication(this.definition, this.state, { requestId: this.requestId, audit, staff, services, quote });
+
+        try {
+            const result = await this.postWithRetry(application);
+            this.lastReceipt = result.receiptNumber;
+            this.requestId = null;
+            this.showReceipt(result.receiptNumber);
+            return result;
+        } catch (error) {
+            this.showError(error);
+            throw error;
+        }
+    }
+
+    async postWithRetry(application) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.post(application);
+            } catch (error) {
+                const retryable = !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+                if (!retryable || attempt >= this.retries) throw error;
+                console.warn(`お申込みの送信に失敗したため再試行します（${attempt + 1}回目）:`, error);
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+            }
+        }
+    }
+
+    async post(application) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(application),
+                signal: controller.signal,
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error(body.message || `受付APIがエラーを返しました（HTTP ${response.status}）`);
+                error.status = response.status;
+                error.errors = body.errors || [];
+                throw error;
+            }
+            return body;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // -----------------------------------------------------------------------------
+    // 画面表示
+    // -----------------------------------------------------------------------------
+    showReceipt(receiptNumber) {
+        const el = document.getElementById('receiptNumber');
+        if (el) el.textContent = receiptNumber;
+    }
+
+    showError(error) {
+        const el = document.getElementById('submitErrorMessage');
+        if (!el) return;
+        if (error.status >= 400 && error.status < 500 && error.errors?.length) {
+            el.textContent = `入力内容に誤りがあります：${error.errors.join('／')}`;
+        } else if (error.name === 'AbortError' || !error.status) {
+            el.textContent = '通信できませんでした。ネットワークの接続を確認してください。';
+        } else {
+            el.textContent = 'サーバーで受付できませんでした。時間をおいて再送信してください。';
+        }
+    }
+}
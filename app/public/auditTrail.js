@@ -0,0 +1,305 @@
+// =================================================================================
+// 監査ログ（重要事項の説明・同意の記録）
+// =================================================================================
+// 重要事項の説明動画の視聴、従業員のログインと変更、お客様のご了承（フロー定義の consent）などを
+// 時刻つきで記録し、お申込みのデータに添えて送信します（申込データの audit）。
+// 各記録には前の記録のハッシュを含めた SHA-256 のハッシュをつけ（ハッシュの連鎖）、
+// 途中の記録を書き換える・消すと以降のハッシュが合わなくなるようにしています。
+// 受付API（api/AuditTrailVerifier.php）と tools/exportAudit.mjs が同じ方法で確かめます。
+// ハッシュには鍵がなく、連鎖だけでは作り直した記録と区別できないため、受付APIが受け付けた時点の
+// 最後のハッシュ（head）を鍵つきの HMAC で封印して保存します（api/AuditSeal.php）。
+// ブラウザ（main.js）と Node のツールの両方から読み込むため、読み込み時に window を参照しないこと。
+//
+// 記録する内容（type）
+//   session_start   { sessionId }                    ご案内を始めた
+//   session_resume  { sessionId }                    保存した内容から再開した
+//   page_view       null                              ページを表示した
+//   choice          { group, value }                 選択肢を選んだ
+//   video_*         { source, ... }                  動画の再生（videoPlayer.js の video:* イベント）
+//   staff_*         { staffId, ... }                 従業員のログイン・変更（staffMode.js の staff:* イベント）
+//   service_availability { tableVersion, service_* }  サービスの提供可否の判定（serviceAvailability.js）
+//   price_explanation { housingPlan, paymentMethod, plans } 料金プランの比較を表示した（pricing.js）
+//   consent         { name, label }                  お客様のご了承（consent のページの「次へ」）
+//   consent_decline { name, label }                  consent のページで「戻る」を押した
+//   submit          { requestId }                    お申込みを送信した
+//
+// ハッシュを計算する内容は JSON.stringify([seq, time, type, page, data, prev]) です。
+// PHP の json_encode と同じ結果になるよう、data には小数・空のオブジェクトを入れないこと（ない場合は null）。
+
+export const AUDIT_CONFIG = {
+    version: 1,
+    // 記録するイベント → 記録の種類（イベントの detail をそのまま data にする）
+    events: {
+        'video:start': 'video_start',
+        'video:progress': 'video_progress',
+        'video:seekblocked': 'video_seek_blocked',
+        'video:complete': 'video_complete',
+        'video:close': 'video_close',
+        'staff:login': 'staff_login',
+        'staff:loginfailed': 'staff_login_failed',
+        'staff:logout': 'staff_logout',
+        'staff:override': 'staff_override',
+        'staff:overrideclear': 'staff_override_clear',
+        'availability:evaluate': 'service_availability',
+        'pricing:explain': 'price_explanation',
+    },
+};
+
+// 最初の記録の prev
+export const AUDIT_GENESIS = '0'.repeat(64);
+
+// ハッシュを計算する内容
+function entryText({ seq, time, type, page, data, prev }) {
+    return JSON.stringify([seq, time, type, page, data, prev]);
+}
+
+async function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = auditSupported() ? new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes)) : sha256Bytes(bytes);
+    return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// ブラウザの SHA-256 を使えるか（crypto.subtle は https か localhost でだけ使える。使えなければ sha256Bytes で計算する）
+export function auditSupported() {
+    return Boolean(globalThis.crypto?.subtle);
+}
+
+// -----------------------------------------------------------------------------
+// SHA-256（crypto.subtle を使えない http の接続用。FIPS 180-4）
+// -----------------------------------------------------------------------------
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32バイトのハッシュ
+ */
+export function sha256Bytes(bytes) {
+    // 末尾に 0x80、0 を詰めて、最後の8バイトにビット長を入れる（64バイト単位）
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+
+    const digest = new Uint8Array(32);
+    const out = new DataView(digest.buffer);
+    hash.forEach((value, i) => out.setUint32(i * 4, value));
+    return digest;
+}
+
+/**
+ * 記録の連鎖を確かめる
+ * @param {object[]} entries
+ * @returns {Promise<{ valid: boolean, count: number, head: string, brokenAt?: number, message?: string }>}
+ */
+export async function verifyAuditTrail(entries) {
+    let prev = AUDIT_GENESIS;
+    for (const [index, entry] of entries.entries()) {
+        const fail = message => ({ valid: false, count: entries.length, head: prev, brokenAt: index, message });
+        if (entry.seq !== index) return fail(`${index}番目の記録の番号（seq）が ${entry.seq} です`);
+        if (entry.prev !== prev) return fail(`${index}番目の記録の prev が前の記録のハッシュと一致しません`);
+        if (await sha256(entryText(entry)) !== entry.hash) return fail(`${index}番目の記録のハッシュが内容と一致しません`);
+        prev = entry.hash;
+    }
+    return { valid: true, count: entries.length, head: prev };
+}
+
+// CSV の列
+const CSV_COLUMNS = ['seq', 'time', 'type', 'page', 'data', 'prev', 'hash'];
+
+/**
+ * 記録を CSV にする（data は JSON の文字列）
+ * @param {object[]} entries
+ * @returns {string}
+ */
+export function auditToCsv(entries) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [CSV_COLUMNS.join(','), ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// =================================================================================
+// 記録クラス
+// =================================================================================
+export class AuditTrail {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION。consent のページを調べる）
+     * @param {object} [options]
+     * @param {() => void} [options.onChange] ハッシュを計算し終えたときに呼ばれる（SessionStore に保存し直す）
+     * @param {object} [options.config] AUDIT_CONFIG の上書き
+     */
+    constructor(definition, { onChange = null, config = {} } = {}) {
+        this.definition = definition;
+        this.onChange = onChange;
+        this.config = { ...AUDIT_CONFIG, ...config, events: { ...AUDIT_CONFIG.events, ...config.events } };
+        this.entries = [];
+        this.pending = Promise.resolve();   // ハッシュの計算は記録した順に行う
+        this.sessionId = null;
+        this.currentId = null;
+        this.enabled = false;   // 「ご案内開始」または再開するまでは記録しない
+
+        if (!auditSupported()) console.warn('この接続ではブラウザの SHA-256 を使えないため、監査ログのハッシュを予備の計算で求めます（https で開くことを推奨）');
+
+        document.addEventListener('flow:pagechange', (e) => {
+            this.currentId = e.detail.id;
+            this.record('page_view');
+        });
+        document.addEventListener('flow:choicechange', (e) => {
+            this.record('choice', { group: e.detail.group, value: e.detail.value ?? null });
+        });
+        document.addEventListener('flow:reset', () => this.clear());
+        for (const [eventName, type] of Object.entries(this.config.events)) {
+            document.addEventListener(eventName, (e) => this.record(type, { ...e.detail }));
+        }
+        // FlowController より先にボタンの操作を記録する（次のページの page_view より前になるように）
+        document.addEventListener('click', (e) => this.onClick(e), true);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 開始・再開
+    // -----------------------------------------------------------------------------
+    // ご案内を始める（それまでの記録は捨てる）
+    start() {
+        this.clear();
+        this.sessionId = createSessionId();
+        this.enabled = true;
+        this.record('session_start', { sessionId: this.sessionId });
+    }
+
+    clear() {
+        this.entries = [];
+        this.pending = Promise.resolve();
+        this.sessionId = null;
+        this.enabled = false;
+    }
+
+    // SessionStore に保存する内容（ハッシュを計算し終えた記録）
+    save() {
+        return { sessionId: this.sessionId, entries: this.sealedEntries() };
+    }
+
+    // 保存した記録から続ける（入力欄を戻す前に呼ばれる）
+    restore(saved) {
+        this.clear();
+        this.sessionId = saved?.sessionId || createSessionId();
+        this.entries = (saved?.entries || []).map(entry => ({ ...entry }));
+        this.currentId = null;  // 再開するページは、この後の page_view に記録する
+        this.enabled = true;
+        this.record('session_resume', { sessionId: this.sessionId });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 記録
+    // -----------------------------------------------------------------------------
+    /**
+     * 記録を追加する（ハッシュは後から順に計算する）
+     * @param {string} type
+     * @param {object|null} [data]
+     */
+    record(type, data = null) {
+        if (!this.enabled) return;
+        const previous = this.entries[this.entries.length - 1];
+        const entry = {
+            seq: this.entries.length,
+            time: new Date().toISOString(),
+            type,
+            page: this.currentId,
+            data: data && Object.keys(data).length ? data : null,
+            prev: null,
+            hash: null,
+        };
+        this.entries.push(entry);
+        this.pending = this.pending.then(async () => {
+            entry.prev = previous ? previous.hash : AUDIT_GENESIS;
+            entry.hash = await sha256(entryText(entry));
+            this.onChange?.();
+        }).catch(error => console.error('監査ログのハッシュを計算できませんでした:', error));
+    }
+
+    onClick(e) {
+        if (!this.enabled) return;
+        const step = this.definition.steps[this.currentId];
+        const button = e.target.closest('.btn.next, .btn.back');
+        if (!step?.consent || !button || !button.closest(`#${this.currentId}`)) return;
+        if (button.classList.contains('is-disabled') || button.getAttribute('aria-disabled') === 'true') return;
+
+        const forward = button.classList.contains('next');
+        this.record(forward ? 'consent' : 'consent_decline', { name: step.consent, label: button.textContent.trim() });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 取り出し
+    // -----------------------------------------------------------------------------
+    // ハッシュを計算し終えた記録（計算中の記録より前の部分）
+    sealedEntries() {
+        const index = this.entries.findIndex(entry => !entry.hash);
+        return (index < 0 ? this.entries : this.entries.slice(0, index)).map(entry => ({ ...entry }));
+    }
+
+    /**
+     * 申込データに添える内容（計算中のハッシュを待つ）
+     * @returns {Promise<{ version: number, sessionId: string|null, entries: object[], head: string }>}
+     */
+    async seal() {
+        await this.pending;
+        const entries = this.sealedEntries();
+        return {
+            version: this.config.version,
+            sessionId: this.sessionId,
+            entries,
+            head: entries.length ? entries[entries.length - 1].hash : AUDIT_GENESIS,
+        };
+    }
+
+    /**
+     * 記録をファイルとして保存する（従業員がブラウザのコンソールから使う）
+     * @param {'json'|'csv'} [format]
+     */
+    async download(format = 'json') {
+        const trail = await this.seal();
+        const body = format === 'csv' ? auditToCsv(trail.entries) : JSON.stringify(trail, null, 2);
+        const blob = new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit-${trail.sessionId || 'session'}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
+
+function createSessionId() {
+    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+// =================================================================================
+// 変換済み（焼き込み）アニメーション
+// =================================================================================
+// FBXなどの読み込みとVRM向けの変換は重いため、tools/bakeAnimations.mjs で
+// 前もって変換したクリップを animations/baked/ に JSON で保存しておき、起動時はそれを読み込みます。
+// クリップは変換に使ったアバター向けのため、別のアバターには使いません（avatarSignature で確認）。
+//
+// animations/baked/manifest.json の形式:
+//   { "avatar": { "metaVersion": "1", "hipsHeight": 0.9481 },
+//     "clips": { "<名前>": { "file": "<名前>.json", "source": "<manifest.json の file>", "format": "mixamo", "hash": "..." } } }
+//
+// クリップの JSON は THREE.AnimationClip.toJSON と同じ形式で、
+// 数値を precision 桁に丸め、前後のキーから直線で補える（誤差が tolerance 以下の）キーを省いています。
+
+export const BAKE_CONFIG = {
+    precision: 4,          // 小数点以下の桁数
+    tolerance: 0.0005,     // キーを省くときに許す誤差（クォータニオンの成分・腰の位置[m]）
+};
+
+// 変換結果に影響するアバターの値（メタのバージョンと腰の高さ）
+export function avatarSignature(vrm) {
+    return {
+        metaVersion: vrm.meta?.metaVersion ?? null,
+        hipsHeight: round(vrm.humanoid.normalizedRestPose.hips.position[1], BAKE_CONFIG.precision),
+    };
+}
+
+export function matchesAvatar(signature, vrm) {
+    const current = avatarSignature(vrm);
+    return signature?.metaVersion === current.metaVersion && signature?.hipsHeight === current.hipsHeight;
+}
+
+function round(value, precision) {
+    const scale = 10 ** precision;
+    return Math.round(value * scale) / scale;
+}
+
+// -----------------------------------------------------------------------------
+// キーの削減
+// -----------------------------------------------------------------------------
+/**
+ * 前後のキーから直線で補えるキーを省く（Ramer–Douglas–Peucker 法）
+ * 省いたどのキーでも、残したキーの間を直線で補った値との差が tolerance 以下になります。
+ * @param {ArrayLike<number>} times
+ * @param {ArrayLike<number>} values
+ * @param {number} stride キーごとの値の数（クォータニオンは4、位置は3）
+ * @param {number} tolerance
+ * @returns {{ times: number[], values: number[] }}
+ */
+export function reduceKeyframes(times, values, stride, tolerance) {
+    const count = times.length;
+    if (count <= 2) return { times: Array.from(times), values: Array.from(values) };
+
+    const keep = new Uint8Array(count);
+    keep[0] = keep[count - 1] = 1;
+    const ranges = [[0, count - 1]];
+    while (ranges.length) {
+        const [first, last] = ranges.pop();
+        let worst = -1;
+        let worstError = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const t = (times[i] - times[first]) / (times[last] - times[first]);
+            for (let c = 0; c < stride; c++) {
+                const a = values[first * stride + c];
+                const b = values[last * stride + c];
+                const error = Math.abs(a + (b - a) * t - values[i * stride + c]);
+                if (error > worstError) {
+                    worstError = error;
+                    worst = i;
+                }
+            }
+        }
+        if (worst < 0) continue;
+        keep[worst] = 1;
+        ranges.push([first, worst], [worst, last]);
+    }
+
+    const reduced = { times: [], values: [] };
+    for (let i = 0; i < count; i++) {
+        if (!keep[i]) continue;
+        reduced.times.push(times[i]);
+        for (let c = 0; c < stride; c++) reduced.values.push(values[i * stride + c]);
+    }
+    return reduced;
+}
+
+// -----------------------------------------------------------------------------
+// 保存・読み込み
+// -----------------------------------------------------------------------------
+/**
+ * 変換済みのクリップを保存用の JSON にする
+ * @param {THREE.AnimationClip} clip
+ * @param {object} [options] BAKE_CONFIG の上書き
+ * @returns {object}
+ */
+export function bakeClip(clip, options = {}) {
+    const { precision, tolerance } = { ...BAKE_CONFIG, ...options };
+    const json = THREE.AnimationClip.toJSON(clip);
+    json.tracks = clip.tracks.map((track, index) => {
+        const stride = track.getValueSize();
+        const { times, values } = reduceKeyframes(track.times, track.values, stride, tolerance);
+        return {
+            ...json.tracks[index],
+            times: times.map(time => round(time, precision)),
+            values: values.map(value => round(value, precision)),
+        };
+    });
+    delete json.uuid;
+    return json;
+}
+
+/**
+ * 保存した JSON からクリップを作る（丸めたクォータニオンは長さ1に直す）
+ * @param {object} json
+ * @returns {THREE.AnimationClip}
+ */
+export function parseBakedClip(json) {
+    const clip = THREE.AnimationClip.parse(json);
+    const quat = new THREE.Quaternion();
+    for (const track of clip.tracks) {
+        if (!(track instanceof THREE.QuaternionKeyframeTrack)) continue;
+        for (let i = 0; i < track.values.length; i += 4) {
+            quat.fromArray(track.values, i).normalize().toArray(track.values, i);
+        }
+    }
+    return clip;
+}
+
+/**
+ * 変換済みのクリップを読み込む
+ * アバターにない骨を動かすトラックがある場合は、別のアバター向けのクリップとしてエラーにします。
+ * @param {string} url
+ * @param {VRM} vrm
+ * @returns {Promise<THREE.AnimationClip>}
+ */
+export async function loadBakedClip(url, vrm) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`変換済みのアニメーション(${url})を読み込めませんでした（HTTP ${response.status}）`);
+    const clip = parseBakedClip(await response.json());
+
+    const missing = clip.tracks
+        .map(track => THREE.PropertyBinding.parseTrackName(track.name).nodeName)
+        .filter(nodeName => !vrm.scene.getObjectByName(nodeName));
+    if (missing.length) throw new Error(`変換済みのアニメーション(${url})がアバターにない骨を動かします: ${[...new Set(missing)].join(', ')}`);
+    return clip;
+}
@@ -0,0 +1,287 @@
+// =================================================================================
+// 店舗・キャンペーンごとの設定（ブランディング）
+// =================================================================================
+// 店舗やキャンペーンごとに、アバター・背景・声・アイドルのアニメーション・あいさつ・テーマの色を切り替えます。
+// 使う店舗とアバターは従業員用の画面（AvatarMenu）で選び、この端末の localStorage に保存します
+// （保存がなければ BRANDING_CONFIG.defaultStore とその店舗の avatar を使う）。
+// アバターは、フローが使う表情と骨（avatarRequirements）がそろっているかを確かめてから切り替えます。
+// ブラウザ（main.js）と Node のツールの両方から読み込むため、読み込み時に window を参照しないこと。
+
+// アバターの設定
+//   label      : 従業員用の画面に表示する名前
+//   model      : VRMファイル
+//   idle       : アイドルのアニメーション（animations/manifest.json の名前）
+//   voice      : ナレーションの声（narration.js の NARRATION_CONFIG の上書き。manifestUrl・server.speaker・speech など）
+//   animations : アニメーションの読み込みの設定（animationRegistry.js の ANIMATION_CONFIG の上書き。
+//                変換済みのクリップはアバターごとに作るため、別のモデルでは bakedUrl を分ける）
+export const AVATARS = {
+    default: {
+        label: '標準',
+        model: 'avatar.vrm',
+        idle: 'idle',
+        voice: {},
+        animations: {},
+    },
+    // 例: 別のモデルと声のアバター
+    // guide2: {
+    //     label: '案内係2',
+    //     model: 'avatars/guide2.vrm',
+    //     idle: 'idle',
+    //     voice: { manifestUrl: 'sounds/narration/guide2/manifest.json', server: { speaker: 3 }, speech: { pitch: 1.2 } },
+    //     animations: { bakedUrl: 'animations/baked/guide2' },
+    // },
+};
+
+// 店舗・キャンペーンの設定
+//   label      : 従業員用の画面に表示する名前
+//   title      : 初期モーダルの見出し
+//   avatar     : 最初に使うアバター（AVATARS の名前）
+//   avatars    : 従業員用の画面で切り替えられるアバター
+//   background : 背景の画像
+//   greeting   : 最初のページの吹き出しの文言（行の配列）。null ならフロー定義のまま
+//   theme      : テーマの色 { primary, secondary, accent }（style.css の --theme-*）。省略した色は style.css のまま
+export const STORES = {
+    default: {
+        label: '標準',
+        title: '@nifty光 契約受付',
+        avatar: 'default',
+        avatars: ['default'],
+        background: 'image/background.jpg',
+        greeting: null,
+        theme: {},
+    },
+    // 例: キャンペーン
+    // summer: {
+    //     label: '夏のキャンペーン',
+    //     title: '@nifty光 夏のお申込みキャンペーン',
+    //     avatar: 'default',
+    //     avatars: ['default', 'guide2'],
+    //     background: 'image/summer.jpg',
+    //     greeting: ['@nifty光 夏のキャンペーンへようこそ。', 'まずは重要事項の説明を動画でご案内します。', '「視聴開始」を押してください。'],
+    //     theme: { primary: '#0097a7', accent: '#d81b60' },
+    // },
+};
+
+export const BRANDING_CONFIG = {
+    defaultStore: 'default',
+    storageKey: 'niftyReceptionBranding',   // 選んだ店舗・アバターの保存先（localStorage）
+};
+
+// -----------------------------------------------------------------------------
+// 使う設定の選択
+// -----------------------------------------------------------------------------
+/**
+ * 保存した選択（{ store, avatar }）から使う店舗とアバターを決める（ない名前は既定に戻す）
+ * @param {{ store?: string, avatar?: string }} [selection]
+ * @returns {{ storeId: string, store: object, avatarId: string, avatar: object }}
+ */
+export function resolveBranding(selection = {}) {
+    let storeId = selection.store || BRANDING_CONFIG.defaultStore;
+    if (!STORES[storeId]) {
+        console.warn(`店舗の設定「${storeId}」は STORES にないため、${BRANDING_CONFIG.defaultStore} を使います`);
+        storeId = BRANDING_CONFIG.defaultStore;
+    }
+    const store = STORES[storeId];
+
+    let avatarId = selection.avatar || store.avatar;
+    if (!AVATARS[avatarId] || !storeAvatars(store).includes(avatarId)) {
+        if (selection.avatar) console.warn(`アバター「${avatarId}」はこの店舗（${storeId}）で使えないため、${store.avatar} を使います`);
+        avatarId = store.avatar;
+    }
+    return { storeId, store, avatarId, avatar: { ...AVATARS.default, ...AVATARS[avatarId] } };
+}
+
+function storeAvatars(store) {
+    return store.avatars?.length ? store.avatars : [store.avatar];
+}
+
+export function loadSelection(storage = globalThis.localStorage) {
+    try {
+        return JSON.parse(storage?.getItem(BRANDING_CONFIG.storageKey)) || {};
+    } catch {
+        return {};
+    }
+}
+
+export function saveSelection(selection, storage = globalThis.localStorage) {
+    storage?.setItem(BRANDING_CONFIG.storageKey, JSON.stringify(selection));
+}
+
+// -----------------------------------------------------------------------------
+// 設定の反映
+// -----------------------------------------------------------------------------
+// 最初のページの吹き出しを店舗のあいさつにする（フロー定義を書き換える）
+export function applyGreeting(definition, store) {
+    if (store.greeting?.length) definition.steps[definition.start].question = [...store.greeting];
+    return definition;
+}
+
+// 初期モーダルの見出しとテーマの色を反映する
+export function applyTheme(store, root = document.documentElement) {
+    for (const [name, color] of Object.entries(store.theme || {})) {
+        root.style.setProperty(`--theme-${name}`, color);
+    }
+    // アバターなし（2D）で案内するときの背景（style.css の body.is-fallback）
+    if (store.background) root.style.setProperty('--store-background', `url("${store.background}")`);
+    const title = document.getElementById('startTitle');
+    if (title && store.title) title.textContent = store.title;
+}
+
+// -----------------------------------------------------------------------------
+// アバターの確認
+// -----------------------------------------------------------------------------
+// まばたき（main.js）・口の形（lipSync.js）に使う表情
+const FEATURE_EXPRESSIONS = ['blink', 'aa', 'ih', 'ou', 'ee', 'oh'];
+// 視線（gazeController.js）・アニメーションの基準に使う骨
+const FEATURE_BONES = ['hips', 'head'];
+
+/**
+ * フローが使う表情と骨
+ * @param {object} options
+ * @param {object} options.definition フロー定義（avatar.expression・avatar.cues）
+ * @param {object} [options.actions] アクションの設定（ACTION_CONFIG の expression）
+ * @param {object} [options.shots] カメラのショット（CAMERA_SHOTS の frame）
+ * @returns {{ expressions: string[], bones: string[] }}
+ */
+export function avatarRequirements({ definition, actions = {}, shots = {} }) {
+    const expressions = new Set(FEATURE_EXPRESSIONS);
+    const addExpression = (expression) => {
+        if (!expression) return;
+        if (typeof expression === 'string') expressions.add(expression);
+        else Object.keys(expression).forEach(name => expressions.add(name));
+    };
+    for (const step of Object.values(definition.steps)) {
+        addExpression(step.avatar?.expression);
+        step.avatar?.cues?.forEach(cue => addExpression(cue.expression));
+    }
+    Object.values(actions).forEach(action => addExpression(action.expression));
+
+    const bones = new Set(FEATURE_BONES);
+    Object.values(shots).forEach(shot => shot.frame?.forEach(bone => bone !== 'ground' && bones.add(bone)));
+    return { expressions: [...expressions], bones: [...bones] };
+}
+
+/**
+ * アバターに足りない表情・骨
+ * @param {VRM} vrm
+ * @param {{ expressions: string[], bones: string[] }} requirements
+ * @returns {string[]} 問題の説明（なければ空）
+ */
+export function checkAvatar(vrm, requirements) {
+    const missingBones = requirements.bones.filter(bone => !vrm.humanoid?.getRawBoneNode(bone));
+    const missingExpressions = requirements.expressions.filter(name => !vrm.expressionManager?.getExpression(name));
+    const problems = [];
+    if (missingBones.length) problems.push(`骨がありません: ${missingBones.join(', ')}`);
+    if (missingExpressions.length) problems.push(`表情がありません: ${missingExpressions.join(', ')}`);
+    return problems;
+}
+
+// =================================================================================
+// アバターの切り替え（従業員用の画面）
+// =================================================================================
+export class AvatarMenu {
+    /**
+     * @param {object} options
+     * @param {VRMViewer} options.viewer
+     * @param {Narrator} options.narrator 声を切り替える
+     * @param {object} options.branding resolveBranding の結果（今の店舗・アバター）
+     * @param {StaffSession} options.staff 従業員ログイン（従業員モードの間だけ開ける）
+     * @param {Storage} [options.storage] 選択の保存先（既定: localStorage）
+     */
+    constructor({ viewer, narrator, branding, staff, storage = window.localStorage }) {
+        this.viewer = viewer;
+        this.narrator = narrator;
+        this.branding = branding;
+        this.staff = staff;
+        this.storage = storage;
+        this.busy = false;
+
+        this.modal = document.getElementById('avatar-modal');
+        this.storeSelect = document.getElementById('storeSelect');
+        this.listEl = document.getElementById('avatarList');
+        this.statusEl = document.getElementById('avatarStatus');
+
+        document.getElementById('avatarMenuButton')?.addEventListener('click', () => this.show());
+        document.getElementById('avatarMenuClose')?.addEventListener('click', () => this.hide());
+        this.storeSelect?.addEventListener('change', () => this.switchStore(this.storeSelect.value));
+        // 従業員モードが終わったら閉じる（切り替えの途中なら終わってから閉じる）
+        document.addEventListener('staff:logout', () => this.hide());
+    }
+
+    // ボタンは従業員モードの間だけ表示しているが、コンソールなどから呼ばれても開かない
+    show() {
+        if (!this.staff.isActive()) return;
+        this.render();
+        this.setStatus('');
+        this.modal?.classList.add('active');
+    }
+
+    hide() {
+        if (this.busy) return;
+        this.modal?.classList.remove('active');
+    }
+
+    render() {
+        if (this.storeSelect) {
+            this.storeSelect.replaceChildren(...Object.entries(STORES).map(([id, store]) => {
+                const option = new Option(store.label || id, id);
+                option.selected = id === this.branding.storeId;
+                return option;
+            }));
+        }
+        if (!this.listEl) return;
+        this.listEl.replaceChildren(...storeAvatars(this.branding.store).filter(id => AVATARS[id]).map((id) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = AVATARS[id].label || id;
+            button.disabled = this.busy;
+            button.classList.toggle('is-selected', id === this.branding.avatarId);
+            button.addEventListener('click', () => this.switchAvatar(id));
+            item.append(button);
+            return item;
+        }));
+    }
+
+    setStatus(text, error = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('is-error', error);
+    }
+
+    // 店舗を変えると見出し・あいさつ・フローが変わるため、保存して読み込み直す
+    switchStore(storeId) {
+        if (!this.staff.isActive()) return;
+        saveSelection({ store: storeId }, this.storage);
+        location.reload();
+    }
+
+    async switchAvatar(avatarId) {
+        if (this.busy || avatarId === this.branding.avatarId || !this.staff.isActive()) return;
+        const avatar = { ...AVATARS.default, ...AVATARS[avatarId] };
+
+        // アバターを読み込めていない場合は、選択を保存して読み込み直す
+        if (!this.viewer.vrm) {
+            saveSelection({ store: this.branding.storeId, avatar: avatarId }, this.storage);
+            location.reload();
+            return;
+        }
+
+        this.busy = true;
+        this.render();
+        this.setStatus(`${avatar.label || avatarId} を読み込んでいます…`);
+        try {
+            await this.viewer.switchAvatar(avatar);
+            this.narrator.setVoice(avatar.voice);
+            this.branding = { ...this.branding, avatarId, avatar };
+            saveSelection({ store: this.branding.storeId, avatar: avatarId }, this.storage);
+            this.setStatus(`${avatar.label || avatarId} に切り替えました`);
+        } catch (error) {
+            console.error(`アバター「${avatarId}」に切り替えられませんでした:`, error);
+            this.setStatus(`切り替えられませんでした: ${error.message}`, true);
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * BVH（モーションキャプチャ）の骨の名前からVRMのHumanoidボーン名への対応
+ * BVHは書き出したソフトによって骨の名前が違うため、よく使われる名前を候補として並べます
+ * （Mixamo / CMU / Bandai Namco / DAZ・Poser / 3ds Max Biped など）。
+ * 候補は前にあるものほど優先し、ファイル内で最初に見つかった候補を使います。
+ */
+
+// 左右のある骨（VRMの骨の名前から left / right を除いた部分 → 候補）
+const SIDED_ALIASES = {
+    Shoulder: ['shoulder', 'collar', 'clavicle'],
+    UpperArm: ['upperarm', 'arm', 'shldr'],
+    LowerArm: ['lowerarm', 'forearm', 'elbow'],
+    Hand: ['hand', 'wrist'],
+    UpperLeg: ['upperleg', 'upleg', 'thigh', 'hip'],
+    LowerLeg: ['lowerleg', 'leg', 'shin', 'calf', 'knee'],
+    Foot: ['foot', 'ankle'],
+    Toes: ['toes', 'toebase', 'toe'],
+    ThumbMetacarpal: ['thumbmetacarpal', 'handthumb1', 'thumb1', 'finger0'],
+    ThumbProximal: ['thumbproximal', 'handthumb2', 'thumb2', 'finger01'],
+    ThumbDistal: ['thumbdistal', 'handthumb3', 'thumb3', 'finger02'],
+    IndexProximal: ['indexproximal', 'handindex1', 'index1', 'finger1'],
+    IndexIntermediate: ['indexintermediate', 'handindex2', 'index2', 'finger11'],
+    IndexDistal: ['indexdistal', 'handindex3', 'index3', 'finger12'],
+    MiddleProximal: ['middleproximal', 'handmiddle1', 'mid1', 'middle1', 'finger2'],
+    MiddleIntermediate: ['middleintermediate', 'handmiddle2', 'mid2', 'middle2', 'finger21'],
+    MiddleDistal: ['middledistal', 'handmiddle3', 'mid3', 'middle3', 'finger22'],
+    RingProximal: ['ringproximal', 'handring1', 'ring1', 'finger3'],
+    RingIntermediate: ['ringintermediate', 'handring2', 'ring2', 'finger31'],
+    RingDistal: ['ringdistal', 'handring3', 'ring3', 'finger32'],
+    LittleProximal: ['littleproximal', 'handpinky1', 'pinky1', 'finger4'],
+    LittleIntermediate: ['littleintermediate', 'handpinky2', 'pinky2', 'finger41'],
+    LittleDistal: ['littledistal', 'handpinky3', 'pinky3', 'finger42'],
+};
+
+// 左右を表す書き方（LeftArm / lShldr / Arm_L / Bip01 L UpperArm など）
+const SIDES = {
+    left: ['left', 'l'],
+    right: ['right', 'r'],
+};
+
+function sidedAliases(side, aliases) {
+    return SIDES[side].flatMap(mark => aliases.map(alias => `${mark}${alias}`))
+        .concat(SIDES[side].flatMap(mark => aliases.map(alias => `${alias}${mark}`)));
+}
+
+export const bvhBoneAliases = {
+    hips: ['hips', 'hip', 'pelvis'],
+    spine: ['spine', 'lowerback', 'abdomen', 'spine0'],
+    chest: ['chest', 'spine1', 'abdomen2'],
+    upperChest: ['upperchest', 'spine2', 'chest2'],
+    neck: ['neck', 'neck1'],
+    head: ['head'],
+    ...Object.fromEntries(Object.keys(SIDES).flatMap(side => (
+        Object.entries(SIDED_ALIASES).map(([bone, aliases]) => [`${side}${bone}`, sidedAliases(side, aliases)])
+    ))),
+};
+
+/**
+ * 比較用に骨の名前を整える（名前空間・Mixamo / Biped の接頭辞・記号を除いて小文字にする）
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeBVHBoneName(name) {
+    return name
+        .replace(/^.*:/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/^(mixamorig|bip0?1)/, '');
+}
+
+/**
+ * BVHの骨の名前の一覧から、骨の名前 → VRMのHumanoidボーン名の対応表を作る
+ * @param {string[]} boneNames
+ * @returns {Object<string, string>}
+ */
+export function createBVHRigMap(boneNames) {
+    const byNormalizedName = new Map();
+    for (const name of boneNames) {
+        const normalized = normalizeBVHBoneName(name);
+        if (normalized && !byNormalizedName.has(normalized)) byNormalizedName.set(normalized, name);
+    }
+
+    const rigMap = {};
+    for (const [vrmBoneName, aliases] of Object.entries(bvhBoneAliases)) {
+        const sourceName = aliases.map(alias => byNormalizedName.get(alias)).find(name => name && !rigMap[name]);
+        if (sourceName) rigMap[sourceName] = vrmBoneName;
+    }
+    return rigMap;
+}
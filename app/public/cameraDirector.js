@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+
+// =================================================================================
+// カメラの演出
+// =================================================================================
+// 名前をつけたショット（アップ・バストアップ・全身・横から）を、ページ（フロー定義の camera）と
+// アクション（ACTION_CONFIG の shot）ごとに割り当て、切り替えるときはイージングで滑らかに動かします。
+// アクションのショットはそのアクションの再生中だけ使い、終わるとページのショットに戻ります。
+// カメラの距離と向きは、今のページの吹き出し（.balloon）や台座（.card）・下のボタン（.page-bottom）に
+// アバターが隠れないよう、それらの間の空いている範囲に写るように計算します。
+// 店頭ではお客様が触れてもカメラが動かないよう、OrbitControls は従業員のデバッグ表示（setDebug）の間だけ使えます。
+
+// ショットの設定
+//   frame : [下の骨, 上の骨] この2つの骨の高さの間を写す（'ground' は足元）
+//   below / above : 下の骨より下・上の骨より上に足す余白（m。頭の骨は首の付け根にあるため above で頭頂まで含める）
+//   fov   : 画角（度）
+//   yaw   : 正面からカメラを回す角度（度。正ならアバターから見て左から写す）
+export const CAMERA_SHOTS = {
+    closeUp: { frame: ['neck', 'head'], below: 0.06, above: 0.22, fov: 17, yaw: 0 },
+    bust: { frame: ['spine', 'head'], below: 0.05, above: 0.22, fov: 17, yaw: 0 },
+    fullBody: { frame: ['ground', 'head'], below: 0.05, above: 0.22, fov: 20, yaw: 0 },
+    side: { frame: ['spine', 'head'], below: 0.05, above: 0.22, fov: 17, yaw: 35 },
+};
+
+export const CAMERA_CONFIG = {
+    defaultShot: 'bust',              // ページ・アクションにショットの指定がない場合
+    duration: 1.0,                    // ショットを切り替える時間（秒）
+    easing: 'easeInOutCubic',         // 切り替えの動き（CAMERA_EASINGS の名前）
+    // アバターを隠す部品（今のページの中）。cover.top より下、cover.bottom より上に写す
+    cover: {
+        top: '.balloon',
+        bottom: '.card, .page-bottom',
+    },
+    padding: 12,                      // 部品との間をあける幅（#stage の px）
+    minFreeRatio: 0.35,               // 空いている範囲が画面の高さのこの割合より狭い場合は、部品に少し重ねてこの割合を使う
+    // 従業員のデバッグ表示で OrbitControls を使うときの制限
+    debug: {
+        minDistance: 0.5,
+        maxDistance: 8.0,
+        maxPolarAngle: 100,           // 真上からの角度の上限（度。床の下から見上げないように）
+    },
+};
+
+// 切り替えの動き（0〜1 の経過の割合 → 0〜1 の進み具合）
+export const CAMERA_EASINGS = {
+    linear: t => t,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+    easeOutCubic: t => 1 - (1 - t) ** 3,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+export class CameraDirector {
+    /**
+     * @param {object} options
+     * @param {THREE.PerspectiveCamera} options.camera
+     * @param {OrbitControls} [options.controls] デバッグ表示で使う操作（それ以外の間は無効にする）
+     * @param {HTMLElement} [options.element] カメラが写す範囲の要素（既定: 画面全体）
+     * @param {object} [options.shots] CAMERA_SHOTS の追加・上書き
+     * @param {object} [options.config] CAMERA_CONFIG の上書き
+     */
+    constructor({ camera, controls = null, element = null, shots = {}, config = {} }) {
+        this.camera = camera;
+        this.controls = controls;
+        this.element = element;
+        this.shots = { ...CAMERA_SHOTS, ...shots };
+        this.config = {
+            ...CAMERA_CONFIG,
+            ...config,
+            cover: { ...CAMERA_CONFIG.cover, ...config.cover },
+            debug: { ...CAMERA_CONFIG.debug, ...config.debug },
+        };
+
+        this.vrm = null;
+        this.heights = {};            // 骨の名前 → 立ち姿での高さ（m）
+        this.center = new THREE.Vector3();
+        this.pageShot = null;         // 今のページのショット
+        this.actionShot = null;       // 再生中のアクションのショット
+        this.target = new THREE.Vector3();   // カメラが向く位置
+        this.tween = null;            // { from, to, time, duration }
+        this.debug = false;
+        this.warned = new Set();
+
+        if (this.controls) this.controls.enabled = false;
+
+        document.addEventListener('flow:pagechange', (e) => this.setPageShot(e.detail.step?.camera));
+        document.addEventListener('flow:reset', () => this.setPageShot(null));
+        // 選択肢で入力欄が増えるなど、部品の大きさが変わったときは写す範囲を合わせ直す
+        document.addEventListener('flow:choicechange', () => this.reframe());
+        window.addEventListener('resize', () => this.reframe({ duration: 0 }));
+    }
+
+    // VRMを読み込んだら呼ぶ（立ち姿の骨の高さを覚えて、今のショットに切り替える）
+    setVRM(vrm) {
+        this.vrm = vrm;
+        this.heights = { ground: 0 };
+        const humanoid = vrm?.humanoid;
+        if (humanoid) {
+            vrm.scene.updateMatrixWorld(true);
+            const position = new THREE.Vector3();
+            for (const boneName of Object.keys(humanoid.humanBones)) {
+                const node = humanoid.getRawBoneNode(boneName);
+                if (node) this.heights[boneName] = node.getWorldPosition(position).y;
+            }
+            humanoid.getRawBoneNode('hips')?.getWorldPosition(this.center);
+        }
+        this.reframe({ duration: 0 });
+    }
+
+    // -----------------------------------------------------------------------------
+    // ショットの指定
+    // -----------------------------------------------------------------------------
+    // ページのショット（null なら既定のショット）
+    setPageShot(name) {
+        this.pageShot = name || null;
+        // ページの表示が切り替わってから部品の位置を測る
+        requestAnimationFrame(() => this.reframe());
+    }
+
+    // アクションのショット（null ならページのショットに戻す）
+    setActionShot(name) {
+        if ((name || null) === this.actionShot) return;
+        this.actionShot = name || null;
+        this.reframe();
+    }
+
+    currentShot() {
+        for (const name of [this.actionShot, this.pageShot, this.config.defaultShot]) {
+            if (!name) continue;
+            if (this.shots[name]) return this.shots[name];
+            if (!this.warned.has(name)) console.warn(`カメラのショット「${name}」は CAMERA_SHOTS にありません`);
+            this.warned.add(name);
+        }
+        return null;
+    }
+
+    /**
+     * 今のショットと部品の配置でカメラの位置を計算し直し、そこへ動かす
+     * @param {object} [options]
+     * @param {number} [options.duration] 切り替えの時間（秒。既定: CAMERA_CONFIG.duration）
+     */
+    reframe({ duration = this.config.duration } = {}) {
+        const shot = this.currentShot();
+        if (!this.vrm || !shot || this.debug) return;
+        const to = this.poseFor(shot, this.freeArea());
+        if (duration > 0) {
+            this.tween = { from: this.currentPose(), to, time: 0, duration };
+        } else {
+            this.tween = null;
+            this.applyPose(to);
+        }
+    }
+
+    // -----------------------------------------------------------------------------
+    // 従業員のデバッグ表示（OrbitControls でカメラを動かせる）
+    // -----------------------------------------------------------------------------
+    setDebug(enabled) {
+        this.debug = Boolean(enabled);
+        if (this.controls) {
+            const { minDistance, maxDistance, maxPolarAngle } = this.config.debug;
+            Object.assign(this.controls, { minDistance, maxDistance, maxPolarAngle: maxPolarAngle * DEG });
+            this.controls.enabled = this.debug;
+            this.controls.target.copy(this.target);
+            this.controls.update();
+        }
+        this.tween = null;
+        // 終わったら今のショットに戻す
+        if (!this.debug) this.reframe();
+    }
+
+    // -----------------------------------------------------------------------------
+    // 毎フレームの更新
+    // -----------------------------------------------------------------------------
+    update(deltaTime) {
+        if (!this.tween || this.debug) return;
+        const tween = this.tween;
+        tween.time += deltaTime;
+        const progress = Math.min(tween.time / tween.duration, 1);
+        const easing = CAMERA_EASINGS[this.config.easing] || CAMERA_EASINGS.linear;
+        this.applyPose(interpolatePose(tween.from, tween.to, easing(progress)));
+        if (progress >= 1) this.tween = null;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 位置の計算
+    // -----------------------------------------------------------------------------
+    // 画面のうち、今のページの部品に隠れない範囲（画面座標の上端・下端と画面の高さ）
+    freeArea() {
+        const view = this.element?.getBoundingClientRect() ?? { top: 0, height: window.innerHeight };
+        const page = document.querySelector('.page.active');
+        const scale = stageScale();
+        const padding = this.config.padding * scale;
+
+        let top = view.top;
+        let bottom = view.top + view.height;
+        if (page) {
+            for (const rect of visibleRects(page, this.config.cover.top)) top = Math.max(top, rect.bottom + padding);
+            for (const rect of visibleRects(page, this.config.cover.bottom)) {
+                if (rect.top > top) bottom = Math.min(bottom, rect.top - padding);
+            }
+        }
+
+        const minHeight = view.height * this.config.minFreeRatio;
+        if (bottom - top < minHeight) bottom = Math.min(top + minHeight, view.top + view.height);
+        if (bottom - top < minHeight) top = bottom - minHeight;
+        return { top: top - view.top, bottom: bottom - view.top, height: view.height };
+    }
+
+    // ショットの範囲が空いている範囲にちょうど写るカメラの位置
+    poseFor(shot, area) {
+        const [lower, upper] = shot.frame;
+        const bottomY = (this.heights[lower] ?? 0) - (shot.below ?? 0);
+        const topY = (this.heights[upper] ?? bottomY) + (shot.above ?? 0);
+        const span = Math.max(topY - bottomY, 0.1);
+
+        const tanHalf = Math.tan((shot.fov * DEG) / 2);
+        const freeRatio = (area.bottom - area.top) / area.height;
+        const distance = span / 2 / (tanHalf * freeRatio);
+
+        // 空いている範囲の中心が画面の中心からずれている分、カメラの向く高さをずらす（カメラは水平に向ける）
+        const freeCenter = 1 - ((area.top + area.bottom) / area.height);
+        const target = new THREE.Vector3(this.center.x, (topY + bottomY) / 2 - freeCenter * distance * tanHalf, this.center.z);
+        const offset = new THREE.Spherical(distance, Math.PI / 2, (shot.yaw ?? 0) * DEG);
+        return { target, offset, fov: shot.fov };
+    }
+
+    currentPose() {
+        const offset = new THREE.Spherical().setFromVector3(_v3A.copy(this.camera.position).sub(this.target));
+        return { target: this.target.clone(), offset, fov: this.camera.fov };
+    }
+
+    applyPose({ target, offset, fov }) {
+        this.target.copy(target);
+        this.camera.position.setFromSpherical(offset).add(target);
+        this.camera.lookAt(target);
+        if (this.camera.fov !== fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.controls?.target.copy(target);
+    }
+}
+
+const DEG = THREE.MathUtils.DEG2RAD;
+const _v3A = new THREE.Vector3();
+
+// 向く位置は直線で、カメラの位置は向く位置の周りを回るように動かす（横からのショットへ切り替えるときにアバターに近づかない）
+function interpolatePose(from, to, t) {
+    const lerp = THREE.MathUtils.lerp;
+    let theta = to.offset.theta - from.offset.theta;
+    theta = Math.atan2(Math.sin(theta), Math.cos(theta));
+    return {
+        target: from.target.clone().lerp(to.target, t),
+        offset: new THREE.Spherical(
+            lerp(from.offset.radius, to.offset.radius, t),
+            lerp(from.offset.phi, to.offset.phi, t),
+            from.offset.theta + theta * t,
+        ),
+        fov: lerp(from.fov, to.fov, t),
+    };
+}
+
+function visibleRects(page, selector) {
+    return [...page.querySelectorAll(selector)]
+        .filter(element => element.getClientRects().length > 0 && !element.classList.contains('is-hidden'))
+        .map(element => element.getBoundingClientRect());
+}
+
+// #stage（768×1024）を画面に合わせて縮小している倍率（index.html の fit）
+function stageScale() {
+    const stage = document.getElementById('stage');
+    return stage ? stage.getBoundingClientRect().width / stage.offsetWidth || 1 : 1;
+}
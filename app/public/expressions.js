@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { playbackTime } from './lipSync.js';
+
+// =================================================================================
+// アバターの表情
+// =================================================================================
+// 読み込んだVRMが持つ表情（happy・sad などのプリセットと、モデル独自の表情）を動かします。
+// 表情は次のどれかで指定します。
+//   'happy'                        : 1つの表情を 1.0 にする
+//   { happy: 0.6, surprised: 0.3 } : 複数の表情を混ぜる
+//   null                           : 無表情
+// 話している間に表情を変える場合は、音声の再生位置（秒）ごとのキュー（cues）を指定します。
+//   [{ time: 1.2, expression: 'happy' }, { time: 3.0, expression: { surprised: 1.0 } }]
+// まばたき・口の形・視線の表情は、それぞれの処理（main.js・lipSync.js・vrm.lookAt）が動かすため、ここでは扱いません。
+
+export const EXPRESSION_CONFIG = {
+    speed: 6.0,                  // 目標の値に近づく速さ（1秒あたりの割合）
+    // 表情の値がしきい値以上の間、止めるもの（表情名 → しきい値）
+    suppress: {
+        blink: { happy: 0.1 },   // まばたき（笑顔の目は閉じているため）
+        lipSync: {},             // 口の動き（例: { surprised: 0.5 }）
+    },
+};
+
+// 他の処理が動かす表情
+const RESERVED_EXPRESSIONS = new Set([
+    'blink', 'blinkLeft', 'blinkRight',
+    'aa', 'ih', 'ou', 'ee', 'oh',
+    'lookUp', 'lookDown', 'lookLeft', 'lookRight',
+]);
+
+export class ExpressionController {
+    /**
+     * @param {VRM} vrm
+     * @param {object} [options]
+     * @param {object} [options.config] EXPRESSION_CONFIG の上書き
+     */
+    constructor(vrm, { config = {} } = {}) {
+        this.vrm = vrm;
+        this.config = {
+            ...EXPRESSION_CONFIG,
+            ...config,
+            suppress: { ...EXPRESSION_CONFIG.suppress, ...config.suppress },
+        };
+        this.available = (vrm.expressionManager?.expressions || [])
+            .map(expression => expression.expressionName)
+            .filter(name => !RESERVED_EXPRESSIONS.has(name));
+        this.base = {};              // キューがない間の目標の値
+        this.cues = [];              // [{ time, targets }]（時刻順）
+        this.cueSound = null;        // キューの時刻の基準にする音声
+        this.cueTime = 0;            // 音声の再生位置がわからない場合の経過時間
+        this.warned = new Set();
+    }
+
+    // このVRMで使える表情の名前
+    names() {
+        return [...this.available];
+    }
+
+    has(name) {
+        return this.available.includes(name);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 表情の指定
+    // -----------------------------------------------------------------------------
+    /**
+     * 表情を変える（再生中のキューは止める）
+     * @param {string|Object<string, number>|null} expression
+     */
+    set(expression) {
+        this.base = this.toTargets(expression);
+        this.cues = [];
+        this.cueSound = null;
+    }
+
+    /**
+     * 音声の再生位置に合わせて表情を変える
+     * キューより前は set で指定した表情、最後のキューのあとはその表情のままになります。
+     * @param {Array<{ time: number, expression: string|Object<string, number>|null }>} cues
+     * @param {object} [sound] 再生中の音声（THREE.Audio なら再生位置、それ以外は経過時間で進める）
+     */
+    playCues(cues, sound = null) {
+        this.cues = (cues || [])
+            .map(cue => ({ time: Number(cue.time) || 0, targets: this.toTargets(cue.expression) }))
+            .sort((a, b) => a.time - b.time);
+        this.cueSound = sound;
+        this.cueTime = 0;
+    }
+
+    // 指定を表情名 → 値にする（このVRMにない表情は一度だけ警告して無視する）
+    toTargets(expression) {
+        if (!expression) return {};
+        const mix = typeof expression === 'string' ? { [expression]: 1.0 } : expression;
+        const targets = {};
+        for (const [name, value] of Object.entries(mix)) {
+            if (!this.has(name)) {
+                if (!this.warned.has(name)) console.warn(`表情「${name}」はこのアバターにありません`);
+                this.warned.add(name);
+                continue;
+            }
+            targets[name] = THREE.MathUtils.clamp(Number(value) || 0, 0, 1);
+        }
+        return targets;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 毎フレームの更新
+    // -----------------------------------------------------------------------------
+    update(deltaTime) {
+        const manager = this.vrm.expressionManager;
+        if (!manager) return;
+
+        const targets = this.currentTargets(deltaTime);
+        const rate = 1 - Math.exp(-this.config.speed * deltaTime);
+        for (const name of this.available) {
+            const current = manager.getValue(name) ?? 0;
+            manager.setValue(name, current + ((targets[name] ?? 0) - current) * rate);
+        }
+    }
+
+    // 今の時刻のキュー（なければ set で指定した表情）
+    currentTargets(deltaTime) {
+        if (!this.cues.length) return this.base;
+        this.cueTime += deltaTime;
+        const time = (this.cueSound?.isPlaying ? playbackTime(this.cueSound) : null) ?? this.cueTime;
+
+        let targets = this.base;
+        for (const cue of this.cues) {
+            if (cue.time > time) break;
+            targets = cue.targets;
+        }
+        return targets;
+    }
+
+    /**
+     * EXPRESSION_CONFIG.suppress の決まりで、まばたき・口の動きを止めるか
+     * @param {'blink'|'lipSync'} kind
+     * @returns {boolean}
+     */
+    suppresses(kind) {
+        const manager = this.vrm.expressionManager;
+        const rules = this.config.suppress[kind] || {};
+        return Object.entries(rules).some(([name, threshold]) => (manager?.getValue(name) ?? 0) >= threshold);
+    }
+}
@@ -0,0 +1,280 @@
+import { DEFAULT_AVATAR, findDanglingTargets, isStepEnabled } from './flowDefinition.js';
+
+// =================================================================================
+// 受付フローの制御クラス
+// =================================================================================
+// flowDefinition.js の定義に従って、ページの表示切り替え・選択肢の保存・
+// 「次へ」「戻る」の遷移先の決定・アバターのアクション再生を行います。
+export class FlowController {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} [options]
+     * @param {VRMViewer} [options.viewer] アクションを再生するビューア
+     * @param {object} [options.state] 回答状態の保存先（既定: window.choiceState）
+     * @param {ApplicationSubmitter} [options.submitter] submit ステップでお申込みを送信するオブジェクト
+     * @param {Narrator} [options.narrator] 吹き出しを読み上げながらアクションを再生するオブジェクト
+     * @param {StaffSession} [options.staff] staffAuth のページでログインし、staffOnly のページの表示を判断するオブジェクト
+     */
+    constructor(definition, { viewer = null, state = window.choiceState, submitter = null, narrator = null, staff = null } = {}) {
+        this.definition = definition;
+        this.viewer = viewer;
+        this.narrator = narrator;
+        this.state = state || {};
+        this.submitter = submitter;
+        this.staff = staff;
+        this.currentId = null;
+        this.submitting = false;
+
+        // reset() で初期表示に戻すため、最初から選択済み・非表示の要素を覚えておく
+        this.initialSelected = new Set(document.querySelectorAll('.choice-btn.is-selected'));
+        this.initialHidden = new Set(document.querySelectorAll('.btn.next.is-hidden'));
+        // hidden input は value を書き換えると初期値（value属性）も変わるため、ここで控える
+        this.initialHiddenValues = new Map(
+            [...document.querySelectorAll('.page input[type="hidden"]')].map(input => [input, input.value])
+        );
+
+        this.checkDefinition();
+        this.renderQuestions();
+
+        document.addEventListener('click', this.onClick.bind(this));
+        // 従業員モードが終わったら、従業員だけが使うページからログインのページへ戻す
+        document.addEventListener('staff:logout', () => {
+            if (this.getStep(this.currentId)?.staffOnly) this.showPage(this.currentId);
+        });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 定義の検証（読み込み時）
+    // -----------------------------------------------------------------------------
+    // 存在しないページを指す遷移先や、HTMLにないページを警告として出力します。
+    checkDefinition() {
+        const problems = findDanglingTargets(this.definition).map(
+            ({ step, kind, target }) => `${step} の ${kind} が存在しないページ "${target}" を指しています`
+        );
+        for (const id of Object.keys(this.definition.steps)) {
+            if (!document.getElementById(id)) problems.push(`${id} に対応する <section> がHTMLにありません`);
+        }
+        problems.forEach(message => console.warn(`[flow] ${message}`));
+        return problems;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 吹き出しの文言を定義から反映
+    // -----------------------------------------------------------------------------
+    renderQuestions() {
+        for (const [id, step] of Object.entries(this.definition.steps)) {
+            const p = document.querySelector(`#${id} .balloon p`);
+            if (!p || !step.question) continue;
+            p.replaceChildren(...step.question.flatMap((line, i) => (
+                i === 0 ? [line] : [document.createElement('br'), line]
+            )));
+        }
+    }
+
+    getStep(id) {
+        return this.definition.steps[id] || null;
+    }
+
+    getPage(id) {
+        return document.getElementById(id);
+    }
+
+    // -----------------------------------------------------------------------------
+    // ページの表示
+    // -----------------------------------------------------------------------------
+    showPage(id) {
+        let step = this.getStep(id);
+        if (!step) {
+            console.warn(`[flow] 未定義のページ "${id}" へは遷移できません`);
+            return;
+        }
+        // 従業員だけが使うページは、従業員モードでなければログインのページを表示する
+        if (step.staffOnly && this.staff && !this.staff.isActive() && this.definition.staffLogin) {
+            id = this.definition.staffLogin;
+            step = this.getStep(id);
+        }
+        document.querySelectorAll('.page').forEach(p => {
+            const active = (p.id === id);
+            p.classList.toggle('active', active);
+            p.setAttribute('aria-hidden', !active);
+        });
+        this.currentId = id;
+        document.dispatchEvent(new CustomEvent('flow:pagechange', { detail: { id, step } }));
+
+        this.playAvatar(id);
+    }
+
+    // ページに割り当てたアバターのアクションを再生する
+    playAvatar(id) {
+        const step = this.getStep(id);
+        if (!step || !this.viewer?.playAction) return;
+        const avatar = { ...DEFAULT_AVATAR, ...step.avatar };
+        // 吹き出しの読み上げがあれば、音声を用意してから再生する
+        if (this.narrator) {
+            this.narrator.speak(id, avatar);
+            return;
+        }
+        this.viewer.playAction(avatar.action, { expression: avatar.expression, cues: avatar.cues, voice: avatar.voice });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 入力内容の初期化
+    // -----------------------------------------------------------------------------
+    // 回答状態・選択ボタン・入力欄（hidden を含む）をHTMLの初期値に戻します。
+    // ページ固有の表示（住所の入れ替えなど）は flow:reset を受けて各スクリプトが戻します。
+    reset() {
+        Object.keys(this.state).forEach(key => delete this.state[key]);
+
+        document.querySelectorAll('.page .choice-btn').forEach(btn => {
+            const selected = this.initialSelected.has(btn);
+            btn.classList.toggle('is-selected', selected);
+            btn.setAttribute('aria-pressed', String(selected));
+        });
+        this.initialHidden.forEach(btn => btn.classList.add('is-hidden'));
+
+        document.querySelectorAll('.page input, .page select, .page textarea').forEach(field => {
+            if (field.type === 'radio' || field.type === 'checkbox') {
+                field.checked = field.defaultChecked;
+            } else if (this.initialHiddenValues.has(field)) {
+                field.value = this.initialHiddenValues.get(field);
+            } else if (field.tagName === 'SELECT') {
+                [...field.options].forEach(option => { option.selected = option.defaultSelected; });
+            } else {
+                field.value = field.defaultValue;
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent('flow:reset'));
+    }
+
+    // -----------------------------------------------------------------------------
+    // 遷移先の決定
+    // -----------------------------------------------------------------------------
+    // 回答ごとの分岐（branches）を優先し、なければ既定の next を使います。
+    // 表示条件（when）を満たさないステップは同じ向きに読み飛ばします。
+    resolveNext(id) {
+        const step = this.getStep(id);
+        if (!step) return null;
+        const answer = step.choiceGroup ? this.state[step.choiceGroup] : undefined;
+        const target = step.branches?.[answer] || step.next || null;
+        return this.skipDisabled(target, 'next');
+    }
+
+    resolvePrev(id) {
+        const step = this.getStep(id);
+        return step ? this.skipDisabled(step.prev || null, 'prev') : null;
+    }
+
+    skipDisabled(id, direction) {
+        const visited = new Set();
+        while (id && !visited.has(id)) {
+            const step = this.getStep(id);
+            if (!step || isStepEnabled(step, this.state)) return id;
+            visited.add(id);
+            id = step[direction] || null;
+        }
+        return null;
+    }
+
+    async next() {
+        const step = this.getStep(this.currentId);
+        const target = this.resolveNext(this.currentId);
+        if (!target) return;
+
+        if (step.staffAuth && this.staff) {
+            if (!await this.staff.authenticate(this.getPage(this.currentId), step.staffAuth)) return;
+        }
+
+        if (step.submit && this.submitter) {
+            if (this.submitting) return; // 送信中の連打は無視
+            const page = this.getPage(this.currentId);
+            this.submitting = true;
+            page?.classList.add('is-submitting');
+            try {
+                await this.submitter.submit();
+            } catch (error) {
+                console.error('お申込みの送信に失敗しました:', error);
+                if (step.submitError) this.showPage(step.submitError);
+                return;
+            } finally {
+                this.submitting = false;
+                page?.classList.remove('is-submitting');
+            }
+        }
+        this.showPage(target);
+    }
+
+    back() {
+        const target = this.resolvePrev(this.currentId);
+        if (target) this.showPage(target);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 選択肢の処理
+    // -----------------------------------------------------------------------------
+    select(btn) {
+        const page = btn.closest('.page');
+        if (!page) return;
+
+        const step = this.getStep(page.id);
+        const group = step?.choiceGroup || page.id || 'default';
+        const buttons = page.querySelectorAll('.choice-btn');
+
+        // すべて解除
+        buttons.forEach(b => {
+            b.classList.remove('is-selected');
+            b.setAttribute('aria-pressed', 'false');
+        });
+
+        // 選択付与
+        btn.classList.add('is-selected');
+        btn.setAttribute('aria-pressed', 'true');
+
+        // 値の保存（グローバル & hidden 連携）
+        const value = btn.dataset.value ?? btn.textContent.trim();
+        this.state[group] = value;
+
+        const hidden = page.querySelector('input[type="hidden"][name="' + group + '"]');
+        if (hidden) hidden.value = value;
+        document.dispatchEvent(new CustomEvent('flow:choicechange', { detail: { id: page.id, group, value } }));
+
+        // 回答したら「次へ」を表示する（遷移先はクリック時に定義から決定）
+        const nextBtn = page.querySelector('.btn.next');
+        if (nextBtn) nextBtn.classList.remove('is-hidden');
+    }
+
+    // ページ復元用（戻ってきた時に選択を再反映したい場合）
+    applyChoiceSelection(pageEl) {
+        const page = typeof pageEl === 'string' ? document.querySelector(pageEl) : pageEl;
+        if (!page) return;
+        const group = this.getStep(page.id)?.choiceGroup || page.id || 'default';
+        const saved = this.state[group];
+        if (!saved) return;
+
+        const target = page.querySelector('.choice-btn[data-value="' + saved + '"]');
+        if (target) this.select(target);
+    }
+
+    // -----------------------------------------------------------------------------
+    // クリックイベントの振り分け
+    // -----------------------------------------------------------------------------
+    onClick(e) {
+        const choice = e.target.closest('.choice-btn');
+        if (choice) {
+            this.select(choice);
+            return;
+        }
+
+        const nextBtn = e.target.closest('.btn.next');
+        if (nextBtn) {
+            // 入力チェックを通過していない間は進まない
+            if (nextBtn.classList.contains('is-disabled') || nextBtn.getAttribute('aria-disabled') === 'true') return;
+            // 動画ステップは視聴完了時に next() が呼ばれる
+            if (this.getStep(this.currentId)?.video) return;
+            this.next();
+            return;
+        }
+
+        if (e.target.closest('.btn.back')) this.back();
+    }
+}
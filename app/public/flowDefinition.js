@@ -0,0 +1,383 @@
+// =================================================================================
+// 受付フロー定義
+// =================================================================================
+// 各ページ（ステップ）の質問文・選択グループ・遷移先・アバターの動きを一元管理します。
+// ページの追加や並び替えはこの定義を書き換えるだけで行えるようにしています。
+// ブラウザ（flowController.js）と Node のツールの両方から読み込むため、
+// 関数は含めず JSON と同じ形のデータだけで記述してください。
+//
+// ステップのプロパティ:
+//   question    : 吹き出しに表示する文言（1要素 = 1行）
+//   choiceGroup : 選択肢の保存先（window.choiceState と hidden input の name）
+//   next        : 「次へ」の既定の遷移先
+//   branches    : 回答ごとの遷移先 { 回答値: ページID }。該当しない回答は next に従う
+//   prev        : 「戻る」の遷移先
+//   when        : 表示条件 { 選択グループ: [許可する回答値, ...] }。満たさない場合は読み飛ばす
+//                 サービスの説明ページは { service_phone: ['available'] } のように提供可否を条件にする（serviceAvailability.js）
+//   video       : true の場合「次へ」で動画を再生し、視聴完了で next へ進む（ボタンの data-video で動画を指定。videoPlayer.js を参照）
+//   avatar      : { action, expression, cues, voice } アバターのアクション名・表情・音声ファイル
+//                 action は main.js の ACTION_CONFIG か animations/manifest.json の名前（greet・thank など）
+//                 expression は表情名か { 表情名: 値 } の組み合わせ。cues は話している間の表情の変化
+//                 [{ time: 秒, expression }]（expressions.js を参照）
+//                 voice を省略すると吹き出しの文言を読み上げる（narration.js）
+//   camera      : カメラのショット名（cameraDirector.js の CAMERA_SHOTS。closeUp・bust・fullBody・side）。省略時は bust
+//                 アバターは吹き出し・台座（.card）・下のボタンに隠れない範囲に写る
+//   validation  : [{ rule, fields, ... }] 入力チェック（formValidation.js の VALIDATION_RULES を参照）。
+//                 すべて満たすまで「次へ」は無効になる
+//   submit      : true の場合「次へ」でお申込みを送信し、成功したら next へ進む
+//   submitError : 送信に失敗したときの遷移先
+//   consent     : お客様のご了承を確かめるページの名前。「次へ」をご了承として監査ログに記録する（auditTrail.js）
+//   staffAuth   : 「次へ」でこの name の入力欄のコードで従業員ログインし、成功したら next へ進む（staffMode.js）
+//   staffOnly   : true なら従業員モードの間だけ表示する（従業員モードでなければ staffLogin のページを表示する）
+//   idleTimeout : 無操作の確認を出すまでの秒数（省略時は idleWatchdog.js の既定値）
+//   address     : 郵便番号から丁目の選択肢を作る { zip: [入力欄のname], street: [番地・号, 建物名の入力欄のname], role: 'applicant' | 'install' }
+//   addressConfirm : true なら address の各ページの住所を確認用の枠に表示する
+//   availability : true ならサービスの提供可否を判定して表示し、ご利用できないサービスを申込しないにする（serviceAvailability.js）
+export const FLOW_DEFINITION = {
+    start: 'page1',
+    end: 'pageComplete',
+    staffLogin: 'page27',   // 従業員ログインのページ（staffOnly のページを従業員モード以外で開いたとき）
+    steps: {
+        page1: {
+            question: [
+                '@nifty光のお申込みありがとうございます。',
+                'まずは@niftyからのご契約前の重要事項の説明を動画でご案内します。',
+                '「視聴開始」を押してください。',
+            ],
+            video: true,
+            next: 'page2',
+            idleTimeout: 900, // 動画の視聴中は操作がないため長めにする
+            camera: 'fullBody', // 最初のあいさつは全身で見せる
+            avatar: { action: 'greet' },
+        },
+        page2: {
+            question: [
+                '動画のご視聴ありがとうございます。',
+                '従業員がノジマのアプリ会員情報からお客様情報を反映させました。',
+                '誤りがなければ「次へ」を押してください。',
+            ],
+            prev: 'page1',
+            next: 'page3',
+            avatar: { action: 'yes' },
+        },
+        page3: {
+            question: [
+                'お客様情報から現在ご利用中の@nifty IDが見つかりました。',
+                '今回ご利用になるIDを選んでください。',
+            ],
+            prev: 'page2',
+            next: 'page4',
+            avatar: { action: 'no' },
+        },
+        page4: {
+            question: ['@niftyからお得なお知らせメールを希望されますか？'],
+            choiceGroup: 'mail_optin',
+            prev: 'page3',
+            next: 'page5',
+            avatar: { action: 'no' },
+        },
+        page5: {
+            question: ['@niftyの契約書面の確認方法を', '選んでください'],
+            choiceGroup: 'contract_doc_method',
+            prev: 'page4',
+            next: 'page6',
+            avatar: { action: 'no' },
+        },
+        page6: {
+            question: [
+                '@niftyから契約内容の確認や工事日の調整でお電話を差し上げることがあります。',
+                'ご希望の連絡時間帯を選んでください。',
+            ],
+            choiceGroup: 'contact_time',
+            prev: 'page5',
+            next: 'page7',
+            avatar: { action: 'no' },
+        },
+        page7: {
+            question: [
+                '＠nifty光のお支払い方法を選んでください。',
+                '本日、ノジマ店頭で値引きキャンペーンを適用する場合は「クレジットカード」を選択してください。',
+            ],
+            choiceGroup: 'payment_method',
+            prev: 'page6',
+            next: 'page8',
+            avatar: { action: 'no' },
+        },
+        page8: {
+            question: ['＠nifty光をご利用になる住所はどちらですか？'],
+            choiceGroup: 'service_address_relation',
+            prev: 'page7',
+            next: 'page9',
+            avatar: { action: 'no' },
+        },
+        page9: {
+            question: ['＠nifty光のお申込者は', '回線名義人と同じですか？'],
+            choiceGroup: 'ntt_holder_relation',
+            branches: { same: 'page10', different: 'page10' },
+            prev: 'page8',
+            next: null, // 回答を選ぶまで遷移先なし
+            avatar: { action: 'no' },
+        },
+        page10: {
+            question: ['回線名義人名をカナで入力してください'],
+            prev: 'page9',
+            next: 'page11',
+            validation: [{ rule: 'katakana', fields: ['holderNameKanaFamily', 'holderNameKanaGiven'] }],
+            avatar: { action: 'no' },
+        },
+        page11: {
+            question: ['回線名義人名を漢字で入力してください'],
+            prev: 'page10',
+            next: 'page12',
+            validation: [{ rule: 'fullWidth', fields: ['holderNameKanjiFamily', 'holderNameKanjiGiven'] }],
+            avatar: { action: 'no' },
+        },
+        page12: {
+            question: ['回線名義人との続柄を選択してください'],
+            choiceGroup: 'relation_with_holder',
+            prev: 'page11',
+            next: 'page13',
+            avatar: { action: 'no' },
+        },
+        page13: {
+            question: ['現在、＠nifty光を利用予定のご住所で', 'ネット回線をご利用中ですか？'],
+            choiceGroup: 'internet_usage',
+            prev: 'page12',
+            next: 'page14',
+            avatar: { action: 'no' },
+        },
+        page14: {
+            question: ['現在、ご利用中のネット回線を', '選んでください'],
+            choiceGroup: 'current_network',
+            when: { internet_usage: ['using_other'] },
+            prev: 'page13',
+            next: 'page15',
+            avatar: { action: 'no' },
+        },
+        page15: {
+            question: [
+                'フレッツ光からの乗り換えにあたって',
+                'NTT東日本またはNTT西日本から取得した',
+                '転用承諾番号を入力してください',
+            ],
+            // 承諾番号のページは、その番号が必要な回線をご利用中のお客様だけに表示する
+            when: { internet_usage: ['using_other'], current_network: ['flets_family'] },
+            prev: 'page14',
+            next: 'page16',
+            validation: [{ rule: 'transferCode', fields: ['transferPrefix1', 'transferCode1'], prefixes: ['E', 'C', 'D'] }],
+        },
+        page16: {
+            question: ['のりかえ元の光回線サービスから取得した事業者変更承諾番号を入力してください'],
+            when: { internet_usage: ['using_other'], current_network: ['collabo'] },
+            prev: 'page15',
+            next: 'page17',
+            validation: [{ rule: 'transferCode', fields: ['transferPrefix2', 'transferCode2'], prefixes: ['F', 'C', 'D'] }],
+        },
+        page17: {
+            question: ['お申込者住所のエリアを選択してください'],
+            choiceGroup: 'applicant_region',
+            prev: 'page16',
+            next: 'page18',
+        },
+        page18: {
+            question: ['お申込者住所の住居形態を選んでください'],
+            choiceGroup: 'residence_type',
+            prev: 'page17',
+            next: 'page19',
+        },
+        page19: {
+            question: ['ご契約住所（現住所）の郵便番号を入力してください'],
+            prev: 'page18',
+            next: 'page20',
+            validation: [{ rule: 'postalCode', fields: ['zipA1', 'zipB1'] }],
+        },
+        page20: {
+            question: ['お住まいのご住所の続きを選んでください'],
+            choiceGroup: 'address_chome',
+            address: { zip: ['zipA1', 'zipB1'], street: ['addressStreet1', 'addressBuilding1'], role: 'applicant' },
+            validation: [{ rule: 'street', fields: ['addressStreet1', 'addressBuilding1'] }],
+            prev: 'page19',
+            next: 'page21',
+        },
+        page21: {
+            question: ['お申込者住所のエリアを選択してください'],
+            choiceGroup: 'applicant_region2',
+            prev: 'page20',
+            next: 'page22',
+        },
+        page22: {
+            question: ['お申込者住所の住居形態を選んでください'],
+            choiceGroup: 'residence_type2',
+            prev: 'page21',
+            next: 'page23',
+        },
+        page23: {
+            question: ['ご契約住所（現住所）の郵便番号を入力してください'],
+            prev: 'page22',
+            next: 'page24',
+            validation: [{ rule: 'postalCode', fields: ['zipA2', 'zipB2'] }],
+        },
+        page24: {
+            question: ['お住まいのご住所の続きを選んでください'],
+            choiceGroup: 'address_chome2',
+            address: { zip: ['zipA2', 'zipB2'], street: ['addressStreet2', 'addressBuilding2'], role: 'install' },
+            validation: [{ rule: 'street', fields: ['addressStreet2', 'addressBuilding2'] }],
+            prev: 'page23',
+            next: 'page25',
+        },
+        page25: {
+            question: [
+                'ご登録住所をご確認ください',
+                'よろしければ「次へ」を押してください',
+                '「⇅」で入れ替えができます',
+            ],
+            addressConfirm: true,
+            prev: 'page24',
+            next: 'page26',
+        },
+        page26: {
+            question: [
+                'ご入力いただきありがとうございます',
+                '従業員の確認が必要な項目がありますので',
+                'このまま担当の従業員へお渡しください',
+            ],
+            next: 'page27',
+        },
+        page27: {
+            question: ['コードを入力してください'],
+            prev: 'page26',
+            next: 'page28',
+            validation: [{ rule: 'staffCode', fields: ['codeInput'] }],
+            staffAuth: 'codeInput',
+        },
+        page28: {
+            question: [
+                '内容を確認してお客様へご案内してください',
+                'ご了承いただけた場合',
+                '利用できないサービスは「申込しない」に変更され',
+                'ご案内はスキップします',
+            ],
+            prev: 'page27',
+            next: 'pageHikari10g',
+            consent: 'serviceLimitations', // 利用できないサービスのご了承
+            staffOnly: true,
+            availability: true,
+        },
+        // サービスの説明（ご利用できないサービスは申込しないにして読み飛ばす）
+        pageHikari10g: {
+            question: [
+                '光回線10ギガのご案内です',
+                '最大10Gbpsの高速通信をご利用いただけます',
+                'お申し込みになりますか？',
+            ],
+            choiceGroup: 'apply_hikari10g',
+            when: { service_hikari10g: ['available'] },
+            prev: 'page28',
+            next: 'pagePhone',
+        },
+        pagePhone: {
+            question: [
+                '光電話のご案内です',
+                '今お使いの電話番号のまま',
+                'ご利用いただける場合があります',
+                'お申し込みになりますか？',
+            ],
+            choiceGroup: 'apply_phone',
+            when: { service_phone: ['available'] },
+            prev: 'pageHikari10g',
+            next: 'pageTv',
+        },
+        pageTv: {
+            question: [
+                '光テレビのご案内です',
+                '光回線で地デジ・BSをご覧いただけます',
+                'お申し込みになりますか？',
+            ],
+            choiceGroup: 'apply_tv',
+            when: { service_tv: ['available'] },
+            prev: 'pagePhone',
+            next: 'page29',
+        },
+        page29: {
+            question: ['@nifty光でご利用になる', '料金プランを選んでください'],
+            choiceGroup: 'nifty_price_plan',
+            prev: 'pageTv',
+            next: 'page30',
+        },
+        page30: {
+            question: [
+                '今回は戸建てプラン「ホーム」での',
+                'お申し込みとなります。',
+                '「次へ」を教えてください。',
+            ],
+            choiceGroup: 'housing_plan',
+            prev: 'page29',
+            next: 'pageComplete',
+            submit: true,
+            submitError: 'pageSubmitError',
+        },
+        pageSubmitError: {
+            question: [
+                'お申込みの送信に失敗しました。',
+                '「再送信する」を押してください。',
+                '繰り返し失敗する場合は従業員へお声がけください。',
+            ],
+            prev: 'page30',
+            next: 'pageComplete',
+            submit: true,
+            submitError: 'pageSubmitError',
+            avatar: { action: 'no' },
+        },
+        pageComplete: {
+            question: ['お申込みありがとうございました。受付が完了しました。'],
+            prev: 'page1',
+            // 「受付が完了しました。」のあたりで笑顔にする
+            avatar: { action: 'thank', expression: 'relaxed', cues: [{ time: 2.0, expression: 'happy' }] },
+        },
+    },
+};
+
+// 既定のアバター設定（avatar を省略したステップに適用）
+export const DEFAULT_AVATAR = { action: 'idle' };
+
+/**
+ * ステップから参照されている遷移先ページIDを列挙する
+ * @param {object} step ステップ定義
+ * @returns {{ kind: string, target: string }[]} 遷移の種類（next/prev/branch:回答値）と遷移先
+ */
+export function getStepTargets(step) {
+    const targets = [];
+    if (step.next) targets.push({ kind: 'next', target: step.next });
+    if (step.prev) targets.push({ kind: 'prev', target: step.prev });
+    if (step.submitError) targets.push({ kind: 'submitError', target: step.submitError });
+    for (const [value, target] of Object.entries(step.branches || {})) {
+        if (target) targets.push({ kind: `branch:${value}`, target });
+    }
+    return targets;
+}
+
+/**
+ * 定義内で存在しないページを指している遷移先を検出する
+ * @param {object} definition フロー定義
+ * @returns {{ step: string, kind: string, target: string }[]} 行き先のない遷移の一覧
+ */
+export function findDanglingTargets(definition) {
+    const dangling = [];
+    for (const [id, step] of Object.entries(definition.steps)) {
+        for (const { kind, target } of getStepTargets(step)) {
+            if (!definition.steps[target]) dangling.push({ step: id, kind, target });
+        }
+    }
+    return dangling;
+}
+
+/**
+ * ステップの表示条件（when）を満たしているか判定する
+ * @param {object} step ステップ定義
+ * @param {object} state 回答状態（window.choiceState）
+ * @returns {boolean}
+ */
+export function isStepEnabled(step, state) {
+    if (!step.when) return true;
+    return Object.entries(step.when).every(([group, allowed]) => allowed.includes(state[group]));
+}
@@ -0,0 +1,131 @@
+// =================================================================================
+// 入力チェックのルール
+// =================================================================================
+// flowDefinition.js の各ステップの validation から名前で参照します。
+// validate には対象フィールドの値の配列（fields の順）と、validation の設定が渡されます。
+export const VALIDATION_RULES = {
+    // 全角カタカナ（長音符を含む）
+    katakana: {
+        validate: (values) => values.every(v => /^[ァ-ヶー]+$/.test(v)),
+        message: '全角カタカナで入力してください。記号はご利用できません。',
+    },
+    // 全角文字のみ（半角英数字・半角カナを含まない）
+    fullWidth: {
+        validate: (values) => values.every(v => /^[^\x00-\x7F\uFF61-\uFF9F]+$/.test(v)),
+        message: 'すべて全角で入力してください。',
+    },
+    // 郵便番号（3桁 + 4桁の半角数字）
+    postalCode: {
+        validate: ([head, tail]) => /^\d{3}$/.test(head) && /^\d{4}$/.test(tail),
+        message: '郵便番号は3桁と4桁の半角数字で入力してください。',
+    },
+    // 番地・号（必須）と建物名・部屋番号（任意）。どちらも60文字まで
+    street: {
+        validate: ([street, building = '']) => street.length > 0 && street.length <= 60 && building.length <= 60,
+        message: '番地・号を入力してください。',
+    },
+    // 転用承諾番号・事業者変更承諾番号（先頭英字1文字 + 半角数字10桁）
+    transferCode: {
+        validate: ([prefix, code], { prefixes = [] }) => prefixes.includes(prefix) && /^\d{10}$/.test(code),
+        message: '承諾番号は先頭の英字に続けて半角数字10桁で入力してください。',
+    },
+    // 従業員コード（半角英字5桁）または暗証番号（数字4〜8桁）。一致するかは staffMode.js がサーバーで確かめる
+    staffCode: {
+        validate: ([code]) => /^(?:[A-Za-z]{5}|\d{4,8})$/.test(code),
+        message: '従業員コード（半角英字5桁）か暗証番号（数字4〜8桁）を入力してください。',
+    },
+};
+
+/**
+ * 入力欄と同じグループの .note にエラーを表示する（null で元の案内文に戻す）
+ * 従業員ログインの失敗（staffMode.js）も同じ表示にする
+ * @param {HTMLElement|null} input
+ * @param {string|null} message
+ */
+export function showNote(input, message) {
+    const group = input?.closest('[role="group"]') || input?.closest('.page');
+    const note = group?.querySelector('.note[aria-live]');
+    if (!note) return;
+    if (note.dataset.defaultText === undefined) note.dataset.defaultText = note.textContent;
+    note.textContent = message ?? note.dataset.defaultText;
+    note.classList.toggle('is-error', Boolean(message));
+}
+
+// =================================================================================
+// 入力チェックのクラス
+// =================================================================================
+// 入力のたびに表示中ページのルールを評価し、ページ内の「次へ」ボタンの有効・無効と
+// .note（aria-live）のエラー表示を切り替えます。
+export class FormValidator {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} [rules] ルール（既定: VALIDATION_RULES）
+     */
+    constructor(definition, rules = VALIDATION_RULES) {
+        this.definition = definition;
+        this.rules = rules;
+        this.touched = new Set(); // 一度でも入力されたフィールド（未入力のうちはエラーを出さない）
+
+        // 初期値（会員情報の反映など）で通過できるページもあるため、最初に全ページを評価する
+        Object.keys(definition.steps).forEach(id => this.validatePage(id));
+
+        document.addEventListener('input', this.onInput.bind(this));
+        document.addEventListener('change', this.onInput.bind(this));
+        document.addEventListener('flow:pagechange', (e) => this.validatePage(e.detail.id));
+        document.addEventListener('flow:reset', () => this.reset());
+    }
+
+    onInput(e) {
+        const page = e.target.closest?.('.page');
+        if (!page || !this.definition.steps[page.id]?.validation) return;
+        if (e.target.name) this.touched.add(e.target.name);
+        this.validatePage(page.id);
+    }
+
+    // -----------------------------------------------------------------------------
+    // ページの評価
+    // -----------------------------------------------------------------------------
+    /**
+     * @param {string} id ページID
+     * @returns {boolean} ページ内のすべてのルールを満たしているか
+     */
+    validatePage(id) {
+        const entries = this.definition.steps[id]?.validation;
+        const page = document.getElementById(id);
+        if (!entries || !page) return true;
+
+        let pageValid = true;
+        for (const entry of entries) {
+            const rule = this.rules[entry.rule];
+            if (!rule) {
+                console.warn(`[validation] ${id} のルール "${entry.rule}" は定義されていません`);
+                continue;
+            }
+            const inputs = entry.fields.map(name => page.querySelector(`[name="${name}"]`));
+            const values = inputs.map(input => (input?.value ?? '').trim());
+            const valid = rule.validate(values, entry);
+            pageValid = pageValid && valid;
+
+            const showError = !valid && entry.fields.some(name => this.touched.has(name));
+            inputs.forEach(input => input?.classList.toggle('is-invalid', showError));
+            showNote(inputs[0], showError ? (entry.message || rule.message) : null);
+        }
+
+        this.setNextEnabled(page, pageValid);
+        return pageValid;
+    }
+
+    // 「次へ」ボタンの有効・無効を切り替える
+    setNextEnabled(page, enabled) {
+        const nextBtn = page.querySelector('.btn.next');
+        if (!nextBtn) return;
+        nextBtn.classList.toggle('is-disabled', !enabled);
+        nextBtn.setAttribute('aria-disabled', String(!enabled));
+    }
+
+    // 入力状態を初期化する（touched をリセットし、エラー表示を消す）
+    reset() {
+        this.touched.clear();
+        Object.keys(this.definition.steps).forEach(id => this.validatePage(id));
+    }
+}
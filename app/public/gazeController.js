@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+
+// =================================================================================
+// アバターの視線
+// =================================================================================
+// アバターの目（vrm.lookAt）と首の向きを、お客様や操作中の画面の部品に向けます。
+// 見る先は次の順に決めます。
+//   1. 画面に触れている位置（触れてから pointerHold 秒の間）
+//   2. 選んだ選択肢（.choice-btn）→ 選んで表示された「次へ」（.btn.next）
+//      ページを表示して suggestDelay 秒たっても操作がなければ、押せる「次へ」をちらっと見る
+//   3. お客様（カメラの位置）
+// 画面上の位置は、アバターの前の面（z = screenPlaneZ）に写して3Dの位置にします。
+// 見る先が変わらない間も、目は細かく動きます（サッカード）。
+
+export const GAZE_CONFIG = {
+    screenPlaneZ: 0.6,          // 画面上の位置を写す面（アバターからお客様側への距離[m]）
+    pointerHold: 1.0,           // 画面に触れてから触れた位置を見続ける時間（秒）
+    choiceHold: 1.2,            // 選んだ選択肢を見る時間（秒）
+    suggestHold: 1.0,           // 「次へ」を見る時間（秒）
+    suggestDelay: 6.0,          // ページを表示してから「次へ」を見るまでの時間（秒）。null なら見ない
+    eyeSpeed: 20.0,             // 目が見る先に追いつく速さ（1秒あたりの割合）
+    saccade: {
+        minInterval: 0.6,       // 目が細かく動く間隔（秒）
+        maxInterval: 2.5,
+        range: 0.03,            // 動く幅（見る先の周りの距離[m]）
+    },
+    head: {
+        weight: 0.4,            // 見る先への向きのうち首で向く割合（0 なら首は動かさない）
+        maxYaw: 25,             // 首を左右に向ける上限（度）
+        maxPitch: 15,           // 首を上下に向ける上限（度）
+        speed: 4.0,             // 首が追いつく速さ（1秒あたりの割合）
+    },
+};
+
+export class GazeController {
+    /**
+     * @param {object} options
+     * @param {THREE.Camera} options.camera お客様の位置（画面を写しているカメラ）
+     * @param {HTMLElement} [options.element] 画面上の位置の基準にする要素（既定: 描画先の canvas と同じ全画面）
+     * @param {object} [options.config] GAZE_CONFIG の上書き
+     */
+    constructor({ camera, element = null, config = {} }) {
+        this.camera = camera;
+        this.element = element;
+        this.config = {
+            ...GAZE_CONFIG,
+            ...config,
+            saccade: { ...GAZE_CONFIG.saccade, ...config.saccade },
+            head: { ...GAZE_CONFIG.head, ...config.head },
+        };
+
+        this.vrm = null;
+        this.target = new THREE.Object3D();   // vrm.lookAt が見る先（目標に向けて動かす）
+        this.goal = new THREE.Vector3();      // 今見たい位置
+        this.pointer = null;                  // { x, y, until } 画面に触れた位置（画面座標）
+        this.sequence = [];                   // 順に見る部品 [{ element, duration }]
+        this.sequenceTime = 0;
+        this.suggestTimer = null;
+        this.saccadeOffset = new THREE.Vector3();
+        this.saccadeTime = 0;
+        this.headYaw = 0;
+        this.headPitch = 0;
+        this.headBase = new THREE.Quaternion();    // 首の向きを足す前の回転
+        this.headApplied = null;                   // 首の向きを足した後の回転（アニメーションが上書きしたかの確認用）
+        this.elapsed = 0;
+
+        document.addEventListener('pointerdown', (e) => this.onPointer(e), true);
+        document.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse' || e.buttons) this.onPointer(e);
+        }, true);
+        document.addEventListener('flow:choicechange', (e) => this.onChoiceChange(e.detail.id));
+        document.addEventListener('flow:pagechange', (e) => this.onPageChange(e.detail.id));
+        document.addEventListener('flow:reset', () => this.lookAtCustomer());
+    }
+
+    // VRMを読み込んだら呼ぶ
+    setVRM(vrm) {
+        this.vrm = vrm;
+        this.customerPosition(this.target.position);
+        if (!vrm?.lookAt) return;   // 目の設定がないVRMは首だけ動かす
+        vrm.lookAt.target = this.target;
+        vrm.lookAt.autoUpdate = true;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 見る先の指定
+    // -----------------------------------------------------------------------------
+    /**
+     * 画面の部品を順に見る（見終わったらお客様に戻る）
+     * @param {Array<{ element: HTMLElement|(() => HTMLElement|null), duration: number }>} sequence
+     *   element に関数を渡すと、その部品を見る番になったときに呼んで部品を決める
+     */
+    glance(sequence) {
+        this.sequence = sequence.filter(Boolean);
+        this.sequenceTime = 0;
+    }
+
+    lookAtCustomer() {
+        clearTimeout(this.suggestTimer);
+        this.sequence = [];
+        this.pointer = null;
+    }
+
+    onPointer(e) {
+        this.pointer = { x: e.clientX, y: e.clientY, until: this.elapsed + this.config.pointerHold };
+    }
+
+    onChoiceChange(pageId) {
+        const page = document.getElementById(pageId);
+        const selected = page?.querySelector('.choice-btn.is-selected');
+        if (!selected) return;
+        clearTimeout(this.suggestTimer);
+        this.glance([
+            { element: selected, duration: this.config.choiceHold },
+            { element: () => this.suggestedNext(page), duration: this.config.suggestHold },
+        ]);
+    }
+
+    onPageChange(pageId) {
+        this.lookAtCustomer();
+        if (this.config.suggestDelay == null) return;
+        this.suggestTimer = setTimeout(() => {
+            const next = this.suggestedNext(document.getElementById(pageId));
+            if (next) this.glance([{ element: next, duration: this.config.suggestHold }]);
+        }, this.config.suggestDelay * 1000);
+    }
+
+    // 押せる状態で表示されている「次へ」
+    suggestedNext(page) {
+        const next = page?.querySelector('.btn.next');
+        if (!next || !isVisible(next)) return null;
+        if (next.classList.contains('is-disabled') || next.getAttribute('aria-disabled') === 'true') return null;
+        return next;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 毎フレームの更新（アニメーションの更新後、vrm.update の前に呼ぶ）
+    // -----------------------------------------------------------------------------
+    update(deltaTime) {
+        if (!this.vrm) return;
+        this.elapsed += deltaTime;
+
+        this.updateGoal(deltaTime);
+        this.updateSaccade(deltaTime);
+
+        const eyeRate = 1 - Math.exp(-this.config.eyeSpeed * deltaTime);
+        this.target.position.lerp(_v3A.copy(this.goal).add(this.saccadeOffset), eyeRate);
+
+        this.updateHead(deltaTime);
+    }
+
+    updateGoal(deltaTime) {
+        if (this.pointer && this.elapsed < this.pointer.until) {
+            this.screenToWorld(this.pointer.x, this.pointer.y, this.goal);
+            this.advanceSequence(deltaTime);
+            return;
+        }
+        this.pointer = null;
+
+        const element = this.advanceSequence(deltaTime);
+        if (element) {
+            const rect = element.getBoundingClientRect();
+            this.screenToWorld(rect.left + rect.width / 2, rect.top + rect.height / 2, this.goal);
+        } else {
+            this.customerPosition(this.goal);
+        }
+    }
+
+    // 順に見る部品を進め、今見る部品を返す（見終わったら null）
+    advanceSequence(deltaTime) {
+        while (this.sequence.length) {
+            const current = this.sequence[0];
+            if (typeof current.element === 'function') current.element = current.element();
+            if (current.element && isVisible(current.element) && this.sequenceTime < current.duration) {
+                this.sequenceTime += deltaTime;
+                return current.element;
+            }
+            this.sequence.shift();
+            this.sequenceTime = 0;
+        }
+        return null;
+    }
+
+    updateSaccade(deltaTime) {
+        const { minInterval, maxInterval, range } = this.config.saccade;
+        this.saccadeTime -= deltaTime;
+        if (this.saccadeTime > 0) return;
+        this.saccadeTime = THREE.MathUtils.randFloat(minInterval, maxInterval);
+        this.saccadeOffset.set(
+            THREE.MathUtils.randFloatSpread(2 * range),
+            THREE.MathUtils.randFloatSpread(2 * range),
+            0,
+        );
+    }
+
+    // 見る先の一部を首で向く（アニメーションの首の回転に足す）
+    updateHead(deltaTime) {
+        const { weight, maxYaw, maxPitch, speed } = this.config.head;
+        const head = this.vrm.humanoid?.getNormalizedBoneNode('head');
+        if (!head) return;
+
+        // アニメーションが首を動かしていない場合は、前のフレームで足した分を戻してから足す
+        if (this.headApplied && head.quaternion.equals(this.headApplied)) head.quaternion.copy(this.headBase);
+
+        // 首から見る先への方向（アバターは +Z を向いている）
+        const direction = _v3B.copy(this.goal).sub(head.getWorldPosition(_v3A));
+        const yaw = THREE.MathUtils.clamp(Math.atan2(direction.x, direction.z) * weight, -maxYaw * DEG, maxYaw * DEG);
+        const pitch = THREE.MathUtils.clamp(-Math.atan2(direction.y, Math.hypot(direction.x, direction.z)) * weight, -maxPitch * DEG, maxPitch * DEG);
+
+        const rate = 1 - Math.exp(-speed * deltaTime);
+        this.headYaw += (yaw - this.headYaw) * rate;
+        this.headPitch += (pitch - this.headPitch) * rate;
+
+        // ワールドでの回転を親の座標系に直して足す（VRM 0.x は親の向きが反転しているため）
+        const parentRotation = head.parent.getWorldQuaternion(_quatB);
+        _quat.setFromEuler(_euler.set(this.headPitch, this.headYaw, 0, 'YXZ'))
+            .premultiply(_quatC.copy(parentRotation).invert())
+            .multiply(parentRotation);
+        this.headBase.copy(head.quaternion);
+        head.quaternion.premultiply(_quat);
+        this.headApplied = (this.headApplied || new THREE.Quaternion()).copy(head.quaternion);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 位置の計算
+    // -----------------------------------------------------------------------------
+    customerPosition(target) {
+        return this.camera.getWorldPosition(target);
+    }
+
+    // 画面座標をアバターの前の面（z = screenPlaneZ）の位置にする
+    screenToWorld(clientX, clientY, target) {
+        const rect = this.element?.getBoundingClientRect() ?? { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+        const ndc = _v3A.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0.5,
+        ).unproject(this.camera);
+        const origin = this.camera.getWorldPosition(_v3B);
+        const direction = ndc.sub(origin).normalize();
+        const distance = Math.abs(direction.z) > 1e-6 ? (this.config.screenPlaneZ - origin.z) / direction.z : 0;
+        return target.copy(origin).addScaledVector(direction, Math.max(distance, 0));
+    }
+}
+
+const DEG = THREE.MathUtils.DEG2RAD;
+const _v3A = new THREE.Vector3();
+const _v3B = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _quatB = new THREE.Quaternion();
+const _quatC = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+
+function isVisible(element) {
+    return element.isConnected && element.getClientRects().length > 0 && !element.classList.contains('is-hidden');
+}
@@ -0,0 +1,131 @@
+// =================================================================================
+// 無操作の監視とプライバシー消去
+// =================================================================================
+// 一定時間操作がなければアバターが「まだご利用中ですか？」と確認し、カウントダウン後も
+// 応答がなければ入力内容・回答状態を消去して初期モーダルへ戻ります。
+// ページごとの待ち時間はフロー定義の idleTimeout（秒）で変更できます。
+
+export const IDLE_CONFIG = {
+    defaultTimeout: 90,      // 確認を出すまでの無操作時間（秒）
+    warningSeconds: 15,      // 確認を出してから消去するまでの時間（秒）
+    warningAction: 'no',     // 確認時に再生するアクション
+    activityEvents: ['pointerdown', 'keydown', 'input', 'wheel'],
+};
+
+export class IdleWatchdog {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} options
+     * @param {FlowController} options.flow
+     * @param {VRMViewer} [options.viewer]
+     * @param {VideoPlayer} [options.videoPlayer] 消去時に説明動画を閉じる
+     * @param {Narrator} [options.narrator] 消去時に準備中の読み上げを取り消す
+     * @param {() => void} [options.onWipe] 消去後に呼ばれる（初期モーダルの表示など）
+     * @param {object} [options.config] IDLE_CONFIG の上書き
+     */
+    constructor(definition, { flow, viewer = null, videoPlayer = null, narrator = null, onWipe = null, config = {} }) {
+        this.definition = definition;
+        this.flow = flow;
+        this.viewer = viewer;
+        this.videoPlayer = videoPlayer;
+        this.narrator = narrator;
+        this.onWipe = onWipe;
+        this.config = { ...IDLE_CONFIG, ...config };
+
+        this.running = false;
+        this.idleTimer = null;
+        this.countdownTimer = null;
+        this.remaining = 0;
+
+        this.modal = document.getElementById('idle-modal');
+        this.countdownEl = document.getElementById('idleCountdown');
+
+        const onActivity = this.onActivity.bind(this);
+        this.config.activityEvents.forEach(type => document.addEventListener(type, onActivity, true));
+        document.addEventListener('flow:pagechange', () => this.restart());
+    }
+
+    // 監視を開始する（ご案内開始・再開時）
+    start() {
+        this.running = true;
+        this.restart();
+    }
+
+    stop() {
+        this.running = false;
+        this.clearTimers();
+        this.hideWarning();
+    }
+
+    // 表示中ページの待ち時間（秒）
+    currentTimeout() {
+        const step = this.definition.steps[this.flow.currentId];
+        return step?.idleTimeout ?? this.config.defaultTimeout;
+    }
+
+    restart() {
+        if (!this.running) return;
+        this.clearTimers();
+        this.idleTimer = setTimeout(() => this.showWarning(), this.currentTimeout() * 1000);
+    }
+
+    onActivity() {
+        if (!this.running) return;
+        if (this.countdownTimer) {
+            // 確認中に操作があれば、元のアクションに戻して続行
+            this.hideWarning();
+            this.flow.playAvatar(this.flow.currentId);
+            return;
+        }
+        this.restart();
+    }
+
+    clearTimers() {
+        clearTimeout(this.idleTimer);
+        clearInterval(this.countdownTimer);
+        this.idleTimer = null;
+        this.countdownTimer = null;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 確認（カウントダウン）
+    // -----------------------------------------------------------------------------
+    showWarning() {
+        this.remaining = this.config.warningSeconds;
+        this.renderCountdown();
+        this.modal?.classList.add('active');
+        this.viewer?.playAction(this.config.warningAction);
+
+        this.countdownTimer = setInterval(() => {
+            this.remaining -= 1;
+            this.renderCountdown();
+            if (this.remaining <= 0) this.wipe();
+        }, 1000);
+    }
+
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.modal?.classList.remove('active');
+        this.restart();
+    }
+
+    renderCountdown() {
+        if (this.countdownEl) this.countdownEl.textContent = String(Math.max(this.remaining, 0));
+    }
+
+    // -----------------------------------------------------------------------------
+    // 消去
+    // -----------------------------------------------------------------------------
+    // 入力欄・hidden・回答状態を初期化し、再生中・準備中の音声を止めて初期モーダルへ戻す
+    // （前のお客様の回答を含む読み上げが、消去後に始まらないようにする）
+    wipe() {
+        this.stop();
+        this.videoPlayer?.close();
+        this.narrator?.cancel();
+        this.viewer?.stopAllSounds();
+        this.flow.reset();
+        this.flow.showPage(this.definition.start);
+        this.onWipe?.();
+    }
+}
@@ -0,0 +1,322 @@
+// =================================================================================
+// リップシンク
+// =================================================================================
+// 再生中の音声から口の形（VRMの aa / ih / ou / ee / oh）を決めます。
+// 優先順位は次のとおりです。
+//   1. 音声ファイルと一緒に置いた口形タイムライン（<音声ファイル名>.visemes.json）
+//   2. 音声のスペクトルから母音を推定（第1・第2フォルマントを日本語の5母音に当てはめる）
+//   3. ランダムな口の形（音楽や雑音などで母音を推定できない場合や、SpeechSynthesis の読み上げの予備）
+//
+// 口形タイムラインの形式:
+//   { "visemes": [ { "time": 0.00, "vowel": "a" }, { "time": 0.12, "vowel": "i", "weight": 0.8 }, ... ] }
+//   time は音声の先頭からの秒数、vowel は a / i / u / e / o（"n" または null で口を閉じる）、
+//   weight は口の開き具合（0〜1、省略時は 1）。次の時刻まで同じ口の形を保ちます。
+
+// 母音 → VRMの表情名
+export const VOWEL_EXPRESSIONS = { a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh' };
+
+// 日本語の5母音のフォルマント周波数（Hz）。女性話者の平均的な値なので、ナレーションの声に合わせて調整する
+export const VOWEL_FORMANTS = {
+    a: { f1: 850, f2: 1450 },
+    i: { f1: 350, f2: 2700 },
+    u: { f1: 400, f2: 1600 },
+    e: { f1: 550, f2: 2300 },
+    o: { f1: 550, f2: 950 },
+};
+
+export const LIP_SYNC_CONFIG = {
+    mode: 'auto',            // 'auto'（タイムライン → スペクトル → ランダム） / 'spectrum' / 'random'
+    fftSize: 2048,           // AudioAnalyser のFFTサイズ（フォルマントの推定に必要な分解能）
+    speechBand: [100, 4000], // 音量を測る周波数帯（Hz）
+    silenceLevel: 0.12,      // これより小さい音量（0〜1）は無音として口を閉じる
+    loudLevel: 0.45,         // この音量で口を最大まで開く
+    formantSpread: 0.3,      // 母音の当てはめの許容幅（対数周波数）。大きいほど母音が混ざる
+    minConfidence: 0.05,     // どの母音にもこれ以上近くなければ推定できないとみなし、ランダムに切り替える
+    randomWeights: { aa: 3, ih: 0.5, ou: 1, ee: 2, oh: 2 }, // ランダム時の口の形の出現確率の重み
+};
+
+const SHAPES = Object.values(VOWEL_EXPRESSIONS);
+
+function emptyWeights() {
+    return Object.fromEntries(SHAPES.map(shape => [shape, 0.0]));
+}
+
+// -----------------------------------------------------------------------------
+// スペクトルからの母音推定
+// -----------------------------------------------------------------------------
+/**
+ * 発話帯域の音量（0〜1）。無音なら 0
+ * @param {Uint8Array|number[]} spectrum 0〜255 の振幅
+ * @param {number} sampleRate
+ * @param {object} [config] LIP_SYNC_CONFIG の上書き
+ */
+export function speechVolume(spectrum, sampleRate, config = {}) {
+    const { speechBand, silenceLevel, loudLevel } = { ...LIP_SYNC_CONFIG, ...config };
+    const binHz = sampleRate / 2 / spectrum.length;
+    const [low, high] = speechBand.map(hz => Math.min(spectrum.length - 1, Math.max(0, Math.round(hz / binHz))));
+    let sum = 0;
+    for (let i = low; i <= high; i++) sum += spectrum[i];
+    const level = sum / (high - low + 1) / 255;
+    if (level < silenceLevel) return 0;
+    return Math.min(1, (level - silenceLevel) / (loudLevel - silenceLevel));
+}
+
+/**
+ * 周波数スペクトル（AnalyserNode.getByteFrequencyData の値）から母音を推定する
+ * @param {Uint8Array|number[]} spectrum 0〜255 の振幅
+ * @param {number} sampleRate 音声のサンプリング周波数
+ * @param {object} [config] LIP_SYNC_CONFIG の上書き
+ * @returns {{ weights: Object<string, number>, volume: number, confidence: number, f1: number, f2: number }|null}
+ *   weights は表情名ごとの割合（合計1）、volume は 0〜1、confidence は最も近い母音との近さ（0〜1）。無音なら null
+ */
+export function estimateVowel(spectrum, sampleRate, config = {}) {
+    const { formantSpread } = { ...LIP_SYNC_CONFIG, ...config };
+    const volume = speechVolume(spectrum, sampleRate, config);
+    if (volume <= 0) return null;
+
+    const binHz = sampleRate / 2 / spectrum.length;
+    const bin = (hz) => Math.min(spectrum.length - 1, Math.max(0, Math.round(hz / binHz)));
+
+    // 約150Hz幅で平滑化した包絡から、F1・F2 の山を探す
+    const radius = Math.max(1, Math.round(75 / binHz));
+    const envelope = (i) => {
+        let total = 0;
+        let count = 0;
+        for (let j = Math.max(0, i - radius); j <= Math.min(spectrum.length - 1, i + radius); j++) {
+            total += spectrum[j];
+            count++;
+        }
+        return total / count;
+    };
+    const peak = (fromHz, toHz) => {
+        let best = bin(fromHz);
+        let bestValue = -1;
+        for (let i = bin(fromHz); i <= bin(toHz); i++) {
+            const value = envelope(i);
+            if (value > bestValue) {
+                best = i;
+                bestValue = value;
+            }
+        }
+        return best * binHz;
+    };
+    const f1 = peak(250, 1000);
+    const f2 = peak(Math.max(f1 + 300, 700), 3200);
+
+    // 対数周波数上の距離で各母音との近さを求める
+    const scores = {};
+    let total = 0;
+    for (const [vowel, formant] of Object.entries(VOWEL_FORMANTS)) {
+        const d1 = Math.log(f1 / formant.f1) / formantSpread;
+        const d2 = Math.log(f2 / formant.f2) / formantSpread;
+        scores[vowel] = Math.exp(-(d1 * d1 + d2 * d2) / 2);
+        total += scores[vowel];
+    }
+
+    const weights = emptyWeights();
+    for (const [vowel, score] of Object.entries(scores)) {
+        weights[VOWEL_EXPRESSIONS[vowel]] = total > 0 ? score / total : 0;
+    }
+    const confidence = Math.max(...Object.values(scores));
+    return { weights, volume, confidence, f1, f2 };
+}
+
+// -----------------------------------------------------------------------------
+// 口形タイムライン
+// -----------------------------------------------------------------------------
+export class VisemeTimeline {
+    /**
+     * @param {{ time: number, vowel: string|null, weight?: number }[]} visemes
+     */
+    constructor(visemes) {
+        this.visemes = [...visemes].sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 指定時刻の口の形（表情名ごとの値）を返す
+     * 切り替わりで口がパクパクしすぎないよう、前の口の形から短い時間で移ります。
+     * @param {number} time 音声の先頭からの秒数
+     * @param {number} [blend] 切り替えにかける秒数
+     */
+    sample(time, blend = 0.06) {
+        const weights = emptyWeights();
+        const index = this.indexAt(time);
+        if (index < 0) return weights;
+
+        const current = this.visemes[index];
+        const previous = this.visemes[index - 1];
+        const t = previous ? Math.min(1, (time - current.time) / blend) : 1;
+        addViseme(weights, current, t);
+        if (previous && t < 1) addViseme(weights, previous, 1 - t);
+        return weights;
+    }
+
+    // time 以前で最後のキーの位置（二分探索）
+    indexAt(time) {
+        let lo = 0;
+        let hi = this.visemes.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.visemes[mid].time <= time) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+}
+
+function addViseme(weights, { vowel, weight = 1 }, amount) {
+    const shape = VOWEL_EXPRESSIONS[vowel];
+    if (shape) weights[shape] += weight * amount;
+}
+
+// 音声ファイルに対応する口形タイムラインのパス（sounds/yes.mp3 → sounds/yes.visemes.json）
+export function visemePathFor(soundPath) {
+    return soundPath.replace(/\.[^./]+$/, '') + '.visemes.json';
+}
+
+/**
+ * 音声ファイルと一緒に置いた口形タイムラインを読み込む（なければ null）
+ * @param {string} soundPath
+ * @returns {Promise<VisemeTimeline|null>}
+ */
+export async function loadVisemeTimeline(soundPath) {
+    try {
+        const response = await fetch(visemePathFor(soundPath));
+        if (!response.ok) return null;
+        const data = await response.json();
+        return Array.isArray(data.visemes) ? new VisemeTimeline(data.visemes) : null;
+    } catch (error) {
+        console.warn(`口形タイムライン(${visemePathFor(soundPath)})を読み込めませんでした:`, error);
+        return null;
+    }
+}
+
+/**
+ * THREE.Audio を最初から再生し、再生を始めた AudioContext の時刻を記録する
+ * three.js は再生位置を公開していないため、playbackTime はこの時刻から再生位置を計算する
+ * @param {THREE.Audio|SpeechSynthesisSound} sound
+ */
+export function playSound(sound) {
+    sound.play();
+    if (sound.context && sound.userData) sound.userData.playStartedAt = sound.context.currentTime;
+}
+
+/**
+ * playSound で再生を始めた THREE.Audio の再生位置（秒）
+ * @returns {number|null} 再生を始めた時刻を記録していない音声（SpeechSynthesis の読み上げなど）は null
+ */
+export function playbackTime(sound) {
+    const startedAt = sound?.userData?.playStartedAt;
+    if (!sound.context || typeof startedAt !== 'number') return null;
+    return Math.max(sound.context.currentTime - startedAt, 0) * (sound.playbackRate ?? 1);
+}
+
+// =================================================================================
+// リップシンクの制御クラス
+// =================================================================================
+export class LipSyncEngine {
+    /**
+     * @param {object} [config] LIP_SYNC_CONFIG の上書き
+     */
+    constructor(config = {}) {
+        this.config = { ...LIP_SYNC_CONFIG, ...config };
+        this.mode = null;                    // 直前のフレームで使った方式（確認用）
+        this.spectrum = null;
+        this.randomTargets = { ...emptyWeights(), aa: 1.0 };
+        this.mouthShapeChangeTimer = 0.0;    // ランダム時に口の形を次に変えるまでの時間
+    }
+
+    /**
+     * 1フレーム分の口の形の目標値を返す
+     * @param {number} deltaTime
+     * @param {object} source
+     * @param {THREE.Audio|SpeechSynthesisSound|null} source.sound 再生中の音声
+     * @param {THREE.AudioAnalyser|null} [source.analyser]
+     * @param {VisemeTimeline|null} [source.timeline]
+     * @returns {Object<string, number>} 表情名 → 0〜1
+     */
+    update(deltaTime, { sound, analyser = null, timeline = null }) {
+        if (!sound) {
+            this.mode = null;
+            return emptyWeights();
+        }
+
+        const { mode } = this.config;
+        const time = mode === 'auto' && timeline ? playbackTime(sound) : null;
+        if (time !== null) {
+            this.mode = 'timeline';
+            return timeline.sample(time);
+        }
+
+        const node = analyser?.analyser;
+        if (!node) {
+            // 音声分析器がない音声（SpeechSynthesis の読み上げなど）は、音声側が返す開き具合でランダムに動かす
+            if (typeof sound.getLevel === 'function') {
+                this.mode = 'random';
+                return this.updateRandom(deltaTime, sound.getLevel());
+            }
+            this.mode = null;
+            return emptyWeights();
+        }
+        if (!this.spectrum || this.spectrum.length !== node.frequencyBinCount) {
+            this.spectrum = new Uint8Array(node.frequencyBinCount);
+        }
+        node.getByteFrequencyData(this.spectrum);
+        const sampleRate = node.context.sampleRate;
+
+        if (mode !== 'random') {
+            const estimate = estimateVowel(this.spectrum, sampleRate, this.config);
+            if (!estimate) {
+                this.mode = 'spectrum';
+                return emptyWeights();
+            }
+            if (estimate.confidence < this.config.minConfidence) {
+                this.mode = 'random';
+                return this.updateRandom(deltaTime, estimate.volume);
+            }
+            this.mode = 'spectrum';
+            const weights = {};
+            for (const shape in estimate.weights) weights[shape] = estimate.weights[shape] * estimate.volume;
+            return weights;
+        }
+
+        this.mode = 'random';
+        return this.updateRandom(deltaTime, speechVolume(this.spectrum, sampleRate, this.config));
+    }
+
+    // ランダムな口の形（音量に合わせて開き具合だけ変える）
+    updateRandom(deltaTime, volume) {
+        this.mouthShapeChangeTimer -= deltaTime;
+        if (this.mouthShapeChangeTimer < 0) {
+            const weights = this.config.randomWeights;
+            const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+            let randomValue = Math.random() * totalWeight;
+
+            let nextShape = '';
+            for (const shape in weights) {
+                randomValue -= weights[shape];
+                if (randomValue <= 0) {
+                    nextShape = shape;
+                    break;
+                }
+            }
+
+            if (nextShape) {
+                for (const shape in this.randomTargets) {
+                    this.randomTargets[shape] = (shape === nextShape) ? 1.0 : 0.0;
+                }
+            }
+
+            this.mouthShapeChangeTimer = Math.random() * 0.12 + 0.08;
+        }
+
+        const targets = {};
+        for (const shape in this.randomTargets) targets[shape] = this.randomTargets[shape] * volume;
+        return targets;
+    }
+}
@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+import { BVHLoader } from 'three/addons/loaders/BVHLoader.js';
+import { createBVHRigMap } from './bvhVRMRigMap.js';
+import { REST_POSE, retargetClip } from './retargetAnimation.js';
+
+/**
+ * BVH（モーションキャプチャ）のアニメーションを読み込み、VRM向けに変換して返す
+ * 骨の名前は bvhVRMRigMap.js の候補から対応を決めます。
+ * BVHはY軸が上・+Zが正面で、レスト時がTポーズのデータを想定しています。
+ * @param {string} url アニメーションデータのURL
+ * @param {VRM} vrm ターゲットのVRM
+ * @returns {Promise<THREE.AnimationClip>} 変換されたAnimationClip
+ */
+export async function loadBVHAnimation(url, vrm) {
+    const loader = new BVHLoader();
+    const { skeleton, clip } = await loader.loadAsync(url);
+
+    // 「mixamorig:Hips」のようにトラック名に使えない文字を含む骨の名前を整える
+    for (const bone of skeleton.bones) {
+        bone.name = THREE.PropertyBinding.sanitizeNodeName(bone.name);
+    }
+    for (const track of clip.tracks) {
+        const dot = track.name.lastIndexOf('.');
+        track.name = `${THREE.PropertyBinding.sanitizeNodeName(track.name.slice(0, dot))}${track.name.slice(dot)}`;
+    }
+
+    const root = skeleton.bones[0];
+    root.updateMatrixWorld(true);
+
+    const rigMap = createBVHRigMap(skeleton.bones.filter(bone => bone.name !== 'ENDSITE').map(bone => bone.name));
+    const hipsName = Object.keys(rigMap).find(name => rigMap[name] === 'hips');
+    if (!hipsName) {
+        throw new Error(`BVHファイル(${url})に腰（Hips）にあたる骨が見つかりません。`);
+    }
+
+    // 足元から腰までの高さ（レスト時の一番低い骨から腰まで）を基準に移動量を補正する
+    // BVHはルートの位置を絶対座標で持つものとオフセットからの差分で持つものがあるため、
+    // 最初のフレームで足元が地面（y = 0）に来るようにずらします。
+    const position = new THREE.Vector3();
+    const hipsRestY = root.getObjectByName(hipsName).getWorldPosition(position).y;
+    const lowestRestY = Math.min(...skeleton.bones.map(bone => bone.getWorldPosition(position).y));
+    const hipsHeight = hipsRestY - lowestRestY;
+    const hipsPositionTrack = clip.tracks.find(track => track.name === `${hipsName}.position`);
+    const firstHipsY = hipsPositionTrack ? hipsPositionTrack.values[1] : hipsRestY;
+
+    return retargetClip({
+        clip,
+        skeleton: root,
+        rigMap,
+        restPose: REST_POSE.world,
+        hipsHeight,
+        groundOffset: hipsHeight - firstHipsY,
+        name: 'BVHClip',
+    }, vrm);
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { mixamoVRMRigMap } from './mixamoVRMRigMap.js';
+import { REST_POSE, retargetClip } from './retargetAnimation.js';
 
 /**
  * Load Mixamo animation, convert for three-vrm use, and return it.
@@ -9,87 +10,24 @@ import { mixamoVRMRigMap } from './mixamoVRMRigMap.js';
  * @param {VRM} vrm A target VRM
  * @returns {Promise<THREE.AnimationClip>} The converted AnimationClip
  */
-export function loadMixamoAnimation( url, vrm ) {
+export async function loadMixamoAnimation( url, vrm ) {
 
 	const loader = new FBXLoader(); // A loader which loads FBX
-	return loader.loadAsync( url ).then( ( asset ) => {
+	const asset = await loader.loadAsync( url );
 
-		const clip = THREE.AnimationClip.findByName( asset.animations, 'mixamo.com' ); // extract the AnimationClip
+	const clip = THREE.AnimationClip.findByName( asset.animations, 'mixamo.com' ) || asset.animations[ 0 ]; // extract the AnimationClip
+	if ( ! clip ) throw new Error( `アニメーションクリップがfbxファイル内(${url})に見つかりません。` );
 
-		const tracks = []; // KeyframeTracks compatible with VRM will be added here
+	// Adjust with reference to hips height.
+	const motionHipsHeight = asset.getObjectByName( 'mixamorigHips' )?.position.y;
 
-		const restRotationInverse = new THREE.Quaternion();
-		const parentRestWorldRotation = new THREE.Quaternion();
-		const _quatA = new THREE.Quaternion();
-		const _vec3 = new THREE.Vector3();
+	return retargetClip( {
+		clip,
+		skeleton: asset,
+		rigMap: mixamoVRMRigMap,
+		restPose: REST_POSE.world,
+		hipsHeight: motionHipsHeight,
+		name: 'vrmAnimation',
+	}, vrm );
 
-		// Adjust with reference to hips height.
-		const motionHipsHeight = asset.getObjectByName( 'mixamorigHips' ).position.y;
-		const vrmHipsHeight = vrm.humanoid.normalizedRestPose.hips.position[ 1 ];
-		const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
-
-		clip.tracks.forEach( ( track ) => {
-
-			// Convert each tracks for VRM use, and push to `tracks`
-			const trackSplitted = track.name.split( '.' );
-			const mixamoRigName = trackSplitted[ 0 ];
-			const vrmBoneName = mixamoVRMRigMap[ mixamoRigName ];
-			const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode( vrmBoneName )?.name;
-			const mixamoRigNode = asset.getObjectByName( mixamoRigName );
-
-			if ( vrmNodeName != null ) {
-
-				const propertyName = trackSplitted[ 1 ];
-
-				// Store rotations of rest-pose.
-				mixamoRigNode.getWorldQuaternion( restRotationInverse ).invert();
-				mixamoRigNode.parent.getWorldQuaternion( parentRestWorldRotation );
-
-				if ( track instanceof THREE.QuaternionKeyframeTrack ) {
-
-					// Retarget rotation of mixamoRig to NormalizedBone.
-					for ( let i = 0; i < track.values.length; i += 4 ) {
-
-						const flatQuaternion = track.values.slice( i, i + 4 );
-
-						_quatA.fromArray( flatQuaternion );
-
-						// 親のレスト時ワールド回転 * トラックの回転 * レスト時ワールド回転の逆
-						_quatA
-							.premultiply( parentRestWorldRotation )
-							.multiply( restRotationInverse );
-
-						_quatA.toArray( flatQuaternion );
-
-						flatQuaternion.forEach( ( v, index ) => {
-
-							track.values[ index + i ] = v;
-
-						} );
-
-					}
-
-					tracks.push(
-						new THREE.QuaternionKeyframeTrack(
-							`${vrmNodeName}.${propertyName}`,
-							track.times,
-							track.values.map( ( v, i ) => ( vrm.meta?.metaVersion === '0' && i % 2 === 0 ? - v : v ) ),
-						),
-					);
-
-				} else if ( track instanceof THREE.VectorKeyframeTrack ) {
-
-					const value = track.values.map( ( v, i ) => ( vrm.meta?.metaVersion === '0' && i % 3 !== 1 ? - v : v ) * hipsPositionScale );
-					tracks.push( new THREE.VectorKeyframeTrack( `${vrmNodeName}.${propertyName}`, track.times, value ) );
-
-				}
-
-			}
-
-		} );
-
-		return new THREE.AnimationClip( 'vrmAnimation', clip.duration, tracks );
-
-	} );
-
-}
\ No newline at end of file
+}
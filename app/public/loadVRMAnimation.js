@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { REST_POSE, retargetClip } from './retargetAnimation.js';
+
+/**
+ * VRM Animation(.vrma)を読み込み、VRM向けに変換して返す
+ * 骨の対応はファイル内の VRMC_vrm_animation 拡張の humanBones から作ります。
+ * 表情（expressions）と視線（lookAt）のトラックは取り込みません。
+ * @param {string} url アニメーションデータのURL
+ * @param {VRM} vrm ターゲットのVRM
+ * @returns {Promise<THREE.AnimationClip>} 変換されたAnimationClip
+ */
+export async function loadVRMAnimation(url, vrm) {
+    const loader = new GLTFLoader();
+    const gltf = await loader.loadAsync(url);
+
+    const clip = gltf.animations[0];
+    if (!clip) {
+        throw new Error(`アニメーションクリップがvrmaファイル内(${url})に見つかりません。`);
+    }
+
+    const humanBones = gltf.parser.json.extensions?.VRMC_vrm_animation?.humanoid?.humanBones;
+    if (!humanBones) {
+        throw new Error(`vrmaファイル(${url})に VRMC_vrm_animation の骨の情報がありません。`);
+    }
+
+    // ノード番号 → ノードの名前（トラック名に使われる名前）からVRMの骨への対応表を作る
+    const rigMap = {};
+    await Promise.all(Object.entries(humanBones).map(async ([vrmBoneName, { node }]) => {
+        const sourceNode = await gltf.parser.getDependency('node', node);
+        rigMap[sourceNode.name] = vrmBoneName;
+    }));
+
+    // ヒップの高さを基準にアニメーション全体の移動量を補正する
+    const hipsName = Object.keys(rigMap).find(name => rigMap[name] === 'hips');
+    gltf.scene.updateMatrixWorld(true);
+    const hipsHeight = hipsName && gltf.scene.getObjectByName(hipsName)?.getWorldPosition(new THREE.Vector3()).y;
+
+    return retargetClip({
+        clip,
+        skeleton: gltf.scene,
+        rigMap,
+        restPose: REST_POSE.world,
+        hipsHeight,
+        name: 'VRMAnimationClip',
+    }, vrm);
+}
@@ -5,32 +5,66 @@ import * as THREE from 'three'; // 3Dグラフィックスの基本ライブラ
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'; // GLTF/GLB形式(VRMのベース)のモデルを読み込むためのローダー
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'; // マウスで3Dモデルを回転・ズーム・パンするための操作コントローラー
 import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm'; // VRMモデルを読み込み、操作するためのプラグイン
-import { loadMixamoAnimation } from './loadMixamoAnimation.js'; // MixamoのアニメーションをVRM用に変換するカスタム関数
-import { loadXRAnimatorAnimation } from './loadXRAnimatorAnimation.js'; // XR Animator用のアニメーション変換関数
+import { AnimationRegistry } from './animationRegistry.js'; // animations/manifest.json のアニメーションを名前で読み込む
+import { AnimationLayers, DEFAULT_TRANSITION } from './animationLayers.js'; // 体の部位ごとのレイヤーを重ねて再生
+import { FLOW_DEFINITION } from './flowDefinition.js'; // 受付フローの定義（ページ・分岐・アバターの動き）
+import { FlowController } from './flowController.js'; // フロー定義に従ってページ遷移を制御するクラス
+import { FormValidator } from './formValidation.js'; // 入力チェックと「次へ」ボタンの有効化
+import { ApplicationSubmitter } from './applicationSubmission.js'; // お申込みデータの作成と送信
+import { SessionStore } from './sessionStore.js'; // 入力途中のセッションの保存と再開
+import { IdleWatchdog } from './idleWatchdog.js'; // 無操作時の確認と入力内容の消去
+import { AddressForm } from './postalLookup.js'; // 郵便番号からの住所検索と丁目の選択肢
+import { MemberPrefill } from './memberPrefill.js'; // ノジマアプリ会員情報の読み込みと反映
+import { LIP_SYNC_CONFIG, LipSyncEngine, loadVisemeTimeline, playSound } from './lipSync.js'; // 音声に合わせた口の動き
+import { Narrator } from './narration.js'; // 吹き出しの読み上げ
+import { GazeController } from './gazeController.js'; // お客様や操作中の部品を見る視線
+import { ExpressionController } from './expressions.js'; // VRMの表情（組み合わせ・話している間のキュー）
+import { LoadingTracker, Preflight, StartupGate } from './preflight.js'; // 読み込みの進み具合・起動前の確認
+import { CAMERA_SHOTS, CameraDirector } from './cameraDirector.js'; // ページ・アクションごとのカメラのショット
+import { RenderScheduler } from './renderScheduler.js'; // 描画の回数・解像度の調整とコンテキストの消失への対応
+import { AuditTrail } from './auditTrail.js'; // 説明の視聴・同意・従業員コードの監査ログ
+import { STAFF_OVERRIDES, StaffOverrides, StaffSession } from './staffMode.js'; // 従業員ログインと従業員による変更
+import { ServiceAvailability } from './serviceAvailability.js'; // 10ギガ・光電話・光テレビの提供可否
+import { PricingGuide } from './pricing.js'; // 料金プランの比較と月額の試算
+import { VideoPlayer } from './videoPlayer.js'; // 重要事項の説明動画の再生と視聴完了の確認
+import { AVATARS, AvatarMenu, applyGreeting, applyTheme, avatarRequirements, checkAvatar, loadSelection, resolveBranding } from './branding.js'; // 店舗・キャンペーンごとのアバター・背景・声・テーマ
 
 // =================================================================================
 // アクション設定
 // =================================================================================
-// ボタンのアクション（はい・いいえ）に対応する設定です。
-// アニメーション、音声、表情のファイルパスや名前をここで一元管理します。
+// アクション名ごとのアニメーション・音声・表情の設定です。
+// animations/manifest.json に登録したアニメーション（greet・thank・think など）は、
+// ここに書かなくてもその名前のまま音声・表情なしのアクションとして使えます。
+//   clip       : 再生するアニメーションの名前（省略時はアクション名）
+//   layer      : 再生するレイヤー（animationLayers.js の LAYER_CONFIG。省略時は manifest.json の layer、なければ base）
+//   fadeIn     : 切り替えにかける秒数 / fadeOut : 終わってから戻すまでの秒数（省略時は manifest.json、なければ既定値）
+//   soundPath  : 既定の音声ファイル（ナレーションや voice の指定がない場合に再生）
+//   expression : 再生中の表情。表情名か { 表情名: 値 } の組み合わせ（VRMにある表情なら独自の表情も使える。expressions.js を参照）
+//   shot       : 再生中のカメラのショット（cameraDirector.js の CAMERA_SHOTS。省略時はページのショットのまま）
 const ACTION_CONFIG = {
     idle: {
-        animationPath: 'animations/idle.fbx',
         soundPath: 'sounds/saple-001.wav', // 例: 導入の音声
         expression: 'happy'
     },
     yes: {
-        animationPath: 'animations/motion_20second.glb', // 「はい」の時に再生するアニメーションファイル
+        clip: 'nod',                               // 「はい」の時に再生するアニメーション（head レイヤーでアイドルに重ねる）
         soundPath: 'sounds/saple-001.wav',             // 「はい」の時に再生する音声ファイル
         expression: 'relaxed',                     // 「はい」の時に適用する表情名
     },
     no: {
-        animationPath: 'animations/Bow.fbx',     // 「いいえ」の時に再生するアニメーションファイル
+        clip: 'bow',                             // 「いいえ」の時に再生するアニメーション
         soundPath: 'sounds/saple-001.wav',              // 「いいえ」の時に再生する音声ファイル
         expression: 'sad',                     // 「いいえ」の時に適用する表情名
     },
 };
 
+// 音声の再生中に重ねるアクション（話している身振り）。null なら重ねない
+const TALK_ACTION = 'talk';
+
+// アバターに必要な表情と骨（フロー定義・ACTION_CONFIG の表情、カメラのショットの骨など）
+// アバターの切り替え時に確かめ、足りないアバターには切り替えない
+const AVATAR_REQUIREMENTS = avatarRequirements({ definition: FLOW_DEFINITION, actions: ACTION_CONFIG, shots: CAMERA_SHOTS });
+
 // =================================================================================
 // VRMビューアのメインクラス
 // =================================================================================
@@ -39,11 +73,16 @@ class VRMViewer {
     // -----------------------------------------------------------------------------
     // コンストラクタ: クラスが作成されたときに最初に実行される処理
     // -----------------------------------------------------------------------------
-    constructor() {
+    // options.avatar: アバターの設定（branding.js の AVATARS）/ options.background: 背景の画像
+    constructor({ avatar = AVATARS.default, background = 'image/background.jpg' } = {}) {
+        this.avatarProfile = avatar;    // 使うアバター（モデル・アイドルのアニメーション・声）
+        this.background = background;
+
         // --- 3Dシーンの基本設定 ---
-        this.renderer = new THREE.WebGLRenderer({ antialias: true }); // 3Dを描画するレンダラーを作成
+        // 高解像度の画面ではアンチエイリアスなしでも目立たないため、負荷を抑えるために使わない
+        this.renderer = new THREE.WebGLRenderer({ antialias: window.devicePixelRatio < 2 }); // 3Dを描画するレンダラーを作成
         this.renderer.setSize(window.innerWidth, window.innerHeight);   // レンダラーのサイズをウィンドウに合わせる
-        this.renderer.setPixelRatio(window.devicePixelRatio);           // デバイスのピクセル比に合わせて解像度を調整
+        // 解像度（ピクセル比）は描画ループ（RenderScheduler）がフレームの間隔に合わせて調整する
         //document.body.appendChild(this.renderer.domElement);            // 作成したレンダラーをHTMLに追加
         const mount = document.getElementById('app') || document.body;
         mount.appendChild(this.renderer.domElement);
@@ -51,53 +90,51 @@ class VRMViewer {
         this.camera = new THREE.PerspectiveCamera(30.0, window.innerWidth / window.innerHeight, 0.1, 20.0); // 3D空間を写すカメラを作成
         this.camera.position.set(0.0, 1.0, 5.0); // カメラの位置を設定
 
-        this.scene = new THREE.Scene(); // 3Dオブジェクトを配置する空間（シーン）を作成
-
+        this.buildScene();
         this.controls = new OrbitControls(this.camera, this.renderer.domElement); // マウス操作を有効化
         this.controls.screenSpacePanning = true; // 操作方法をより直感的に
         this.controls.target.set(0.0, 1.0, 0.0); // カメラの注視点をモデルの胸あたりに設定
         this.controls.update();
+        // カメラはページ・アクションごとのショットで動かす（OrbitControls は従業員のデバッグ表示の間だけ使える）
+        this.cameraDirector = new CameraDirector({ camera: this.camera, controls: this.controls, element: this.renderer.domElement });
 
         this.listener = new THREE.AudioListener(); // 3D空間内の音を聴くためのリスナーを作成
         this.camera.add(this.listener); // リスナーをカメラに追従させる
 
-        const light = new THREE.DirectionalLight(0xffffff, Math.PI); // 平行光源（太陽光のような光）を作成
-        light.position.set(1.0, 1.0, 1.0).normalize(); // 光の向きを設定
-        this.scene.add(light); // シーンにライトを追加
-
-        const textureLoader = new THREE.TextureLoader(); // 画像を読み込むためのローダー
-        textureLoader.load('image/background.jpg', (texture) => {
-            this.scene.background = texture; // 読み込んだ画像をシーンの背景に設定
+        // --- 描画ループ（モーダルの表示中・タブが隠れている間は減らす・止める） ---
+        this.scheduler = new RenderScheduler({
+            renderer: this.renderer,
+            onFrame: (deltaTime) => this.renderFrame(deltaTime),
+            onContextRestored: () => this.rebuild(),
         });
 
         // --- データ管理用のプロパティ ---
         // アプリケーション全体で使う変数（状態）を初期化します。
-        this.clock = new THREE.Clock(); // 時間を管理するための時計
         this.vrm = null;                // 読み込んだVRMモデルデータ
         this.mixer = null;              // アニメーションを再生・管理するミキサー
-        this.animationActions = {};     // アニメーションの再生アクションを保持するオブジェクト
+        this.animationClips = {};       // アクション名 → 読み込んだアニメーションのクリップ
+        this.layers = null;             // アニメーションのレイヤー（AnimationLayers）
         this.currentAction = null;      // 現在再生中のアクション
+        this.talking = false;           // 話している身振りを重ねているか
+        this.animations = null;         // アニメーションの一覧（AnimationRegistry）
         this.sounds = {};               // 読み込んだ音声データを保持するオブジェクト
-        this.expressionTargets = { happy: 0.0, angry: 0.0, sad: 0.0, relaxed: 0.0 }; // 表情の目標値（0.0:無表情, 1.0:最大）
+        this.expressions = null;        // 表情（ExpressionController。VRMの読み込み後に作る）
         this.blinkState = { time: 0.0, nextTime: 3.0, isBlinking: false, progress: 0.0, duration: 0.2 }; // 自動まばたきの状態管理
         this.audioAnalysers = {};       // 音声分析器（リップシンク用）
         this.currentAnalyser = null;    // 現在使用中の音声分析器
         this.currentSound = null;       // 現在再生中の音声
+        this.pendingRequest = null;     // 読み込み待ちのアクション再生要求
+        this.loadErrors = { avatar: null, idle: null, sounds: {} }; // 読み込みに失敗したもの（起動前の確認で表示）
+        this.fallback = false;          // アバターなし（2D）で案内しているか
+        this.avatarProblems = [];       // アバターに足りない表情・骨（checkAvatar。起動前の確認で表示）
 
-        // --- ランダムリップシンク用のプロパティ --- 
-        // それぞれの口の形の目標値を管理するオブジェクト
-        this.lipShapeTargets = { aa: 1.0, ih: 0.0, ou: 0.0, ee: 0.0, oh: 0.0 };
-        // 口の形を次に変えるまでの時間（タイマー）
-        this.mouthShapeChangeTimer = 0.0;
-
-        // 口の形の出現確率の重み 
-        this.lipShapeWeights = {
-            aa: 3,
-            ih: 0.5,
-            ou: 1,
-            ee: 2,
-            oh: 2,
-        };
+        // --- リップシンク用のプロパティ ---
+        this.lipSync = new LipSyncEngine();  // 口の形を決める（タイムライン → スペクトル → ランダム）
+        this.visemeTimelines = {};           // 音声ごとの口形タイムライン（なければ null）
+        this.currentVisemes = null;          // 現在再生中の音声の口形タイムライン
+
+        // --- 視線（お客様・選んだ選択肢・触れた位置を見る） ---
+        this.gaze = new GazeController({ camera: this.camera, element: this.renderer.domElement });
 
         // --- UI要素とイベントリスナー ---
         //this.yesButton = document.getElementById('yesButton'); // HTMLの「はい」ボタンを取得
@@ -119,70 +156,255 @@ class VRMViewer {
             //this.yesButton.disabled = false;  // 読み込み完了後、ボタンを有効化
             //this.noButton.disabled = false;
             console.log('VRMの準備が完了しました。');
+            return true;
         } catch (error) {
+            // 失敗した内容は loadErrors に残し、起動前の確認（preflight.js）で表示する
             console.error('初期化中にエラーが発生しました:', error);
+            return false;
         }
     }
 
+    // ブラウザが止めている音声の再生を有効にする（「ご案内開始」などの操作のときに呼ぶ）
+    unlockAudio() {
+        const context = this.listener.context;
+        if (context.state !== 'running') context.resume().catch(error => console.warn('音声の再生を有効にできませんでした:', error));
+    }
+
+    // アバターなし（2D）で案内する（アバターを読み込めないとき）
+    useFallback() {
+        this.fallback = true;
+        this.renderer.domElement.hidden = true;
+        this.scheduler.stop();
+    }
+
+    // -----------------------------------------------------------------------------
+    // シーンの作成（ライトと背景）
+    // -----------------------------------------------------------------------------
+    buildScene() {
+        this.scene = new THREE.Scene(); // 3Dオブジェクトを配置する空間（シーン）を作成
+
+        const light = new THREE.DirectionalLight(0xffffff, Math.PI); // 平行光源（太陽光のような光）を作成
+        light.position.set(1.0, 1.0, 1.0).normalize(); // 光の向きを設定
+        this.scene.add(light); // シーンにライトを追加
+
+        const textureLoader = new THREE.TextureLoader(); // 画像を読み込むためのローダー
+        const scene = this.scene;
+        textureLoader.load(this.background, (texture) => {
+            scene.background = texture; // 読み込んだ画像をシーンの背景に設定
+        });
+    }
+
+    // -----------------------------------------------------------------------------
+    // シーンの作り直し（WebGLのコンテキストが失われて戻ったとき）
+    // -----------------------------------------------------------------------------
+    // GPUに送ったデータはすべて失われているため、シーン・VRM・アニメーションを読み込み直します。
+    // 音声は WebGL と関係ないため、読み込んだものをそのまま使います。
+    async rebuild() {
+        if (!this.vrm || this.fallback) return;
+
+        this.disposeAvatar();
+        this.scene.background?.dispose();
+        this.buildScene();
+        await this.loadAvatar();
+        console.log('VRMを作り直しました。');
+    }
+
+    // -----------------------------------------------------------------------------
+    // アバターの切り替え（従業員用の画面から。branding.js の AVATARS の設定）
+    // -----------------------------------------------------------------------------
+    // 新しいアバターを読み込み、フローが使う表情と骨がそろっていれば今のアバターと入れ替えます。
+    // 足りない場合や読み込めない場合は、今のアバターのまま例外を投げます。
+    async switchAvatar(profile) {
+        if (!this.vrm || this.fallback) throw new Error('アバターを読み込めていないため切り替えられません');
+
+        const loaded = await this.loadVRM(profile);
+        const problems = checkAvatar(loaded.vrm, AVATAR_REQUIREMENTS);
+        if (problems.length) {
+            VRMUtils.deepDispose(loaded.vrm.scene);
+            throw new Error(`${profile.model} はこのフローに使えません（${problems.join(' / ')}）`);
+        }
+
+        this.disposeAvatar();
+        this.clearVoices();   // 前のアバターの声で作ったナレーション
+        this.avatarProfile = profile;
+        this.avatarProblems = [];
+        this.installAvatar(loaded);
+        console.log(`アバターを ${profile.model} に切り替えました。`);
+    }
+
+    // 今のアバターを片付ける（再生中の音声・ミキサー・VRMのジオメトリやテクスチャ）
+    disposeAvatar() {
+        if (!this.vrm) return;
+        this.stopAllSounds();
+        this.pendingRequest = null;
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.vrm.scene);
+        this.scene.remove(this.vrm.scene);
+        VRMUtils.deepDispose(this.vrm.scene);
+        this.vrm = null;
+        this.mixer = null;
+        this.layers = null;
+        this.expressions = null;
+        this.currentAction = null;
+        this.animationClips = {};
+    }
+
     // -----------------------------------------------------------------------------
     // アセット（資源）の読み込み
     // -----------------------------------------------------------------------------
     async loadAssets() {
+        await this.loadAvatar();
+        await this.loadSounds();
+    }
+
+    // 設定のアバター・アイドルのアニメーションを読み込んで再生する（失敗したものは loadErrors に残す）
+    async loadAvatar() {
+        const loaded = await this.loadVRM(this.avatarProfile, this.loadErrors);
+        this.avatarProblems = checkAvatar(loaded.vrm, AVATAR_REQUIREMENTS);
+        if (this.avatarProblems.length) console.warn(`${this.avatarProfile.model} に足りないものがあります:`, this.avatarProblems.join(' / '));
+        this.installAvatar(loaded);
+    }
+
+    // VRMとアイドルのアニメーションを読み込む（まだシーンには追加しない）
+    async loadVRM(profile, errors = {}) {
         const gltfLoader = new GLTFLoader();
         gltfLoader.register((parser) => new VRMLoaderPlugin(parser));
-        const audioLoader = new THREE.AudioLoader();
-        const modelUrl = 'avatar.vrm';
+        const modelUrl = profile.model;
 
-        const gltf = await gltfLoader.loadAsync(modelUrl);
-
-        this.vrm = gltf.userData.vrm;
-        this.scene.add(this.vrm.scene);
-        VRMUtils.rotateVRM0(this.vrm);
-        this.vrm.scene.traverse((obj) => { obj.frustumCulled = false; });
+        let gltf;
+        try {
+            gltf = await gltfLoader.loadAsync(modelUrl);
+        } catch (error) {
+            errors.avatar = error;
+            throw error;
+        }
+        const vrm = gltf.userData.vrm;
+        if (!vrm) {
+            errors.avatar = new Error(`${modelUrl} はVRMではありません`);
+            throw errors.avatar;
+        }
+        VRMUtils.rotateVRM0(vrm);
+        vrm.scene.traverse((obj) => { obj.frustumCulled = false; });
 
-        // カメラ調整（ズームアップ）
-        this.camera.fov = 17;
-        this.camera.updateProjectionMatrix();
-        this.controls.target.set(0.0, 1.3, 0.0);
-        this.controls.update();
-        // ★ ここまで
+        // アイドルだけは先に読み込み、他のアニメーションは初めて使うときに読み込む
+        const animations = new AnimationRegistry(vrm, { config: profile.animations });
+        let idleClip;
+        try {
+            await animations.loadManifest();
+            idleClip = await animations.getClip(profile.idle || 'idle');
+        } catch (error) {
+            errors.idle = error;
+            VRMUtils.deepDispose(vrm.scene);
+            throw error;
+        }
+        return { vrm, animations, idleClip };
+    }
 
-        const idleClip = await loadMixamoAnimation('animations/idle.fbx', this.vrm);
+    // 読み込んだVRMをシーンに追加し、アイドルを再生する
+    installAvatar({ vrm, animations, idleClip }) {
+        this.vrm = vrm;
+        this.scene.add(this.vrm.scene);
+        this.gaze.setVRM(this.vrm);
+        this.expressions = new ExpressionController(this.vrm);
+        this.cameraDirector.setVRM(this.vrm);   // 立ち姿の骨の高さからショットを決める
 
+        this.animations = animations;
         this.mixer = new THREE.AnimationMixer(this.vrm.scene);
         this.mixer.addEventListener('finished', this.onAnimationFinished.bind(this));
-        this.animationActions.idle = this.mixer.clipAction(idleClip).play();
-        this.currentAction = this.animationActions.idle;
+        this.layers = new AnimationLayers(this.mixer, this.vrm);
+        this.animationClips = { idle: idleClip };
+        this.currentAction = this.layers.play('base', idleClip, { fadeIn: 0, loop: true });
+    }
 
-        console.log('各アクションのアセットを読み込みます...');
-        const setupAnalyser = (sound) => new THREE.AudioAnalyser(sound, 32);
+    // ACTION_CONFIG の音声を読み込む
+    async loadSounds() {
+        console.log('各アクションの音声を読み込みます...');
+        const audioLoader = new THREE.AudioLoader();
+        const setupAnalyser = (sound) => new THREE.AudioAnalyser(sound, LIP_SYNC_CONFIG.fftSize);
 
-        for (const [actionName, config] of Object.entries(ACTION_CONFIG)) {
+        await Promise.all(Object.entries(ACTION_CONFIG).map(async ([actionName, config]) => {
+            if (!config.soundPath) return;
             try {
-                console.log(`- ${actionName} を読み込み中...`);
-
-                const animationLoader = config.animationPath.endsWith('.glb')
-                    ? loadXRAnimatorAnimation
-                    : loadMixamoAnimation;
-
-                const [clip, soundBuffer] = await Promise.all([
-                    animationLoader(config.animationPath, this.vrm),
+                const [soundBuffer, visemes] = await Promise.all([
                     audioLoader.loadAsync(config.soundPath),
+                    loadVisemeTimeline(config.soundPath),
                 ]);
 
-                // ★ 修正: ここでループ設定をしない
-                this.animationActions[actionName] = this.mixer.clipAction(clip);
-                this.animationActions[actionName].clampWhenFinished = true;
-
                 this.sounds[actionName] = new THREE.Audio(this.listener);
                 this.sounds[actionName].setBuffer(soundBuffer);
                 this.audioAnalysers[actionName] = setupAnalyser(this.sounds[actionName]);
-
-                console.log(`- ${actionName} の読み込み完了`);
-
+                this.visemeTimelines[actionName] = visemes;
             } catch (error) {
-                console.error(`${actionName}のアセット読み込み中にエラーが発生しました:`, error);
+                console.error(`${actionName}の音声の読み込み中にエラーが発生しました:`, error);
+                this.loadErrors.sounds[actionName] = error;
             }
+        }));
+    }
+
+    // -----------------------------------------------------------------------------
+    // アクションのアニメーションの読み込み（初回の再生時）
+    // -----------------------------------------------------------------------------
+    // アニメーションが見つからない・読み込めない場合は警告を出してアイドルで代用します。
+    async loadClip(actionName) {
+        if (this.animationClips[actionName]) return this.animationClips[actionName];
+        const clipName = ACTION_CONFIG[actionName]?.clip || actionName;
+        try {
+            return this.animationClips[actionName] = await this.animations.getClip(clipName);
+        } catch (error) {
+            console.warn(`アクション「${actionName}」のアニメーションを読み込めないため、アイドルで代用します:`, error);
+            // 一覧にない名前は何度読み込んでも見つからないため、アイドルのまま覚えておく
+            if (!this.animations.has(clipName)) this.animationClips[actionName] = this.animationClips.idle;
+            return this.animationClips.idle;
+        }
+    }
+
+    // アクションの設定（ACTION_CONFIG → manifest.json の順に探し、なければ既定値）
+    actionSettings(actionName) {
+        const config = ACTION_CONFIG[actionName] || {};
+        const { layer, fadeIn, fadeOut } = this.animations?.entries[config.clip || actionName] || {};
+        const defined = (values) => Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined));
+        return { layer: 'base', ...DEFAULT_TRANSITION, ...defined({ layer, fadeIn, fadeOut }), ...config };
+    }
+
+    // -----------------------------------------------------------------------------
+    // 音声の追加読み込み（フロー定義の voice 用）
+    // -----------------------------------------------------------------------------
+    async loadVoice(soundPath) {
+        const [soundBuffer, visemes] = await Promise.all([
+            new THREE.AudioLoader().loadAsync(soundPath),
+            loadVisemeTimeline(soundPath),
+        ]);
+        return this.addVoice(soundPath, new THREE.Audio(this.listener).setBuffer(soundBuffer), visemes);
+    }
+
+    // 合成した音声データ（WAVなど）を voice として登録する（ナレーション用）
+    async addVoiceData(key, data, visemes = null) {
+        const soundBuffer = await this.listener.context.decodeAudioData(data);
+        return this.addVoice(key, new THREE.Audio(this.listener).setBuffer(soundBuffer), visemes);
+    }
+
+    // 音声を voice として登録する
+    // THREE.Audio 以外（SpeechSynthesis の読み上げなど）は音声分析器を付けず、音声側の getLevel() で口を動かす
+    addVoice(key, sound, visemes = null) {
+        this.sounds[key] = sound;
+        this.audioAnalysers[key] = sound instanceof THREE.Audio
+            ? new THREE.AudioAnalyser(sound, LIP_SYNC_CONFIG.fftSize)
+            : null;
+        this.visemeTimelines[key] = visemes;
+        return sound;
+    }
+
+    // voice として登録した音声（ナレーションなど）を破棄する。ACTION_CONFIG の音声は残す
+    // 使うときに読み込み直すため、アバターの声を切り替えたときに呼ぶ
+    clearVoices() {
+        for (const key of Object.keys(this.sounds)) {
+            if (ACTION_CONFIG[key]) continue;
+            const sound = this.sounds[key];
+            if (sound.isPlaying) sound.stop();
+            if (sound instanceof THREE.Audio) sound.disconnect();
+            delete this.sounds[key];
+            delete this.audioAnalysers[key];
+            delete this.visemeTimelines[key];
         }
     }
 
@@ -197,29 +419,58 @@ class VRMViewer {
     // -----------------------------------------------------------------------------
     // アクションの再生 (★ 全面修正)
     // -----------------------------------------------------------------------------
-    playAction(actionName) {
-        const config = ACTION_CONFIG[actionName];
-        const newAction = this.animationActions[actionName];
-        const soundToPlay = this.sounds[actionName];
+    // options.expression: 表情の上書き（省略時は ACTION_CONFIG の表情）
+    // options.cues: 音声の再生位置ごとの表情 [{ time, expression }]（expressions.js を参照）
+    // options.voice: 音声ファイルの上書き（省略時は ACTION_CONFIG の音声）
+    // アニメーション・音声が未読み込みなら、読み込み終わってから再生します。
+    playAction(actionName, options = {}) {
+        if (!this.mixer || this.fallback) return;
+        // 新しい要求が来たら、読み込み待ちの古い要求は再生しない
+        const request = this.pendingRequest = {};
+
+        const clip = this.animationClips[actionName];
+        const voiceReady = !options.voice || this.sounds[options.voice];
+        if (clip && voiceReady) {
+            this.startAction(actionName, clip, options);
+            return;
+        }
 
-        if (!config || !newAction) return;
+        // 未読み込みのアニメーション・音声は、読み込んでから再生する
+        Promise.all([
+            this.loadClip(actionName),
+            voiceReady ? options.voice : this.loadVoice(options.voice).then(() => options.voice, (error) => {
+                console.error(`音声(${options.voice})の読み込み中にエラーが発生しました:`, error);
+                return null;
+            }),
+        ]).then(([loadedClip, voice]) => {
+            if (this.pendingRequest === request) this.startAction(actionName, loadedClip, { ...options, voice });
+        });
+    }
 
-        // 音声とアニメーションの長さを比較し、ループ設定を動的に変更
-        if (soundToPlay && soundToPlay.buffer) {
-            const animDuration = newAction.getClip().duration;
-            const soundDuration = soundToPlay.buffer.duration;
+    startAction(actionName, clip, options) {
+        this.pendingRequest = null;
+        const settings = this.actionSettings(actionName);
 
-            if (animDuration < soundDuration) {
-                newAction.setLoop(THREE.LoopRepeat);
-            } else {
-                newAction.setLoop(THREE.LoopOnce);
-            }
-        } else {
-            newAction.setLoop(THREE.LoopOnce);
+        const soundKey = options.voice || actionName;
+        const soundToPlay = this.sounds[soundKey];
+
+        // 音声とアニメーションの長さを比較し、ループ設定を動的に変更（アイドルは常にループ）
+        let loop = false;
+        if (clip === this.animationClips.idle) {
+            loop = true;
+        } else if (soundToPlay && soundToPlay.buffer) {
+            loop = clip.duration < soundToPlay.buffer.duration;
         }
 
-        // 表情と音声の処理を先に実行
-        this.setExpression(config.expression);
+        // --- アニメーション切り替え処理 ---
+        // 同じレイヤーで再生中のアクションから fadeIn 秒で切り替える（同じアクションならそのまま続ける）
+        const newAction = this.layers.play(settings.layer, clip, { fadeIn: settings.fadeIn, loop });
+        newAction.userData.fadeOut = settings.fadeOut;
+        this.currentAction = newAction;
+        this.cameraDirector.setActionShot(settings.shot);
+
+        // 表情と音声の処理
+        this.setExpression(options.expression ?? settings.expression);
         if (soundToPlay) {
             Object.values(this.sounds).forEach(s => {
                 if (s.isPlaying) {
@@ -234,42 +485,77 @@ class VRMViewer {
                 }
                 soundToPlay.onEnded = null;
             };
-            soundToPlay.play();
+            playSound(soundToPlay);     // 再生を始めた時刻を記録する（口形タイムライン・表情のキューの基準）
             this.currentSound = soundToPlay;
-            this.currentAnalyser = this.audioAnalysers[actionName] || null;
+            this.currentAnalyser = this.audioAnalysers[soundKey] || null;
+            this.currentVisemes = this.visemeTimelines[soundKey] || null;
+            this.startTalking();
         }
+        if (options.cues) this.expressions.playCues(options.cues, soundToPlay);
+    }
 
-        // --- アニメーション切り替え処理 ---
-        if (this.currentAction === newAction) {
-            // ★★★【同じアクションの場合】何もしない ★★★
-            // アニメーションをリセットせず、継続させるため、このブロックは空になります。
+    // -----------------------------------------------------------------------------
+    // 話している身振り（音声の再生中だけ TALK_ACTION を重ねる）
+    // -----------------------------------------------------------------------------
+    async startTalking() {
+        if (!TALK_ACTION || this.talking) return;
+        this.talking = true;
+        const clip = await this.loadClip(TALK_ACTION);
+        // 読み込み中に音声が終わっていたら重ねない
+        if (!this.talking || clip === this.animationClips.idle) return;
+        const settings = this.actionSettings(TALK_ACTION);
+        this.layers.play(settings.layer, clip, { fadeIn: settings.fadeIn, loop: true });
+    }
 
-        } else {
-            // 【違うアクションの場合】フェードで滑らかに切り替える
-            const oldAction = this.currentAction;
-            if (oldAction) {
-                oldAction.fadeOut(0.3);
-            }
-            newAction.reset().fadeIn(0.3).play();
-            this.currentAction = newAction;
-        }
+    stopTalking() {
+        if (!this.talking) return;
+        this.talking = false;
+        const settings = this.actionSettings(TALK_ACTION);
+        this.layers.stop(settings.layer, settings.fadeOut);
     }
 
     // -----------------------------------------------------------------------------
     // アイドル状態への復帰
     // -----------------------------------------------------------------------------
+    // base レイヤーのアクションはアイドルに戻し、他のレイヤーのアクションはそのレイヤーを止めます。
     returnToIdle(actionToStop) {
-        if (!actionToStop || actionToStop === this.animationActions.idle) {
+        if (!actionToStop || !this.layers) return;
+
+        const layer = this.layers.layerOf(actionToStop);
+        const idleAction = this.layers.actionFor(this.animationClips.idle, 'base');
+        const fadeOut = actionToStop.userData.fadeOut ?? DEFAULT_TRANSITION.fadeOut;
+        if (this.layers.current[layer] !== actionToStop || actionToStop === idleAction) {
             return;
         }
 
-        const idleAction = this.animationActions.idle;
+        if (layer === 'base') {
+            this.layers.play('base', this.animationClips.idle, { fadeIn: fadeOut, loop: true });
+        } else {
+            this.layers.stop(layer, fadeOut);
+        }
 
-        actionToStop.fadeOut(0.5);
-        idleAction.reset().fadeIn(0.5).play();
+        if (this.currentAction === actionToStop) {
+            this.currentAction = this.layers.current.base;
+            this.setExpression(null);
+            this.cameraDirector.setActionShot(null);
+        }
+    }
 
-        this.currentAction = idleAction;
-        this.setExpression(null);
+    // -----------------------------------------------------------------------------
+    // 音声の停止（入力内容の消去時など）
+    // -----------------------------------------------------------------------------
+    stopAllSounds() {
+        Object.values(this.sounds).forEach(s => {
+            if (s.isPlaying) {
+                s.stop();
+            }
+            s.onEnded = null;
+        });
+        this.currentSound = null;
+        this.currentAnalyser = null;
+        this.currentVisemes = null;
+        this.stopTalking();
+        this.returnToIdle(this.currentAction);
     }
 
     // -----------------------------------------------------------------------------
@@ -282,28 +568,28 @@ class VRMViewer {
     // -----------------------------------------------------------------------------
     // 表情の設定
     // -----------------------------------------------------------------------------
+    // 表情名・{ 表情名: 値 } の組み合わせ・null（無表情）
     setExpression(targetExpression) {
-        Object.keys(this.expressionTargets).forEach(name => {
-            this.expressionTargets[name] = (name === targetExpression) ? 1.0 : 0.0;
-        });
+        this.expressions?.set(targetExpression);
     }
 
     // -----------------------------------------------------------------------------
     // アニメーションループの開始
     // -----------------------------------------------------------------------------
     startAnimationLoop() {
-        const animate = () => {
-            requestAnimationFrame(animate);
-            const deltaTime = this.clock.getDelta();
-
-            if (this.mixer) this.mixer.update(deltaTime);
-            if (this.vrm) {
-                this.updateVRMFeatures(deltaTime);
-                this.vrm.update(deltaTime);
-            }
-            this.renderer.render(this.scene, this.camera);
-        };
-        animate();
+        this.scheduler.start();
+    }
+
+    // 1フレーム分の更新と描画（RenderScheduler から呼ばれる）
+    renderFrame(deltaTime) {
+        if (this.mixer) this.mixer.update(deltaTime);
+        this.cameraDirector.update(deltaTime);
+        if (this.vrm) {
+            this.gaze.update(deltaTime);   // アニメーションの首の向きに視線の分を足す
+            this.updateVRMFeatures(deltaTime);
+            this.vrm.update(deltaTime);
+        }
+        this.renderer.render(this.scene, this.camera);
     }
 
     // -----------------------------------------------------------------------------
@@ -312,7 +598,8 @@ class VRMViewer {
     updateVRMFeatures(deltaTime) {
         const blink = this.blinkState;
 
-        if (this.expressionTargets.happy <= 0) {
+        // 笑顔など、まばたきを止める表情の間はまばたきしない（EXPRESSION_CONFIG.suppress）
+        if (!this.expressions.suppresses('blink')) {
             blink.time += deltaTime;
             if (blink.time > blink.nextTime && !blink.isBlinking) {
                 blink.isBlinking = true;
@@ -335,12 +622,7 @@ class VRMViewer {
             this.vrm.expressionManager.setValue('blink', 0.0);
         }
 
-        for (const name in this.expressionTargets) {
-            const currentValue = this.vrm.expressionManager.getValue(name);
-            const targetValue = this.expressionTargets[name];
-            const interpolatedValue = THREE.MathUtils.lerp(currentValue, targetValue, 0.1);
-            this.vrm.expressionManager.setValue(name, interpolatedValue);
-        }
+        this.expressions.update(deltaTime);
 
         this.updateLipSync(deltaTime);
     }
@@ -352,45 +634,26 @@ class VRMViewer {
         if (!this.vrm || !this.vrm.expressionManager) return;
         const expressionManager = this.vrm.expressionManager;
 
-        this.mouthShapeChangeTimer -= deltaTime;
-        if (this.mouthShapeChangeTimer < 0) {
-            const weights = this.lipShapeWeights;
-            const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
-            let randomValue = Math.random() * totalWeight;
-
-            let nextShape = '';
-            for (const shape in weights) {
-                randomValue -= weights[shape];
-                if (randomValue <= 0) {
-                    nextShape = shape;
-                    break;
-                }
-            }
-
-            if (nextShape) {
-                for (const shape in this.lipShapeTargets) {
-                    this.lipShapeTargets[shape] = (shape === nextShape) ? 1.0 : 0.0;
-                }
-            }
-
-            this.mouthShapeChangeTimer = Math.random() * 0.12 + 0.08;
-        }
-
-        let lipSyncValue = 0.0;
-        if (this.currentAnalyser) {
-            const average = this.currentAnalyser.getAverageFrequency();
-            lipSyncValue = Math.min(average / 200, 1.0);
-        }
-
         if (this.currentSound && !this.currentSound.isPlaying) {
             this.currentSound = null;
             this.currentAnalyser = null;
+            this.currentVisemes = null;
+            this.stopTalking();
         }
 
-        for (const shape in this.lipShapeTargets) {
+        // 口形タイムライン → 音声のスペクトルからの母音推定 → ランダムの順に口の形を決める
+        const lipShapeTargets = this.lipSync.update(deltaTime, {
+            sound: this.currentSound,
+            analyser: this.currentAnalyser,
+            timeline: this.currentVisemes,
+        });
+
+        // 驚いた顔など、口の動きを止める表情の間は口を閉じる（EXPRESSION_CONFIG.suppress）
+        const mouthSuppressed = this.expressions?.suppresses('lipSync');
+
+        for (const shape in lipShapeTargets) {
             const currentValue = expressionManager.getValue(shape) || 0;
-            const finalTargetValue = this.lipShapeTargets[shape] * lipSyncValue;
-            const interpolatedValue = THREE.MathUtils.lerp(currentValue, finalTargetValue, 0.2);
+            const interpolatedValue = THREE.MathUtils.lerp(currentValue, mouthSuppressed ? 0 : lipShapeTargets[shape], 0.2);
             expressionManager.setValue(shape, interpolatedValue);
         }
     }
@@ -408,20 +671,18 @@ class VRMViewer {
 // =================================================================================
 // アプリケーションの実行
 // =================================================================================
-const viewer = new VRMViewer();
-window.viewer = viewer;   // ← HTMLのフロー制御から playAction を呼ぶために公開
-viewer.init();
+// 読み込みの進み具合（ローダーを使う VRMViewer より先に作る）
+const loadingTracker = new LoadingTracker();
 
+// この端末で選んだ店舗・アバター（branding.js）。見出し・テーマの色・最初のページのあいさつを反映する
+const branding = resolveBranding(loadSelection());
+applyTheme(branding.store);
+applyGreeting(FLOW_DEFINITION, branding.store);
+window.branding = branding;
 
-// 初期モーダル処理
-const modal = document.getElementById('start-modal');
-const startBtn = document.getElementById('startButton');
-
-startBtn.addEventListener('click', () => {
-    modal.classList.remove('active');   // モーダルを閉じる
-    showPage('page1');                  // 最初のページを表示
-});
-
+const viewer = new VRMViewer({ avatar: branding.avatar, background: branding.store.background });
+window.viewer = viewer;   // ← HTMLのスクリプトからも参照できるように公開
+const viewerReady = viewer.init();
 
 
 /**
@@ -430,66 +691,141 @@ startBtn.addEventListener('click', () => {
  */
 window.choiceState = window.choiceState || {};
 
-(function () {
-
-
-    // 分岐式：.choice-btn に data-next-page があれば、同一ページ内の .btn.next に反映
-    document.addEventListener('click', (e) => {
-        const btn = e.target.closest('.choice-btn');
-        if (!btn) return;
-
-        const page = btn.closest('.page');
-        if (!page) return;
+// 説明の視聴・同意・従業員コードの監査ログ（お申込みのデータに添えて送信する）
+const audit = new AuditTrail(FLOW_DEFINITION, { onChange: () => session.save() });
+window.audit = audit;
+
+// お申込みの送信（submit ステップの「次へ」で実行）
+const submitter = new ApplicationSubmitter(FLOW_DEFINITION, { state: window.choiceState, audit });
+
+// フロー制御（ページ遷移・分岐・選択肢の保存）
+const narrator = new Narrator({ viewer, config: branding.avatar.voice });
+window.narrator = narrator;
+// 従業員モード（page27 でログインし、従業員だけのページ・変更を許可する）
+const staffSession = new StaffSession();
+window.staffSession = staffSession;
+const flow = new FlowController(FLOW_DEFINITION, { viewer, state: window.choiceState, submitter, narrator, staff: staffSession });
+window.flow = flow;
+const staffOverrides = new StaffOverrides(FLOW_DEFINITION, { session: staffSession, flow, state: window.choiceState });
+window.staffOverrides = staffOverrides;
+// カメラのデバッグ表示（従業員設定の「カメラを動かす」。従業員モードの間だけ使え、ログアウトで元のショットに戻す）
+const debugCamera = document.getElementById('staffDebugCamera');
+debugCamera?.addEventListener('change', () => {
+    viewer.cameraDirector.setDebug(debugCamera.checked && staffSession.isActive());
+    debugCamera.checked = viewer.cameraDirector.debug;
+});
+document.addEventListener('staff:logout', () => {
+    if (debugCamera) debugCamera.checked = false;
+    if (viewer.cameraDirector.debug) viewer.cameraDirector.setDebug(false);
+});
+submitter.staff = staffOverrides;   // 送信するお申込みに従業員のログインと変更を添える
+window.showPage = (id) => flow.showPage(id);
+window.applyChoiceSelection = (pageEl) => flow.applyChoiceSelection(pageEl);
+
+// 料金プランの比較（data-pricing のボタンで表示してアバターが読み上げ、選んだプランの試算をお申込みに添える）
+const pricingGuide = new PricingGuide(FLOW_DEFINITION, { flow, narrator, viewer, state: window.choiceState });
+window.pricingGuide = pricingGuide;
+submitter.pricing = pricingGuide;
+
+// 重要事項の説明動画（data-video のボタンで再生し、視聴が完了したら次のページへ）
+const videoPlayer = new VideoPlayer({ flow });
+window.videoPlayer = videoPlayer;
+
+// 入力チェック（ページ表示のたびに「次へ」の有効・無効を更新）
+const validator = new FormValidator(FLOW_DEFINITION);
+window.validator = validator;
+
+// 郵便番号から丁目の選択肢・確認用の住所を表示
+const addressForm = new AddressForm(FLOW_DEFINITION, { flow, state: window.choiceState });
+window.addressForm = addressForm;
+
+// サービスの提供可否（page28 に表示し、ご利用できないサービスは申込しないにする）
+const availability = new ServiceAvailability(FLOW_DEFINITION, {
+    addressForm,
+    staff: staffOverrides,
+    labels: STAFF_OVERRIDES,
+    state: window.choiceState,
+    onChange: () => session.save(),
+});
+window.availability = availability;
+submitter.availability = availability;  // 送信するお申込みに提供可否の判定結果を添える
 
-        const group = page.dataset.choiceGroup || page.id || 'default';
-        const buttons = page.querySelectorAll('.choice-btn');
+// 入力途中のセッションの保存（再読み込み後に再開できるようにする）
+const session = new SessionStore(FLOW_DEFINITION, { state: window.choiceState });
+window.session = session;
+session.register('audit', { save: () => audit.save(), restore: (data) => audit.restore(data) });
+session.register('staff', { save: () => staffSession.save(), restore: (data) => staffSession.restore(data) });
+session.register('staffOverrides', { save: () => staffOverrides.save(), restore: (data) => staffOverrides.restore(data) });
+session.register('availability', { save: () => availability.save(), restore: (data) => availability.restore(data) });
 
-        // すべて解除
-        buttons.forEach(b => {
-            b.classList.remove('is-selected');
-            b.setAttribute('aria-pressed', 'false');
-        });
+// 会員番号から会員情報を読み込み、お申込者情報・@nifty ID・ご契約住所に反映
+const memberPrefill = new MemberPrefill(FLOW_DEFINITION, { state: window.choiceState, staff: staffSession, session });
+window.memberPrefill = memberPrefill;
 
-        // 選択付与
-        btn.classList.add('is-selected');
-        btn.setAttribute('aria-pressed', 'true');
-
-        // 値の保存（グローバル & hidden 連携）
-        window.choiceState = window.choiceState || {};
-        const value = btn.dataset.value ?? btn.textContent.trim();
-        window.choiceState[group] = value;
-
-        const hidden = page.querySelector('input[type="hidden"][name="' + group + '"]');
-        if (hidden) hidden.value = value;
-
-        // ★ 次へボタン取得（このページにあるやつ）
-        const nextBtn = page.querySelector('.btn.next');
-        if (nextBtn) {
-            // data-next-page があれば上書き、無ければ既定値(data-next)を維持
-            const nextPageId = btn.dataset.nextPage;
-            if (nextPageId) nextBtn.dataset.next = nextPageId;
-            // ★ ここは「常に」表示する（is-hiddenを外す）
-            nextBtn.classList.remove('is-hidden');
-        }
-    });
+// 初期表示
+flow.showPage(FLOW_DEFINITION.start);
 
 
-    // ページ復元用（戻ってきた時に選択を再反映したい場合）
-    window.applyChoiceSelection = function (pageEl) {
-        const page = typeof pageEl === 'string' ? document.querySelector(pageEl) : pageEl;
-        if (!page) return;
-        const group = page.dataset.choiceGroup || page.id || 'default';
-        const saved = window.choiceState[group];
-        if (!saved) return;
+// 初期モーダル処理
+const modal = document.getElementById('start-modal');
+const startBtn = document.getElementById('startButton');
+const resumeBox = document.getElementById('resume-session');
+const resumeBtn = document.getElementById('resumeButton');
+
+// 無操作が続いたら確認のうえ入力内容を消去し、初期モーダルへ戻す
+const watchdog = new IdleWatchdog(FLOW_DEFINITION, {
+    flow,
+    viewer,
+    videoPlayer,
+    narrator,
+    onWipe: () => {
+        resumeBox.hidden = true;
+        modal.classList.add('active');
+    },
+});
+window.watchdog = watchdog;
+
+// 読み込みの進み具合を表示し、アバター・アイドルのアニメーションがそろうまで開始ボタンを押せなくする
+const startup = new StartupGate({
+    tracker: loadingTracker,
+    preflight: new Preflight({ viewer, ready: viewerReady }),
+    buttons: [startBtn, resumeBtn],
+    onFallback: () => viewer.useFallback(),
+});
+window.startup = startup;
+startup.run();
 
-        const target = page.querySelector('.choice-btn[data-value="' + saved + '"]');
-        if (target) target.click(); // clickで一括反映（class/hidden/次へ表示）
-    };
+// アバターの切り替え（従業員用の画面）
+const avatarMenu = new AvatarMenu({ viewer, narrator, branding, staff: staffSession });
+window.avatarMenu = avatarMenu;
 
-})();
+// 初期モーダルでの従業員ログイン（会員情報の読み込み）はご案内の開始で終える
+// （ご案内中の従業員モードは page27 でログインし直し、監査ログに残す）
+startBtn.addEventListener('click', () => {
+    viewer.unlockAudio();
+    staffSession.logout('reset');
+    modal.classList.remove('active');   // モーダルを閉じる
+    session.clear();                    // 前回のデータは破棄して最初から
+    session.start();
+    audit.start();                      // 監査ログも新しく始める
+    flow.showPage(FLOW_DEFINITION.start); // 最初のページを表示
+    watchdog.start();
+});
 
+// 保存されたセッションがあれば「前回の続きから」を表示
+const savedSession = session.load();
+if (savedSession) {
+    resumeBox.hidden = false;
+    resumeBtn.addEventListener('click', () => {
+        resumeBox.hidden = true;
+        const latest = session.load(); // 待機中に期限切れになっていないか確認
+        if (!latest) return;
+        viewer.unlockAudio();
+        staffSession.logout('reset');
+        modal.classList.remove('active');
+        session.restore(latest, flow);
+        watchdog.start();
+    });
+}
 
-//吹き出し表示制御
-document.querySelectorAll('.page[data-show-staff-bubble!="true"] .staff-bubble')
-    .forEach(el => el.style.display = 'none');
 
@@ -0,0 +1,277 @@
+// =================================================================================
+// ノジマアプリ会員情報の反映
+// =================================================================================
+// 従業員が初期モーダルで会員番号を読み取る（または入力する）と、会員情報API
+// （api/member.php）から会員情報と既存の@nifty IDを取得し、
+// お申込者情報（page2）・@nifty IDの選択（page3）・ご契約住所（page19 / page20 / page25）に反映します。
+// 会員情報APIは従業員ログインのトークンがないと断るため、従業員モードでなければ
+// 会員番号と一緒に入力した従業員コードで先にログインします（staffMode.js）。
+// 従業員コードだけを入力した場合はログインだけを行います（アバターの切り替えなど、初期モーダルの従業員用の操作）。
+import { loginErrorMessage } from './staffMode.js';
+
+// 会員情報APIのURL
+export const MEMBER_ENDPOINT = 'api/member.php';
+
+const GENDER_LABELS = { male: '男性', female: '女性' };
+
+/**
+ * @typedef {object} MemberProfile 会員情報（api/MemberProvider.php と合わせる）
+ * @property {string} memberId 会員番号
+ * @property {PersonName} nameKana
+ * @property {PersonName} nameKanji
+ * @property {'male'|'female'|null} gender
+ * @property {string|null} birthDate YYYY-MM-DD
+ * @property {string|null} phone 090-1234-5678 形式
+ * @property {{ zip: string, chome: number|null, street: string }|null} address
+ * @property {{ id: string, email: string, joinedAt: string, monthlyCharge: boolean }[]} niftyIds
+ */
+
+/**
+ * 会員情報を取得する
+ * @param {string} memberId
+ * @param {object} options
+ * @param {string} options.token 従業員ログインのトークン
+ * @param {string} [options.endpoint]
+ * @returns {Promise<MemberProfile|null>} 見つからなければ null
+ */
+export async function fetchMember(memberId, { token, endpoint = MEMBER_ENDPOINT }) {
+    const response = await fetch(`${endpoint}?memberId=${encodeURIComponent(memberId)}`, {
+        headers: { Accept: 'application/json', Authorization: `Bearer ${token}` },
+    });
+    if (response.status === 404) return null;
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(body.message || `会員情報APIがエラーを返しました（HTTP ${response.status}）`);
+        Object.assign(error, { status: response.status, retryAfter: body.retryAfter ?? null });
+        throw error;
+    }
+    return body.member;
+}
+
+// 2023-04-12 → 2023年4月12日
+function formatJoinedAt(date) {
+    const [year, month, day] = (date || '').split('-').map(Number);
+    return year ? `${year}年${month}月${day}日` : '';
+}
+
+export class MemberPrefill {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} [options]
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {StaffSession} options.staff 従業員ログイン（会員情報APIに送るトークン）
+     * @param {SessionStore} [options.session] 再開時に会員情報を戻す
+     * @param {string} [options.endpoint] 会員情報APIのURL
+     */
+    constructor(definition, { state = window.choiceState, staff, session = null, endpoint = MEMBER_ENDPOINT }) {
+        this.definition = definition;
+        this.state = state;
+        this.staff = staff;
+        this.endpoint = endpoint;
+        this.profile = null;
+        this.pending = false;    // 読み込み中の連打は無視
+
+        this.form = document.getElementById('member-lookup');
+        this.input = document.getElementById('memberIdInput');
+        this.codeInput = document.getElementById('memberStaffCode');
+        this.status = document.getElementById('memberLookupStatus');
+
+        this.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load(this.input.value.trim());
+        });
+        // 「修正」で該当の行だけ入力できるようにする
+        document.addEventListener('click', (e) => {
+            const fixBtn = e.target.closest('#page2 .fix-btn');
+            if (!fixBtn) return;
+            const row = fixBtn.closest('.row');
+            row.querySelectorAll('input').forEach(input => { input.readOnly = false; });
+            row.querySelector('input')?.focus();
+        });
+        document.addEventListener('flow:reset', () => this.clear());
+
+        // 再開時は保存した会員情報で page3 の選択肢を作り直してから入力欄を戻す
+        session?.register('member', {
+            save: () => this.profile,
+            restore: (profile) => this.render(profile || null),
+        });
+
+        this.render(null);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 読み込み
+    // -----------------------------------------------------------------------------
+    async load(memberId) {
+        if (this.pending || (!memberId && !this.codeInput?.value.trim())) return;
+        this.pending = true;
+        try {
+            if (!(await this.signIn())) return;
+            if (!memberId) {
+                this.setStatus('従業員モードになりました');
+                return;
+            }
+            this.setStatus('会員情報を読み込んでいます…');
+            const profile = await fetchMember(memberId, { token: this.staff.login.token, endpoint: this.endpoint });
+            if (!profile) {
+                this.setStatus('会員が見つかりませんでした。会員番号を確認してください', true);
+                return;
+            }
+            this.apply(profile);
+            this.setStatus(`${profile.nameKanji.family} ${profile.nameKanji.given} 様の会員情報を読み込みました`);
+        } catch (error) {
+            console.error('会員情報を取得できませんでした:', error);
+            this.setStatus(lookupErrorMessage(error), true);
+            if (error.status === 401) this.staff.logout('expired');
+        } finally {
+            this.pending = false;
+        }
+    }
+
+    // 従業員モードでなければ、入力した従業員コードでログインする
+    async signIn() {
+        if (this.staff.isActive()) return true;
+        const code = this.codeInput?.value.trim() || '';
+        if (!code) {
+            this.setStatus('会員情報を読み込むには従業員コードを入力してください', true);
+            this.codeInput?.focus();
+            return false;
+        }
+        this.setStatus('従業員ログインを確認しています…');
+        try {
+            await this.staff.signIn(code);
+            return true;
+        } catch (error) {
+            console.warn('従業員ログインに失敗しました:', error);
+            this.setStatus(loginErrorMessage(error), true);
+            return false;
+        } finally {
+            this.codeInput.value = '';   // お客様に見えないよう、コードは画面に残さない
+        }
+    }
+
+    setStatus(message, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('is-error', isError);
+    }
+
+    // 会員情報を画面と回答状態に反映する
+    apply(profile) {
+        this.render(profile);
+
+        const value = (name, v) => {
+            const field = document.querySelector(`.page [name="${name}"]`);
+            if (field) field.value = v ?? '';
+        };
+        value('applicantNameKanaFamily', profile.nameKana?.family);
+        value('applicantNameKanaGiven', profile.nameKana?.given);
+        value('applicantNameKanjiFamily', profile.nameKanji?.family);
+        value('nameKanjiGiven', profile.nameKanji?.given);
+
+        const [year, month, day] = (profile.birthDate || '').split('-');
+        value('birthYear', year);
+        value('birthMonth', month && String(Number(month)));
+        value('birthDay', day && String(Number(day)));
+
+        const [phone1, phone2, phone3] = (profile.phone || '').split('-');
+        value('phone1', phone1);
+        value('phone2', phone2);
+        value('phone3', phone3);
+
+        // ご契約住所（現住所）: 郵便番号・丁目・番地以降を入れておく（お客様が丁目の選択のページで直せる）
+        const address = profile.address;
+        if (address?.zip) {
+            const step = Object.values(this.definition.steps).find(s => s.address?.role === 'applicant');
+            if (step) {
+                const [zipA, zipB] = step.address.zip;
+                value(zipA, address.zip.slice(0, 3));
+                value(zipB, address.zip.slice(3));
+                if (address.chome) {
+                    this.state[step.choiceGroup] = String(address.chome);
+                    value(step.choiceGroup, String(address.chome));
+                }
+                const [streetField] = step.address.street || [];
+                if (streetField) value(streetField, address.street);
+            }
+        }
+    }
+
+    // -----------------------------------------------------------------------------
+    // 表示
+    // -----------------------------------------------------------------------------
+    // 会員情報がない場合（読み込み前・初期化後）は空欄にして、直接入力できるようにする
+    render(profile) {
+        this.profile = profile;
+
+        document.querySelectorAll('#page2 .row-body input').forEach(input => { input.readOnly = Boolean(profile); });
+        const gender = document.getElementById('applicantGender');
+        if (gender) gender.textContent = GENDER_LABELS[profile?.gender] || '';
+
+        // page3: 既存の@nifty IDのカードを作り直す（「新規登録」のカードはHTMLに残す）
+        const page3 = document.getElementById('page3');
+        const newCard = page3?.querySelector('input[name="niftyId"][value="__new__"]')?.closest('.idcard-row');
+        if (!newCard) return;
+        page3.querySelectorAll('.idcard-row').forEach(row => { if (row !== newCard) row.remove(); });
+        const ids = profile?.niftyIds || [];
+        ids.forEach(id => newCard.before(this.createIdCard(id)));
+
+        const first = page3.querySelector('input[name="niftyId"]');
+        if (first) first.checked = true;
+    }
+
+    createIdCard({ id, email, joinedAt, monthlyCharge }) {
+        const row = document.createElement('div');
+        row.className = 'idcard-row';
+        row.innerHTML = `
+            <label class="idcard">
+                <input type="radio" name="niftyId">
+                <div class="idcard__body">
+                    <div class="idcard__radio"></div>
+                    <div class="idcard__main">
+                        <div class="idcard__title"></div>
+                        <div class="idcard__meta">
+                            <div>@nifty IDメールアドレス</div>
+                            <div class="idcard__meta-value" data-field="email"></div>
+                            <div>ご入会日</div>
+                            <div class="idcard__meta-value" data-field="joinedAt"></div>
+                        </div>
+                    </div>
+                </div>
+            </label>
+            <div class="idcard__side">
+                <div class="plan">
+                    <div class="plan__title">月額課金</div>
+                    <div class="plan__value"></div>
+                    <button type="button" class="plan__detail">詳細</button>
+                </div>
+            </div>`;
+        // 会員情報の値は textContent で入れる（HTMLとして解釈させない）
+        row.querySelector('input').value = id;
+        row.querySelector('.idcard__title').textContent = id;
+        row.querySelector('[data-field="email"]').textContent = email || '';
+        row.querySelector('[data-field="joinedAt"]').textContent = formatJoinedAt(joinedAt);
+        const plan = row.querySelector('.plan__value');
+        plan.classList.add(monthlyCharge ? 'plan__value--has' : 'plan__value--none');
+        plan.textContent = monthlyCharge ? 'あり' : 'なし';
+        return row;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 初期化（flow:reset）
+    // -----------------------------------------------------------------------------
+    clear() {
+        this.render(null);
+        if (this.input) this.input.value = '';
+        if (this.codeInput) this.codeInput.value = '';
+        this.setStatus('');
+    }
+}
+
+function lookupErrorMessage(error) {
+    if (error.status === 401) return '従業員ログインの有効期限が切れました。従業員コードを入力して再度読み込んでください';
+    if (error.status === 429) return `会員情報の取得が続いたため、${Math.ceil((error.retryAfter || 0) / 60)}分ほど取得できません`;
+    if (error.status === 422) return '会員番号の形式が正しくありません';
+    if (error.status === 503) return '従業員ログインが設定されていません。管理者へ連絡してください';
+    return '会員情報を取得できませんでした。時間をおいて再度お試しください';
+}
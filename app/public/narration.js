@@ -0,0 +1,376 @@
+// =================================================================================
+// 吹き出しの読み上げ（ナレーション）
+// =================================================================================
+// ページを表示するたびに吹き出し（.balloon p）の文言をアバターに読み上げさせます。
+// 音声は次の順に用意できたものを使います（NARRATION_CONFIG.providers で変更可）。
+//   manifest : tools/buildNarration.mjs で事前に作った音声（sounds/narration/manifest.json）
+//   server   : ローカルの音声合成サーバー（VOICEVOX 互換の API）でその場で合成
+//   speech   : ブラウザの音声合成（SpeechSynthesis）
+// 作った音声は VRMViewer の音声として登録し、playAction の voice として再生するため、
+// リップシンクや再生後のアイドル復帰はこれまでの音声ファイルと同じように動きます。
+// ブラウザ（main.js）と Node のツールの両方から読み込むため、読み込み時に window を参照しないこと。
+import { VisemeTimeline } from './lipSync.js';
+
+export const NARRATION_CONFIG = {
+    providers: ['manifest', 'speech'],               // 使う順。'server' は音声合成サーバーを用意した場合に追加する
+    manifestUrl: 'sounds/narration/manifest.json',   // 事前に作った音声の一覧
+    server: {
+        url: 'http://localhost:50021',               // VOICEVOX 互換サーバーのURL
+        speaker: 1,                                  // 話者ID
+    },
+    speech: {
+        lang: 'ja-JP',
+        voiceName: null,      // 使う声の名前（speechSynthesis.getVoices() の name）。null なら lang に合う最初の声
+        rate: 1.0,
+        pitch: 1.0,
+        charsPerSecond: 7,    // 読み上げ時間の見積もり（アニメーションのループ判定に使う）
+    },
+};
+
+// -----------------------------------------------------------------------------
+// 読み上げる文言
+// -----------------------------------------------------------------------------
+/**
+ * 吹き出しの文言を行ごとに取り出す（<br> で改行）
+ * @param {Element|null} page ページの <section>
+ * @returns {string[]}
+ */
+export function balloonLines(page) {
+    const p = page?.querySelector('.balloon p');
+    if (!p) return [];
+    const lines = [''];
+    for (const node of p.childNodes) {
+        if (node.nodeName === 'BR') lines.push('');
+        else lines[lines.length - 1] += node.textContent;
+    }
+    return lines.map(line => line.trim()).filter(Boolean);
+}
+
+// 行の配列を読み上げる文言にする（事前に作った音声との照合にも使う）
+export function narrationText(lines) {
+    return lines.join('\n');
+}
+
+/**
+ * 文言のハッシュ（FNV-1a 32bit）。事前に作った音声が今の文言のものか確かめるために使う
+ * @param {string} text
+ * @returns {string} 8桁の16進数
+ */
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// =================================================================================
+// VOICEVOX 互換サーバー
+// =================================================================================
+export class VoicevoxClient {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.url]
+     * @param {number} [options.speaker]
+     */
+    constructor({ url = NARRATION_CONFIG.server.url, speaker = NARRATION_CONFIG.server.speaker } = {}) {
+        this.url = url.replace(/\/$/, '');
+        this.speaker = speaker;
+    }
+
+    /**
+     * 文言を合成する
+     * @param {string} text
+     * @returns {Promise<{ data: ArrayBuffer, visemes: object[] }>} WAVのデータと口形タイムライン
+     */
+    async synthesize(text) {
+        // 行の区切りは読点として読ませる
+        const query = await (await this.post(`audio_query?text=${encodeURIComponent(text.replace(/\n/g, '、'))}`)).json();
+        const audio = await this.post('synthesis', query);
+        return { data: await audio.arrayBuffer(), visemes: queryToVisemes(query) };
+    }
+
+    async post(path, body) {
+        const separator = path.includes('?') ? '&' : '?';
+        const response = await fetch(`${this.url}/${path}${separator}speaker=${this.speaker}`, {
+            method: 'POST',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        if (!response.ok) throw new Error(`音声合成サーバーがエラーを返しました（${path.split('?')[0]}: HTTP ${response.status}）`);
+        return response;
+    }
+}
+
+/**
+ * VOICEVOX の audio_query から口形タイムラインを作る
+ * 子音の始まりで次の母音の口の形に移ります。撥音（ン）・促音（ッ）・息継ぎは口を閉じ、
+ * 無声化した母音（大文字）は小さく開きます。
+ * @param {object} query audio_query の結果
+ * @returns {{ time: number, vowel: string|null, weight?: number }[]}
+ */
+export function queryToVisemes(query) {
+    const speed = query.speedScale || 1;
+    const visemes = [];
+    let time = query.prePhonemeLength || 0;
+    const push = (vowel, weight) => visemes.push({
+        time: Math.round(time / speed * 1000) / 1000,
+        vowel,
+        ...(weight === undefined ? {} : { weight }),
+    });
+
+    for (const phrase of query.accent_phrases || []) {
+        for (const mora of phrase.moras) {
+            const vowel = mora.vowel || '';
+            if (/^[aiueo]$/.test(vowel)) push(vowel);
+            else if (/^[AIUEO]$/.test(vowel)) push(vowel.toLowerCase(), 0.3);
+            else push(null);
+            time += (mora.consonant_length || 0) + (mora.vowel_length || 0);
+        }
+        if (phrase.pause_mora) {
+            push(null);
+            time += phrase.pause_mora.vowel_length || 0;
+        }
+    }
+    push(null);
+    return visemes;
+}
+
+// =================================================================================
+// SpeechSynthesis の音声
+// =================================================================================
+// SpeechSynthesis の音声は Web Audio に取り出せないため、THREE.Audio と同じ操作
+// （play / stop / isPlaying / onEnded / buffer.duration）だけを持つ代わりのオブジェクトで再生します。
+// 音量は分からないので、リップシンクは getLevel() の値でランダムな口の形になります。
+export class SpeechSynthesisSound {
+    /**
+     * @param {string} text
+     * @param {object} [config] NARRATION_CONFIG.speech の上書き
+     */
+    constructor(text, config = {}) {
+        this.text = text;
+        this.config = { ...NARRATION_CONFIG.speech, ...config };
+        this.isPlaying = false;
+        this.onEnded = null;
+        this.utterance = null;
+        this.buffer = { duration: text.length / this.config.charsPerSecond / this.config.rate };
+    }
+
+    play() {
+        const synth = window.speechSynthesis;
+        const utterance = new SpeechSynthesisUtterance(this.text.replace(/\n/g, '、'));
+        utterance.lang = this.config.lang;
+        utterance.rate = this.config.rate;
+        utterance.pitch = this.config.pitch;
+        const voices = synth.getVoices();
+        utterance.voice = voices.find(v => v.name === this.config.voiceName)
+            || voices.find(v => v.lang === this.config.lang)
+            || null;
+
+        const finish = () => {
+            // stop() や次の読み上げで取り消された発話の終了は無視する
+            if (this.utterance !== utterance) return;
+            this.utterance = null;
+            this.isPlaying = false;
+            this.onEnded?.();
+        };
+        utterance.onend = finish;
+        utterance.onerror = finish;
+
+        synth.cancel();
+        this.utterance = utterance;
+        this.isPlaying = true;
+        synth.speak(utterance);
+        return this;
+    }
+
+    stop() {
+        if (!this.isPlaying) return this;
+        this.utterance = null;
+        this.isPlaying = false;
+        window.speechSynthesis.cancel();
+        return this;
+    }
+
+    // リップシンク用の口の開き具合（0〜1）
+    getLevel() {
+        return this.isPlaying ? 0.7 : 0.0;
+    }
+}
+
+// =================================================================================
+// 音声の用意（プロバイダー）
+// =================================================================================
+// prepare(id, text) は次のいずれかを返します。用意できなければ null（次のプロバイダーを試す）。
+//   { path }             : 音声ファイルのパス（口形タイムラインは <ファイル名>.visemes.json）
+//   { data, visemes }    : WAVなどのデータ（ArrayBuffer）と口形タイムライン
+//   { sound }            : THREE.Audio と同じ操作を持つ音声オブジェクト
+
+// 事前に作った音声（tools/buildNarration.mjs）
+export class ManifestVoiceProvider {
+    constructor({ manifestUrl = NARRATION_CONFIG.manifestUrl } = {}) {
+        this.name = 'manifest';
+        this.manifestUrl = manifestUrl;
+        this.manifest = null; // Promise<object>
+    }
+
+    async prepare(id, text) {
+        const manifest = await this.load();
+        const entry = manifest.pages?.[id];
+        if (!entry) return null;
+        if (entry.hash !== hashText(text)) {
+            console.warn(`${id} のナレーション音声が現在の文言と一致しません。tools/buildNarration.mjs で作り直してください`);
+            return null;
+        }
+        return { path: entry.file };
+    }
+
+    load() {
+        this.manifest ??= fetch(this.manifestUrl)
+            .then(response => (response.ok ? response.json() : {}))
+            .catch((error) => {
+                console.warn('ナレーション音声の一覧を読み込めませんでした:', error);
+                return {};
+            });
+        return this.manifest;
+    }
+}
+
+// 音声合成サーバー
+export class ServerVoiceProvider {
+    constructor({ server = NARRATION_CONFIG.server } = {}) {
+        this.name = 'server';
+        this.client = new VoicevoxClient(server);
+    }
+
+    async prepare(id, text) {
+        const { data, visemes } = await this.client.synthesize(text);
+        return { data, visemes };
+    }
+}
+
+// ブラウザの音声合成
+export class SpeechSynthesisVoiceProvider {
+    constructor({ speech = NARRATION_CONFIG.speech } = {}) {
+        this.name = 'speech';
+        this.speech = speech;
+    }
+
+    async prepare(id, text) {
+        if (typeof window === 'undefined' || !window.speechSynthesis) return null;
+        return { sound: new SpeechSynthesisSound(text, this.speech) };
+    }
+}
+
+const PROVIDERS = {
+    manifest: ManifestVoiceProvider,
+    server: ServerVoiceProvider,
+    speech: SpeechSynthesisVoiceProvider,
+};
+
+function createProviders(config) {
+    return config.providers.map((name) => {
+        const Provider = PROVIDERS[name];
+        if (!Provider) throw new Error(`不明なナレーションのプロバイダーです: ${name}`);
+        return new Provider(config);
+    });
+}
+
+// NARRATION_CONFIG の上書き（server・speech は項目ごとに上書きする）
+function narrationConfig(config) {
+    return {
+        ...NARRATION_CONFIG,
+        ...config,
+        server: { ...NARRATION_CONFIG.server, ...config.server },
+        speech: { ...NARRATION_CONFIG.speech, ...config.speech },
+    };
+}
+
+// =================================================================================
+// ナレーションの制御クラス
+// =================================================================================
+export class Narrator {
+    /**
+     * @param {object} options
+     * @param {VRMViewer} options.viewer 音声を登録・再生するビューア（addVoice / addVoiceData / loadVoice / playAction）
+     * @param {object} [options.config] NARRATION_CONFIG の上書き
+     * @param {object[]} [options.providers] プロバイダーを直接指定する場合
+     */
+    constructor({ viewer, config = {}, providers = null }) {
+        this.viewer = viewer;
+        this.config = narrationConfig(config);
+        this.providers = providers || createProviders(this.config);
+        this.request = null; // 最後に始めた読み上げ（古い読み上げを再生しないため）
+    }
+
+    /**
+     * 声を切り替える（アバターの切り替え時）
+     * 前の声で作った音声はビューアが破棄するため（VRMViewer.clearVoices）、次の読み上げから新しい声になります。
+     * @param {object} [config] NARRATION_CONFIG の上書き
+     */
+    setVoice(config = {}) {
+        this.request = null;
+        this.config = narrationConfig(config);
+        this.providers = createProviders(this.config);
+    }
+
+    /**
+     * ページの吹き出しを読み上げながらアバターのアクションを再生する
+     * 音声ファイルの指定（avatar.voice）があればそちらを優先し、読み上げる文言がない・
+     * 音声を用意できない場合は、アクションの既定の音声を再生します。
+     * @param {string} id ページID
+     * @param {{ action: string, expression?: string|object, cues?: object[], voice?: string }} avatar
+     */
+    async speak(id, avatar) {
+        return this.speakLines(id, avatar.voice ? [] : balloonLines(document.getElementById(id)), avatar);
+    }
+
+    /**
+     * 文言を読み上げながらアバターのアクションを再生する（料金の説明など、吹き出し以外の文言）
+     * @param {string} id 音声の名前（事前に作った音声は sounds/narration/manifest.json の pages の名前）
+     * @param {string[]} lines 読み上げる文言（1要素 = 1行）。空なら avatar.voice を再生する
+     * @param {{ action: string, expression?: string|object, cues?: object[], voice?: string }} avatar
+     */
+    async speakLines(id, lines, avatar) {
+        const request = this.request = {};
+        const text = narrationText(lines);
+        const voice = text ? await this.prepareVoice(id, text) : avatar.voice;
+        if (this.request !== request) return;
+        this.viewer.playAction(avatar.action, { expression: avatar.expression, cues: avatar.cues, voice });
+    }
+
+    // 準備中の読み上げを再生しないようにする（再生中の音声は VRMViewer.stopAllSounds で止める）
+    cancel() {
+        this.request = null;
+    }
+
+    /**
+     * 文言の音声をビューアに登録し、playAction の voice に渡すキーを返す
+     * @returns {Promise<string|null>}
+     */
+    async prepareVoice(id, text) {
+        for (const provider of this.providers) {
+            const key = `narration:${provider.name}:${hashText(text)}`;
+            if (this.viewer.sounds[key]) return key;
+            try {
+                const voice = await provider.prepare(id, text);
+                if (!voice) continue;
+                if (voice.path) {
+                    if (!this.viewer.sounds[voice.path]) await this.viewer.loadVoice(voice.path);
+                    return voice.path;
+                }
+                if (voice.data) {
+                    const visemes = voice.visemes ? new VisemeTimeline(voice.visemes) : null;
+                    await this.viewer.addVoiceData(key, voice.data, visemes);
+                } else {
+                    this.viewer.addVoice(key, voice.sound);
+                }
+                return key;
+            } catch (error) {
+                console.warn(`${id} のナレーション音声を用意できませんでした（${provider.name}）:`, error);
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,300 @@
+// =================================================================================
+// 郵便番号からの住所検索
+// =================================================================================
+// tools/buildPostalIndex.mjs で作った郵便番号インデックス（data/postal/<上3桁>.json）から
+// 都道府県・市区町村・町名を調べ、丁目の選択肢（page20 / page24）と
+// 住所の確認（page25）の表示を作ります。確認用の住所には、丁目の選択と同じページで入力した
+// 番地・号と建物名・部屋番号を付け加えます（page25 の送信用の値も同じ住所になる）。
+// どのページで使うかはフロー定義の address / addressConfirm で指定します。
+
+export const POSTAL_CONFIG = {
+    indexUrl: 'data/postal',   // 郵便番号インデックスの置き場所
+    blocks: {                  // 住所の確認ページで表示する枠（役割 → 要素のID）
+        applicant: 'addrApplicantBlock26',
+        install: 'addrInstallBlock26',
+    },
+};
+
+/**
+ * @typedef {object} PostalAddress 郵便番号に対応する住所
+ * @property {string} pref 都道府県
+ * @property {string} city 市区町村
+ * @property {string} town 町名（「以下に掲載がない場合」は空）
+ * @property {number[]} chome 丁目の一覧（丁目のない町は空）
+ */
+
+// 7桁の郵便番号を 〒123-4567 の形にする
+export function formatZip(zip) {
+    return zip ? `〒${zip.slice(0, 3)}-${zip.slice(3)}` : '';
+}
+
+// -----------------------------------------------------------------------------
+// 丁目の選択肢
+// -----------------------------------------------------------------------------
+// 回答値は丁目の数字（丁目のない町は "0"）、該当がなければ "none"。
+// ひとつの郵便番号に複数の町がある場合は "町の番号-丁目"（例: "2-3"）にします。
+
+/**
+ * 住所の一覧から丁目の選択肢を作る
+ * @param {PostalAddress[]} addresses
+ * @returns {{ value: string, label: string, address: PostalAddress, chome: number }[]}
+ */
+export function buildChomeOptions(addresses) {
+    const multiple = addresses.length > 1;
+    return addresses.flatMap((address, i) => {
+        const prefix = multiple ? `${i + 1}-` : '';
+        if (!address.chome.length) {
+            // 町名だけの住所（「以下に掲載がない場合」は選択肢にしない）
+            if (!address.town) return [];
+            return [{ value: `${prefix}0`, label: multiple ? address.town : `${address.town}（丁目なし）`, address, chome: 0 }];
+        }
+        return address.chome.map(n => ({
+            value: `${prefix}${n}`,
+            label: multiple ? `${address.town}${n}丁目` : `${n}丁目`,
+            address,
+            chome: n,
+        }));
+    });
+}
+
+/**
+ * 住所の一覧と回答値から表示用の住所（郵便番号を除く）を作る
+ * @param {PostalAddress[]} addresses
+ * @param {string|undefined} value 丁目の回答値
+ */
+export function formatAddress(addresses, value) {
+    const option = buildChomeOptions(addresses).find(o => o.value === value);
+    if (option) {
+        const { pref, city, town } = option.address;
+        return `${pref}${city}${town}${option.chome ? `${option.chome}丁目` : ''}`;
+    }
+    // 「上記にはない」・未回答は分かるところまで
+    if (addresses.length === 1) return `${addresses[0].pref}${addresses[0].city}${addresses[0].town}`;
+    if (addresses.length > 1) return `${addresses[0].pref}${addresses[0].city}`;
+    return '';
+}
+
+// =================================================================================
+// 郵便番号インデックスの読み込み
+// =================================================================================
+export class PostalLookup {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.indexUrl] 郵便番号インデックスの置き場所
+     */
+    constructor({ indexUrl = POSTAL_CONFIG.indexUrl } = {}) {
+        this.indexUrl = indexUrl;
+        this.files = new Map(); // 上3桁 → Promise<object>
+    }
+
+    /**
+     * 郵便番号に対応する住所を返す（見つからなければ空配列）
+     * @param {string} zip 7桁の郵便番号
+     * @returns {Promise<PostalAddress[]>}
+     */
+    async lookup(zip) {
+        if (!/^\d{7}$/.test(zip || '')) return [];
+        const index = await this.loadFile(zip.slice(0, 3));
+        return index[zip] || [];
+    }
+
+    loadFile(prefix) {
+        if (!this.files.has(prefix)) {
+            const request = fetch(`${this.indexUrl}/${prefix}.json`).then(response => {
+                if (response.status === 404) return {}; // その上3桁の郵便番号はない
+                if (!response.ok) throw new Error(`郵便番号データを読み込めませんでした（HTTP ${response.status}）`);
+                return response.json();
+            });
+            // 通信エラーは次回に再試行できるよう、キャッシュに残さない
+            request.catch(() => this.files.delete(prefix));
+            this.files.set(prefix, request);
+        }
+        return this.files.get(prefix);
+    }
+}
+
+// =================================================================================
+// 住所の選択・確認ページの表示
+// =================================================================================
+export class AddressForm {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} options
+     * @param {FlowController} options.flow
+     * @param {PostalLookup} [options.lookup]
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {object} [options.config] POSTAL_CONFIG の上書き
+     */
+    constructor(definition, { flow, lookup = new PostalLookup(), state = window.choiceState, config = {} }) {
+        this.definition = definition;
+        this.flow = flow;
+        this.lookup = lookup;
+        this.state = state;
+        this.config = { ...POSTAL_CONFIG, ...config };
+        this.renderTokens = {}; // ページID → 最後に始めた表示の番号（古い検索結果で上書きしないため）
+
+        // 丁目選択ページの見出しの初期文言（初期化で戻すため）
+        this.defaultNotes = {};
+        for (const id of this.addressPageIds()) {
+            const note = document.querySelector(`#${id} .card .note`);
+            if (note) this.defaultNotes[id] = note.textContent;
+        }
+
+        document.addEventListener('flow:pagechange', (e) => {
+            const { id, step } = e.detail;
+            if (step.address) this.renderChoices(id);
+            if (step.addressConfirm) this.renderConfirm(id);
+        });
+        document.addEventListener('flow:reset', () => this.clear());
+    }
+
+    // 丁目選択ページ（address を持つステップ）のID
+    addressPageIds() {
+        return Object.keys(this.definition.steps).filter(id => this.definition.steps[id].address);
+    }
+
+    // ページに対応する郵便番号（入力欄を連結した7桁）
+    zipFor(id) {
+        const fields = this.definition.steps[id].address.zip;
+        return fields.map(name => document.querySelector(`[name="${name}"]`)?.value.trim() || '').join('');
+    }
+
+    // -----------------------------------------------------------------------------
+    // 丁目の選択肢（page20 / page24）
+    // -----------------------------------------------------------------------------
+    async renderChoices(id) {
+        const page = document.getElementById(id);
+        const note = page?.querySelector('.card .note');
+        const group = page?.querySelector('.option-group');
+        if (!note || !group) return;
+
+        const token = (this.renderTokens[id] || 0) + 1;
+        this.renderTokens[id] = token;
+        note.textContent = '住所を検索しています…';
+
+        let addresses = [];
+        try {
+            addresses = await this.lookup.lookup(this.zipFor(id));
+        } catch (error) {
+            console.warn('郵便番号から住所を検索できませんでした:', error);
+        }
+        if (this.renderTokens[id] !== token) return;
+
+        const options = buildChomeOptions(addresses);
+        note.textContent = addresses.length
+            ? formatAddress(addresses, undefined)
+            : '該当する住所が見つかりませんでした。「上記にはない」を選んでください';
+
+        // 「上記にはない」だけをHTMLに残し、その前に丁目の選択肢を並べる
+        const noneOption = group.querySelector('.choice-btn[data-value="none"]');
+        const radioName = noneOption?.querySelector('input[type="radio"]')?.name;
+        group.querySelectorAll('.choice-btn:not([data-value="none"])').forEach(el => el.remove());
+        options.forEach(option => group.insertBefore(this.createOption(option, radioName), noneOption));
+
+        // 郵便番号が変わって前回の回答が選択肢にない場合は、未回答に戻す
+        const choiceGroup = this.definition.steps[id].choiceGroup;
+        const answer = this.state[choiceGroup];
+        if (answer && answer !== 'none' && !options.some(o => o.value === answer)) {
+            delete this.state[choiceGroup];
+            page.querySelectorAll('.choice-btn').forEach(btn => {
+                btn.classList.remove('is-selected');
+                btn.setAttribute('aria-pressed', 'false');
+            });
+            page.querySelectorAll('input[type="radio"]').forEach(radio => { radio.checked = false; });
+            const hidden = page.querySelector(`input[type="hidden"][name="${choiceGroup}"]`);
+            if (hidden) hidden.value = '';
+            page.querySelector('.btn.next')?.classList.add('is-hidden');
+        } else {
+            this.flow.applyChoiceSelection(page);
+        }
+    }
+
+    createOption({ value, label }, radioName) {
+        const option = document.createElement('label');
+        option.className = 'option choice-btn';
+        option.dataset.value = value;
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = radioName;
+        radio.value = value;
+
+        const dot = document.createElement('span');
+        dot.className = 'option__dot';
+
+        const text = document.createElement('span');
+        text.className = 'option__text';
+        text.textContent = label;
+
+        option.append(radio, dot, text);
+        return option;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 住所の確認（page25）
+    // -----------------------------------------------------------------------------
+    // ページに対応する番地・号と建物名・部屋番号（入力された欄だけを空白でつなぐ）
+    streetFor(id) {
+        const fields = this.definition.steps[id].address.street || [];
+        return fields.map(name => document.querySelector(`[name="${name}"]`)?.value.trim() || '').filter(Boolean).join(' ');
+    }
+
+    // 申込者住所・設置先住所の枠に、郵便番号と選んだ丁目までの住所を表示します。
+    // 入れ替え済み（data-swapped="true"）なら上下を逆にして表示します。
+    async renderConfirm(id) {
+        const page = document.getElementById(id);
+        if (!page) return;
+
+        const token = (this.renderTokens[id] || 0) + 1;
+        this.renderTokens[id] = token;
+
+        const resolved = {};
+        for (const addressId of this.addressPageIds()) {
+            const step = this.definition.steps[addressId];
+            const zip = this.zipFor(addressId);
+            let addresses = [];
+            try {
+                addresses = await this.lookup.lookup(zip);
+            } catch (error) {
+                console.warn('郵便番号から住所を検索できませんでした:', error);
+            }
+            resolved[step.address.role] = {
+                zip: /^\d{7}$/.test(zip) ? formatZip(zip) : '',
+                text: [formatAddress(addresses, this.state[step.choiceGroup]), this.streetFor(addressId)].filter(Boolean).join(' '),
+            };
+        }
+        if (this.renderTokens[id] !== token) return;
+
+        const swapped = page.dataset.swapped === 'true';
+        const order = swapped ? { applicant: 'install', install: 'applicant' } : { applicant: 'applicant', install: 'install' };
+        for (const [role, blockId] of Object.entries(this.config.blocks)) {
+            this.renderBlock(blockId, resolved[order[role]]);
+        }
+        page.dispatchEvent(new Event('address:change'));
+    }
+
+    renderBlock(blockId, address = { zip: '', text: '' }) {
+        const block = document.getElementById(blockId);
+        if (!block) return;
+        block.querySelector('.addr-body .zip').textContent = address.zip;
+        block.querySelector('.addr-body .text').textContent = address.text;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 初期化（flow:reset）
+    // -----------------------------------------------------------------------------
+    clear() {
+        this.renderTokens = {};
+        for (const id of this.addressPageIds()) {
+            const page = document.getElementById(id);
+            page?.querySelectorAll('.option-group .choice-btn:not([data-value="none"])').forEach(el => el.remove());
+            const note = page?.querySelector('.card .note');
+            if (note && id in this.defaultNotes) note.textContent = this.defaultNotes[id];
+        }
+        for (const [id, step] of Object.entries(this.definition.steps)) {
+            if (!step.addressConfirm) continue;
+            Object.values(this.config.blocks).forEach(blockId => this.renderBlock(blockId));
+            document.getElementById(id)?.dispatchEvent(new Event('address:change'));
+        }
+    }
+}
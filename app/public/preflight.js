@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+import { VIDEO_CONFIG, resolveVideoSource } from './videoPlayer.js';
+import { auditSupported } from './auditTrail.js';
+import { AVAILABILITY_CONFIG } from './serviceAvailability.js';
+import { PRICING_CONFIG } from './pricing.js';
+
+// =================================================================================
+// 起動時の読み込みと確認
+// =================================================================================
+// アバター・アニメーション・音声・画像の読み込みの進み具合を初期モーダルに表示し、
+// 起動に必要なもの（critical な確認）がそろうまで「ご案内開始」を押せないようにします。
+// 確認に失敗したものは従業員向けの確認結果の画面に表示し、アバターを使えない場合は
+// アバターなし（2D）で案内を始められるようにします。
+
+export const PREFLIGHT_CONFIG = {
+    videos: ['important'],                             // 再生できるかを確かめる動画（videoPlayer.js の VIDEO_SOURCES の名前）
+    timeout: 5000,                                     // 接続確認の待ち時間（ミリ秒）
+    audioTimeout: 1000,                                // 音声の再生の許可を待つ時間（ミリ秒）
+};
+
+// 確認する項目
+//   label    : 確認結果の画面に表示する名前
+//   critical : true なら、失敗すると（アバターなしにしない限り）案内を始められない
+//   run      : 確認の処理。問題がなければ補足（文字列）を返し、問題があれば例外を投げる
+export const PREFLIGHT_CHECKS = {
+    avatar: {
+        label: 'アバター',
+        critical: true,
+        run: async ({ viewer, ready }) => {
+            await ready;
+            if (viewer.loadErrors.avatar) throw viewer.loadErrors.avatar;
+            return viewer.avatarProfile.model;
+        },
+    },
+    avatarFeatures: {
+        label: 'アバターの表情・骨',
+        critical: false,
+        run: async ({ viewer, ready }) => {
+            await ready;
+            if (viewer.loadErrors.avatar) throw new Error('アバターを読み込めないため確認できません');
+            // フローが使う表情・骨（branding.js の checkAvatar）。足りない表情は動かさずに案内する
+            if (viewer.avatarProblems.length) throw new Error(viewer.avatarProblems.join(' / '));
+        },
+    },
+    idle: {
+        label: 'アイドルのアニメーション',
+        critical: true,
+        run: async ({ viewer, ready }) => {
+            await ready;
+            if (viewer.loadErrors.avatar) throw new Error('アバターを読み込めないため確認できません');
+            if (viewer.loadErrors.idle) throw viewer.loadErrors.idle;
+        },
+    },
+    audio: {
+        label: '音声の再生',
+        critical: false,
+        run: async ({ viewer, ready, config }) => {
+            await ready;
+            const failed = Object.keys(viewer.loadErrors.sounds || {});
+            if (failed.length) throw new Error(`読み込めない音声があります: ${failed.join(', ')}`);
+            // ブラウザは操作があるまで音声を再生させないことがあるため、許可されているかを確かめる
+            const context = viewer.listener.context;
+            if (context.state !== 'running') {
+                await Promise.race([context.resume(), wait(config.audioTimeout)]);
+            }
+            return context.state === 'running' ? '' : '「ご案内開始」を押したときに有効にします';
+        },
+    },
+    audit: {
+        label: '監査ログ（改ざん検知）',
+        critical: false,
+        run: async () => {
+            // http（localhost 以外）ではブラウザの SHA-256 を使えないため、auditTrail.js の予備の計算で記録する
+            if (!auditSupported()) throw new Error('https ではないため予備の計算でハッシュをつけます（処理が遅くなるため https で開いてください）');
+        },
+    },
+    video: {
+        label: '重要事項の説明動画',
+        critical: false,
+        run: async ({ config }) => {
+            // 動画ごとに、再生の方法（プロバイダー）を順に試して最初に使えるものを補足に表示する
+            const results = [];
+            for (const name of config.videos) {
+                const providers = resolveVideoSource(name).providers;
+                const errors = [];
+                let usable = null;
+                for (const provider of providers) {
+                    try {
+                        await reachable(provider.type === 'youtube' ? VIDEO_CONFIG.youtubeApiUrl : provider.src, provider.type === 'youtube', config.timeout);
+                        usable = provider.type;
+                        break;
+                    } catch (error) {
+                        errors.push(`${provider.type}: ${error.message}`);
+                    }
+                }
+                if (!usable) throw new Error(`${name} を再生できません（${errors.join(' / ')}）`);
+                results.push(`${name}: ${usable}`);
+            }
+            return results.join(', ');
+        },
+    },
+    availability: {
+        label: 'サービスの提供可否の表',
+        critical: false,
+        run: async ({ config }) => {
+            // 読み込めなくても、従業員設定で提供可否を設定すれば案内を続けられる
+            await reachable(AVAILABILITY_CONFIG.tableUrl, false, config.timeout);
+        },
+    },
+    pricing: {
+        label: '料金表',
+        critical: false,
+        run: async ({ config }) => {
+            // 読み込めない間は料金プランの比較を表示できず、お申込みに試算を添えられない
+            await reachable(PRICING_CONFIG.tableUrl, false, config.timeout);
+        },
+    },
+};
+
+// URL に接続できるかを確かめる（crossSite なら別のサイトのため中身は読めないが、応答があれば接続できている）
+async function reachable(url, crossSite, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, {
+            method: crossSite ? 'GET' : 'HEAD',
+            mode: crossSite ? 'no-cors' : 'same-origin',
+            cache: 'no-store',
+            signal: controller.signal,
+        });
+        if (!crossSite && !response.ok) throw new Error(`${url} がありません（${response.status}）`);
+    } catch (error) {
+        throw new Error(controller.signal.aborted ? `${timeout / 1000}秒以内に応答がありません` : error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+// =================================================================================
+// 読み込みの進み具合
+// =================================================================================
+// three.js のローダー（GLTF・FBX・音声・画像など）は既定で THREE.DefaultLoadingManager を使うため、
+// そこで件数を数えます。バイト数はファイルを読み込む THREE.FileLoader の進み具合から数えます。
+// ローダーより先に作ってください（VRMViewer より前）。
+export class LoadingTracker {
+    /**
+     * @param {THREE.LoadingManager} [manager]
+     */
+    constructor(manager = THREE.DefaultLoadingManager) {
+        this.itemsLoaded = 0;
+        this.itemsTotal = 0;
+        this.bytes = new Map();    // URL → { loaded, total }
+        this.failed = [];          // 読み込めなかったURL
+        this.listeners = new Set();
+
+        manager.onStart = (url, loaded, total) => this.onItems(loaded, total);
+        manager.onProgress = (url, loaded, total) => this.onItems(loaded, total);
+        manager.onError = (url) => {
+            this.failed.push(url);
+            this.notify();
+        };
+        this.trackFileLoader();
+    }
+
+    trackFileLoader() {
+        const tracker = this;
+        const load = THREE.FileLoader.prototype.load;
+        THREE.FileLoader.prototype.load = function (url, onLoad, onProgress, onError) {
+            return load.call(this, url, onLoad, (event) => {
+                tracker.onBytes(url, event.loaded, event.lengthComputable ? event.total : 0);
+                onProgress?.(event);
+            }, onError);
+        };
+    }
+
+    onItems(loaded, total) {
+        this.itemsLoaded = loaded;
+        this.itemsTotal = total;
+        this.notify();
+    }
+
+    onBytes(url, loaded, total) {
+        this.bytes.set(url, { loaded, total: Math.max(total, loaded) });
+        this.notify();
+    }
+
+    // 進み具合が変わったら呼ばれる関数を登録する
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.progress());
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const progress = this.progress();
+        this.listeners.forEach(listener => listener(progress));
+    }
+
+    /**
+     * @returns {{ itemsLoaded: number, itemsTotal: number, bytesLoaded: number, bytesTotal: number, ratio: number }}
+     */
+    progress() {
+        let bytesLoaded = 0;
+        let bytesTotal = 0;
+        this.bytes.forEach(({ loaded, total }) => {
+            bytesLoaded += loaded;
+            bytesTotal += total;
+        });
+        // バイト数がわかるものはバイト数、わからないものは件数で進み具合を出す
+        const ratio = this.itemsTotal ? this.itemsLoaded / this.itemsTotal : 0;
+        return {
+            itemsLoaded: this.itemsLoaded,
+            itemsTotal: this.itemsTotal,
+            bytesLoaded,
+            bytesTotal,
+            ratio: bytesTotal && bytesLoaded < bytesTotal ? Math.min(ratio, bytesLoaded / bytesTotal) : ratio,
+        };
+    }
+}
+
+// =================================================================================
+// 起動前の確認
+// =================================================================================
+export class Preflight {
+    /**
+     * @param {object} options
+     * @param {VRMViewer} options.viewer
+     * @param {Promise} options.ready viewer.init() の結果（読み込みが終わると解決する）
+     * @param {object} [options.checks] PREFLIGHT_CHECKS の上書き
+     * @param {object} [options.config] PREFLIGHT_CONFIG の上書き
+     */
+    constructor({ viewer, ready, checks = PREFLIGHT_CHECKS, config = {} }) {
+        this.viewer = viewer;
+        this.ready = ready;
+        this.checks = checks;
+        this.config = { ...PREFLIGHT_CONFIG, ...config };
+    }
+
+    /**
+     * すべての項目を確認する（項目ごとに終わり次第 onResult を呼ぶ）
+     * @param {(result: PreflightResult) => void} [onResult]
+     * @returns {Promise<PreflightResult[]>}
+     * @typedef {{ id: string, label: string, critical: boolean, ok: boolean, detail: string }} PreflightResult
+     */
+    run(onResult = () => {}) {
+        const context = { viewer: this.viewer, ready: this.ready, config: this.config };
+        return Promise.all(Object.entries(this.checks).map(async ([id, check]) => {
+            const result = { id, label: check.label, critical: Boolean(check.critical), ok: true, detail: '' };
+            try {
+                result.detail = (await check.run(context)) || '';
+            } catch (error) {
+                result.ok = false;
+                result.detail = error?.message || String(error);
+            }
+            onResult(result);
+            return result;
+        }));
+    }
+}
+
+// =================================================================================
+// 初期モーダルの表示と「ご案内開始」の制御
+// =================================================================================
+export class StartupGate {
+    /**
+     * @param {object} options
+     * @param {LoadingTracker} options.tracker
+     * @param {Preflight} options.preflight
+     * @param {HTMLButtonElement[]} options.buttons 準備ができるまで押せなくするボタン
+     * @param {() => void} [options.onFallback] アバターなしで始めるときに呼ばれる
+     */
+    constructor({ tracker, preflight, buttons, onFallback = () => {} }) {
+        this.tracker = tracker;
+        this.preflight = preflight;
+        this.buttons = buttons.filter(Boolean);
+        this.onFallback = onFallback;
+        this.results = [];
+        this.fallback = false;
+
+        this.progressEl = document.getElementById('loadingProgress');
+        this.messageEl = document.getElementById('loadingMessage');
+        this.diagnosticsButton = document.getElementById('diagnosticsButton');
+        this.modal = document.getElementById('diagnostics-modal');
+        this.listEl = document.getElementById('diagnosticsList');
+        this.failedEl = document.getElementById('diagnosticsFailed');
+        this.fallbackButton = document.getElementById('diagnosticsFallback');
+
+        this.diagnosticsButton?.addEventListener('click', () => this.showDiagnostics());
+        document.getElementById('diagnosticsClose')?.addEventListener('click', () => this.hideDiagnostics());
+        document.getElementById('diagnosticsReload')?.addEventListener('click', () => location.reload());
+        this.fallbackButton?.addEventListener('click', () => this.startFallback());
+    }
+
+    // 読み込みと確認を始める。案内を始められる状態になったら true で解決する
+    async run() {
+        this.setButtonsEnabled(false);
+        const unsubscribe = this.tracker.subscribe(progress => this.showProgress(progress));
+        this.results = await this.preflight.run(() => this.renderDiagnostics());
+        unsubscribe();
+        if (this.progressEl) this.progressEl.value = 1;
+
+        const failed = this.results.filter(result => !result.ok);
+        const criticalFailed = failed.some(result => result.critical);
+        this.renderDiagnostics();
+
+        if (criticalFailed) {
+            this.setMessage('アバターを準備できませんでした。確認結果をご確認ください', true);
+            this.showDiagnostics();
+            return false;
+        }
+        this.setButtonsEnabled(true);
+        this.setMessage(failed.length ? `準備ができました（確認が必要な項目が${failed.length}件あります）` : '準備ができました', failed.length > 0);
+        return true;
+    }
+
+    showProgress({ itemsLoaded, itemsTotal, bytesLoaded, bytesTotal, ratio }) {
+        if (this.progressEl) this.progressEl.value = ratio;
+        const bytes = bytesTotal ? `（${formatBytes(bytesLoaded)} / ${formatBytes(bytesTotal)}）` : '';
+        this.setMessage(`読み込み中… ${itemsLoaded} / ${itemsTotal}件${bytes}`);
+    }
+
+    setMessage(text, warning = false) {
+        if (!this.messageEl) return;
+        this.messageEl.textContent = text;
+        this.messageEl.classList.toggle('is-warning', warning);
+        if (this.diagnosticsButton) this.diagnosticsButton.hidden = !this.results.some(result => !result.ok);
+    }
+
+    setButtonsEnabled(enabled) {
+        this.buttons.forEach(button => { button.disabled = !enabled; });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 確認結果の画面（従業員向け）
+    // -----------------------------------------------------------------------------
+    renderDiagnostics() {
+        if (!this.listEl) return;
+        this.listEl.replaceChildren(...this.results.map(result => {
+            const item = document.createElement('li');
+            item.className = result.ok ? 'is-ok' : (result.critical ? 'is-error' : 'is-warning');
+            const label = document.createElement('strong');
+            label.textContent = `${result.ok ? '✓' : '✕'} ${result.label}`;
+            item.append(label);
+            if (result.detail) {
+                const detail = document.createElement('span');
+                detail.textContent = result.detail;
+                item.append(detail);
+            }
+            return item;
+        }));
+        if (this.failedEl) {
+            this.failedEl.hidden = !this.tracker.failed.length;
+            this.failedEl.textContent = this.tracker.failed.length ? `読み込めなかったファイル: ${this.tracker.failed.join(', ')}` : '';
+        }
+        if (this.fallbackButton) {
+            this.fallbackButton.hidden = this.fallback || !this.results.some(result => !result.ok && result.critical);
+        }
+    }
+
+    showDiagnostics() {
+        this.renderDiagnostics();
+        this.modal?.classList.add('active');
+    }
+
+    hideDiagnostics() {
+        this.modal?.classList.remove('active');
+    }
+
+    // アバターなし（2D）で案内を始められるようにする
+    startFallback() {
+        this.fallback = true;
+        document.body.classList.add('is-fallback');
+        this.onFallback();
+        this.hideDiagnostics();
+        this.renderDiagnostics();
+        this.setButtonsEnabled(true);
+        this.setMessage('アバターなしで案内します', true);
+    }
+}
@@ -0,0 +1,312 @@
+// =================================================================================
+// 料金プランの説明と月額の試算
+// =================================================================================
+// 料金プラン（フロー定義の nifty_price_plan）ごとの月額・契約期間・解約金と、お支払い方法
+// （payment_method）で決まる手数料・キャンペーンの割引から、1年目の支払額を試算します。
+// 料金・手数料・キャンペーンは料金表（data/pricing.json）に版ごとに書き、受付APIも同じ料金表で試算し直して確かめます。
+// page29 の「説明を聞く」（data-pricing のボタン）で、プランを並べた比較をモーダルに表示し、
+// アバターが読み上げます。選んだプランの試算はお申込みのデータに添えて送信します（申込データの quote）。
+// 住居タイプ（housing_plan）を選ぶ前は、住居形態の回答（戸建て → ホーム、集合住宅 → マンション）で試算します。
+//
+// 説明を表示したことは document のイベントで知らせます（auditTrail.js が監査ログに記録する）。
+//   pricing:explain { housingPlan, paymentMethod, plans }
+
+export const PRICING_CONFIG = {
+    tableUrl: 'data/pricing.json',   // 料金表（受付APIの api/PriceTable.php も同じファイルで試算を確かめる）
+    // 住居タイプを選ぶ前に使う住居形態の選択グループ（service_address_relation が different なら設置先）
+    residence: { same: 'residence_type', different: 'residence_type2' },
+    housingByResidence: {
+        detached_owner: 'home',
+        detached_rent: 'home',
+        apartment_condo: 'mansion',
+        apartment_rent: 'mansion',
+    },
+    housingLabels: { home: 'ホーム（戸建て）', mansion: 'マンション' },
+    paymentLabels: { credit: 'クレジットカード', bank_debit: '口座振替' },
+    narration: { action: 'yes' },   // 読み上げるときのアバターのアクション
+    failed: '料金表を読み込めませんでした。従業員にお声がけください',
+};
+
+// 料金表（data/pricing.json）の形式
+//   current  : 今の版（試算に使う）
+//   versions : { 版: PriceTable }。料金・キャンペーンを変えるときは、前の版を残したまま新しい版を追加して current を変える
+//              （変える前に始めたお申込みの試算も、受付APIが前の版で確かめられるようにする）
+//
+// @typedef {object} PriceTable 版ごとの料金表
+// @property {string} version 版（読み込むときに current を入れる）
+// @property {number} months 試算する期間（1年目）
+// @property {Object<string, { label: string, term: number, monthly: Object<string, number>, cancellationFee: Object<string, number> }>} plans
+//           料金プラン（index.html の page29 の data-value と合わせる）。term は契約期間（か月）、monthly・cancellationFee は住居タイプごとの月額・解約金（税込・円）
+// @property {Object<string, number>} paymentFees お支払い方法ごとの毎月の手数料（税込・円。page7 の注意書きと合わせる）
+// @property {{ id: string, label: string, amount: number }[]} initialFees 初回にかかる費用（税込・円）
+// @property {{ id: string, label: string, payment: string[], plans?: string[], monthlyDiscount: number, months: number }[]} campaigns
+//           キャンペーン（対象のお支払い方法・料金プラン（省略時はすべて）、毎月の割引額と割引する期間）
+
+/**
+ * 料金表を読み込み、今の版を返す
+ * @param {string} [url]
+ * @returns {Promise<PriceTable>}
+ */
+export async function loadPriceTable(url = PRICING_CONFIG.tableUrl) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`料金表を読み込めませんでした（HTTP ${response.status}）`);
+    const data = await response.json();
+    const table = data.versions?.[data.current];
+    if (!table) throw new Error(`料金表に今の版（${data.current}）がありません`);
+    return { ...table, version: data.current };
+}
+
+/**
+ * 金額を「5,720円」の形にする
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatYen(amount) {
+    return `${amount.toLocaleString('ja-JP')}円`;
+}
+
+/**
+ * @typedef {object} Quote 料金プランの試算
+ * @property {string} version 料金表の版
+ * @property {string} plan 料金プラン（nifty_price_plan）
+ * @property {string} housingPlan 住居タイプ（home / mansion）
+ * @property {string|null} paymentMethod お支払い方法（未回答は null。手数料・割引なしで試算する）
+ * @property {number} term 契約期間（か月）
+ * @property {number} monthlyFee 月額
+ * @property {number} paymentFee お支払い方法の毎月の手数料
+ * @property {{ id: string, label: string, monthlyDiscount: number, months: number }[]} campaigns 適用するキャンペーン
+ * @property {number} firstMonth 割引を含めた最初の月の支払額
+ * @property {number} initialFee 初回にかかる費用の合計
+ * @property {number} firstYearTotal 1年目（料金表の months か月）の支払額の合計（初回の費用を含む）
+ * @property {number} cancellationFee 契約期間内の解約金
+ */
+
+/**
+ * 料金プランの試算をする（api/PriceTable.php の quote と同じ計算）
+ * @param {{ plan: string, housingPlan: string, paymentMethod?: string|null }} options
+ * @param {PriceTable} table 料金表
+ * @returns {Quote}
+ */
+export function calculateQuote({ plan, housingPlan, paymentMethod = null }, { version, months, plans, paymentFees, initialFees, campaigns }) {
+    const definition = plans[plan];
+    if (!definition) throw new Error(`料金プラン ${plan} はありません`);
+    const monthlyFee = definition.monthly[housingPlan];
+    if (monthlyFee === undefined) throw new Error(`${definition.label} に住居タイプ ${housingPlan} の料金はありません`);
+
+    const paymentFee = paymentFees[paymentMethod] ?? 0;
+    const applied = campaigns
+        .filter(c => c.payment.includes(paymentMethod) && (!c.plans || c.plans.includes(plan)))
+        .map(({ id, label, monthlyDiscount, months }) => ({ id, label, monthlyDiscount, months }));
+    const initialFee = initialFees.reduce((sum, fee) => sum + fee.amount, 0);
+
+    // 月ごとの支払額（割引で0円を下回らない）
+    const monthAmount = month => Math.max(0, monthlyFee + paymentFee
+        - applied.filter(c => month < c.months).reduce((sum, c) => sum + c.monthlyDiscount, 0));
+    let firstYearTotal = initialFee;
+    for (let month = 0; month < months; month++) firstYearTotal += monthAmount(month);
+
+    return {
+        version,
+        plan,
+        housingPlan,
+        paymentMethod,
+        term: definition.term,
+        monthlyFee,
+        paymentFee,
+        campaigns: applied,
+        firstMonth: monthAmount(0),
+        initialFee,
+        firstYearTotal,
+        cancellationFee: definition.cancellationFee[housingPlan],
+    };
+}
+
+// =================================================================================
+// 料金の説明（page29 の「説明を聞く」）
+// =================================================================================
+export class PricingGuide {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION。nifty_price_plan のページを探す）
+     * @param {object} options
+     * @param {FlowController} options.flow 比較から選んだプランを選択肢に反映する
+     * @param {Narrator} [options.narrator] 説明を読み上げる
+     * @param {VRMViewer} [options.viewer] 説明を閉じたときに読み上げを止める
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {object} [options.config] PRICING_CONFIG の上書き
+     */
+    constructor(definition, { flow, narrator = null, viewer = null, state = window.choiceState, config = {} }) {
+        this.definition = definition;
+        this.flow = flow;
+        this.narrator = narrator;
+        this.viewer = viewer;
+        this.state = state;
+        this.config = { ...PRICING_CONFIG, ...config };
+        this.table = null;    // Promise<PriceTable>
+        this.prices = null;   // 読み込んだ料金表（送信時の試算に使う）
+        this.openToken = 0;   // 最後に開いた番号（料金表の読み込み中に閉じたら表示しない）
+
+        this.modal = document.getElementById('pricing-modal');
+        this.summaryEl = document.getElementById('pricingSummary');
+        this.tableEl = document.getElementById('pricingTable');
+        this.noteEl = document.getElementById('pricingNote');
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-pricing]')) this.open();
+        });
+        document.getElementById('pricingClose')?.addEventListener('click', () => this.close());
+        this.tableEl?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-plan]');
+            if (button) this.choose(button.dataset.plan);
+        });
+        document.addEventListener('flow:reset', () => this.close());
+
+        // 送信時にすぐ試算できるよう、先に読み込んでおく
+        this.loadTable().catch(error => console.warn('料金表を読み込めませんでした:', error));
+    }
+
+    loadTable() {
+        if (!this.table) {
+            this.table = loadPriceTable(this.config.tableUrl).then((prices) => {
+                this.prices = prices;
+                return prices;
+            });
+            // 通信エラーは次回に再試行できるよう、キャッシュに残さない
+            this.table.catch(() => { this.table = null; });
+        }
+        return this.table;
+    }
+
+    // 試算に使う住居タイプ（選択済み → 住居形態の回答 → ホーム）
+    housingPlan() {
+        if (this.state.housing_plan) return this.state.housing_plan;
+        const group = this.config.residence[this.state.service_address_relation === 'different' ? 'different' : 'same'];
+        return this.config.housingByResidence[this.state[group]] || 'home';
+    }
+
+    /**
+     * 料金プランの試算（選んでいない・料金表を読み込めていなければ null）
+     * @param {string} [plan] 料金プラン（既定: 選択中のプラン）
+     * @returns {Quote|null}
+     */
+    quote(plan = this.state.nifty_price_plan) {
+        if (!plan || !this.prices?.plans[plan]) return null;
+        return calculateQuote({ plan, housingPlan: this.housingPlan(), paymentMethod: this.state.payment_method ?? null }, this.prices);
+    }
+
+    // 申込データに添える内容
+    applicationData() {
+        return this.quote();
+    }
+
+    // -----------------------------------------------------------------------------
+    // 比較の表示
+    // -----------------------------------------------------------------------------
+    async open() {
+        const token = ++this.openToken;
+        this.modal?.classList.add('active');
+        try {
+            await this.loadTable();
+        } catch (error) {
+            console.warn('料金表を読み込めませんでした:', error);
+            if (this.openToken !== token) return;
+            this.tableEl?.replaceChildren();
+            if (this.summaryEl) this.summaryEl.textContent = this.config.failed;
+            if (this.noteEl) this.noteEl.textContent = '';
+            return;
+        }
+        if (this.openToken !== token || !this.modal?.classList.contains('active')) return;
+
+        const quotes = Object.keys(this.prices.plans).map(plan => this.quote(plan));
+        const housingPlan = this.housingPlan();
+        const paymentMethod = this.state.payment_method ?? null;
+
+        if (this.summaryEl) {
+            const payment = this.config.paymentLabels[paymentMethod] || '未選択';
+            this.summaryEl.textContent = `住居タイプ: ${this.config.housingLabels[housingPlan]} ／ お支払い方法: ${payment}`;
+        }
+        this.renderTable(quotes);
+        if (this.noteEl) {
+            this.noteEl.textContent = `1年目の合計は${this.prices.initialFees.map(fee => fee.label).join('・')}を含む${this.prices.months}か月分の目安です（工事費・オプションは含みません）`;
+        }
+
+        document.dispatchEvent(new CustomEvent('pricing:explain', {
+            detail: { housingPlan, paymentMethod, plans: quotes.map(quote => quote.plan) },
+        }));
+        this.narrator?.speakLines('pricing', this.narrationLines(quotes), this.config.narration);
+    }
+
+    close() {
+        this.openToken++;
+        if (!this.modal?.classList.contains('active')) return;
+        this.modal.classList.remove('active');
+        this.narrator?.cancel();
+        this.viewer?.stopAllSounds();
+    }
+
+    // 比較から選んだプランをページの選択肢に反映して閉じる
+    choose(plan) {
+        const step = Object.keys(this.definition.steps).find(id => this.definition.steps[id].choiceGroup === 'nifty_price_plan');
+        const button = step && document.querySelector(`#${step} .choice-btn[data-value="${plan}"]`);
+        if (button && !button.classList.contains('is-selected')) this.flow.select(button);
+        this.close();
+    }
+
+    renderTable(quotes) {
+        if (!this.tableEl) return;
+        const rows = [
+            ['契約期間', quote => `${quote.term / 12}年`],
+            ['月額', quote => formatYen(quote.monthlyFee)],
+            ['お支払い手数料（毎月）', quote => (quote.paymentFee ? formatYen(quote.paymentFee) : 'なし')],
+            ['割引', quote => quote.campaigns.map(c => `${c.label} −${formatYen(c.monthlyDiscount)}×${c.months}か月`).join('\n') || 'なし'],
+            ['最初の月', quote => formatYen(quote.firstMonth)],
+            ['1年目の合計', quote => formatYen(quote.firstYearTotal)],
+            ['契約期間内の解約金', quote => formatYen(quote.cancellationFee)],
+        ];
+
+        const head = document.createElement('tr');
+        head.append(document.createElement('th'));
+        for (const quote of quotes) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = this.prices.plans[quote.plan].label;
+            th.classList.toggle('is-selected', quote.plan === this.state.nifty_price_plan);
+            head.append(th);
+        }
+
+        const body = rows.map(([label, value]) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = label;
+            tr.append(th, ...quotes.map((quote) => {
+                const td = document.createElement('td');
+                td.textContent = value(quote);
+                return td;
+            }));
+            return tr;
+        });
+
+        const actions = document.createElement('tr');
+        actions.append(document.createElement('th'), ...quotes.map((quote) => {
+            const td = document.createElement('td');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.plan = quote.plan;
+            button.textContent = 'このプランにする';
+            td.append(button);
+            return td;
+        }));
+
+        this.tableEl.replaceChildren(head, ...body, actions);
+    }
+
+    // アバターが読み上げる文言
+    narrationLines(quotes) {
+        const lines = quotes.map(quote => `${this.prices.plans[quote.plan].label}は、月額${formatYen(quote.monthlyFee)}、1年目の合計はおよそ${formatYen(quote.firstYearTotal)}です。`);
+        for (const campaign of quotes[0]?.campaigns || []) {
+            lines.push(`${campaign.label}で、${campaign.months}か月間、毎月${formatYen(campaign.monthlyDiscount)}割り引きます。`);
+        }
+        lines.push('契約期間内に解約すると解約金がかかります。表をご確認のうえ、プランをお選びください。');
+        return lines;
+    }
+}
@@ -0,0 +1,190 @@
+// =================================================================================
+// 描画ループ
+// =================================================================================
+// 店頭のタブレットで一日中動かしても熱や電池の消耗を抑えるよう、描画の回数と解像度を調整します。
+//   ・フレームの間隔を測り、遅ければ解像度（pixelRatio）を下げ、余裕があれば上げる
+//   ・動画などのモーダルで隠れている間は、描画の回数を減らす（overlays）
+//   ・タブが隠れている間（visibilitychange）は描画を止める
+// WebGLのコンテキストが失われた場合（GPUのリセットなど）は描画を止め、戻ったら onContextRestored で
+// シーンを作り直してから再開します。reloadAfter ミリ秒たっても戻らない場合はページを読み込み直します
+// （入力途中のデータは保存しているため、初期モーダルの「前回の続きから」で再開できる）。
+
+export const RENDER_CONFIG = {
+    pixelRatio: {
+        max: 2.0,             // 上限（端末の devicePixelRatio を超えない）
+        min: 0.75,            // 下限
+        step: 0.25,           // 一度に変える幅
+    },
+    slowFrameTime: 1 / 40,    // フレームの間隔の平均がこれより長ければ解像度を下げる（秒）
+    fastFrameTime: 1 / 55,    // これより短い状態が raiseAfter 回続けば解像度を上げる（秒）
+    sampleFrames: 90,         // 平均をとるフレーム数
+    raiseAfter: 3,
+    maxDeltaTime: 0.25,       // 1フレームで進める時間の上限（再開した直後などに動きが飛ばないように。秒）
+    // 表示中は描画の回数を減らすモーダル（fps: 1秒あたりの描画の回数。0 なら描画しない）
+    overlays: [
+        { selector: '#video-modal.active', fps: 10 },
+        { selector: '#start-modal.active, #diagnostics-modal.active', fps: 20 },
+    ],
+    reloadAfter: 10000,       // コンテキストが戻らないときにページを読み込み直すまでの時間（ミリ秒。null なら読み込み直さない）
+};
+
+export class RenderScheduler {
+    /**
+     * @param {object} options
+     * @param {THREE.WebGLRenderer} options.renderer
+     * @param {(deltaTime: number) => void} options.onFrame 描画するフレームごとに呼ばれる（更新と描画を行う）
+     * @param {() => void|Promise<void>} [options.onContextRestored] コンテキストが戻ったときに呼ばれる
+     * @param {object} [options.config] RENDER_CONFIG の上書き
+     */
+    constructor({ renderer, onFrame, onContextRestored = () => {}, config = {} }) {
+        this.renderer = renderer;
+        this.onFrame = onFrame;
+        this.onContextRestored = onContextRestored;
+        this.config = {
+            ...RENDER_CONFIG,
+            ...config,
+            pixelRatio: { ...RENDER_CONFIG.pixelRatio, ...config.pixelRatio },
+        };
+
+        this.running = false;
+        this.contextLost = false;
+        this.frameId = null;
+        this.lastTime = null;        // 前の requestAnimationFrame の時刻（ミリ秒）
+        this.lastRender = null;      // 前に描画した時刻（ミリ秒）
+        this.samples = { total: 0, count: 0, fast: 0 };
+        this.pixelRatio = this.maxPixelRatio();
+        this.reloadTimer = null;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.cancelFrame();
+            else this.requestFrame();
+        });
+        const canvas = renderer.domElement;
+        canvas.addEventListener('webglcontextlost', (event) => this.onContextLost(event));
+        canvas.addEventListener('webglcontextrestored', () => this.onRestored());
+    }
+
+    start() {
+        this.running = true;
+        this.applyPixelRatio(this.pixelRatio);
+        this.requestFrame();
+    }
+
+    stop() {
+        this.running = false;
+        this.cancelFrame();
+    }
+
+    requestFrame() {
+        if (this.frameId !== null || !this.running || this.contextLost || document.hidden) return;
+        // 止めていた間の時間は進めない
+        this.lastTime = null;
+        this.resetSamples();
+        this.frameId = requestAnimationFrame((time) => this.tick(time));
+    }
+
+    cancelFrame() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 毎フレームの処理
+    // -----------------------------------------------------------------------------
+    tick(time) {
+        this.frameId = requestAnimationFrame((next) => this.tick(next));
+        if (this.lastTime === null) {
+            this.lastTime = this.lastRender = time;
+            return;
+        }
+        const interval = (time - this.lastTime) / 1000;
+        this.lastTime = time;
+
+        // モーダルの表示中は描画の回数を減らす（解像度の調整はしない）
+        const fps = this.overlayFps();
+        if (fps !== null) {
+            this.resetSamples();
+            if (fps <= 0 || (time - this.lastRender) / 1000 < 1 / fps) return;
+        } else {
+            this.sample(interval);
+        }
+
+        const deltaTime = Math.min((time - this.lastRender) / 1000, this.config.maxDeltaTime);
+        this.lastRender = time;
+        this.onFrame(deltaTime);
+    }
+
+    // 表示中のモーダルの中で最も少ない描画の回数（なければ null）
+    overlayFps() {
+        let fps = null;
+        for (const overlay of this.config.overlays) {
+            if (document.querySelector(overlay.selector)) fps = Math.min(fps ?? Infinity, overlay.fps);
+        }
+        return fps;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 解像度の調整
+    // -----------------------------------------------------------------------------
+    sample(interval) {
+        const samples = this.samples;
+        samples.total += interval;
+        samples.count++;
+        if (samples.count < this.config.sampleFrames) return;
+
+        const average = samples.total / samples.count;
+        const { min, step } = this.config.pixelRatio;
+        samples.total = samples.count = 0;
+        if (average > this.config.slowFrameTime) {
+            samples.fast = 0;
+            if (this.pixelRatio > min) this.applyPixelRatio(this.pixelRatio - step);
+        } else if (average < this.config.fastFrameTime && ++samples.fast >= this.config.raiseAfter) {
+            samples.fast = 0;
+            if (this.pixelRatio < this.maxPixelRatio()) this.applyPixelRatio(this.pixelRatio + step);
+        }
+    }
+
+    resetSamples() {
+        this.samples.total = this.samples.count = 0;
+    }
+
+    maxPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.config.pixelRatio.max);
+    }
+
+    applyPixelRatio(pixelRatio) {
+        const { min } = this.config.pixelRatio;
+        this.pixelRatio = Math.min(Math.max(pixelRatio, min), this.maxPixelRatio());
+        if (this.renderer.getPixelRatio() !== this.pixelRatio) this.renderer.setPixelRatio(this.pixelRatio);
+    }
+
+    // -----------------------------------------------------------------------------
+    // WebGLのコンテキストの消失と復帰
+    // -----------------------------------------------------------------------------
+    onContextLost(event) {
+        event.preventDefault();   // ブラウザがコンテキストを戻せるようにする
+        console.warn('WebGLのコンテキストが失われました。戻るまで描画を止めます');
+        this.contextLost = true;
+        this.cancelFrame();
+        if (this.config.reloadAfter != null) {
+            this.reloadTimer = setTimeout(() => {
+                console.error('WebGLのコンテキストが戻らないため、ページを読み込み直します');
+                location.reload();
+            }, this.config.reloadAfter);
+        }
+    }
+
+    async onRestored() {
+        clearTimeout(this.reloadTimer);
+        console.log('WebGLのコンテキストが戻りました。シーンを作り直します');
+        this.contextLost = false;
+        // 作り直している間も背景などは描画する
+        const rebuilt = this.onContextRestored();
+        this.requestFrame();
+        try {
+            await rebuilt;
+        } catch (error) {
+            console.error('シーンを作り直せませんでした:', error);
+        }
+    }
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+// =================================================================================
+// アニメーションのリターゲット
+// =================================================================================
+// 各形式の読み込み関数（loadMixamoAnimation.js / loadXRAnimatorAnimation.js /
+// loadVRMAnimation.js / loadBVHAnimation.js）が読み込んだクリップを、
+// VRMの正規化した骨（normalized bone）向けのクリップに変換する共通処理です。
+// 形式ごとの違いは、骨の名前の対応表（rigMap）とレストポーズの扱い（restPose）で指定します。
+//
+// restPose:
+//   world      : ソースの骨のレスト時の向きを打ち消して、正規化した骨の回転にする
+//                （親のレスト時のワールド回転 * トラックの回転 * 自身のレスト時のワールド回転の逆）。
+//                Mixamo・VRMA・BVH のように骨ごとに初期の向きがあるデータ用
+//   normalized : トラックの回転がすでに正規化した骨の回転になっている（XR Animator）
+//
+// ソースは VRM 1.0 と同じ向き（+Z が正面）とし、VRM 0.x のアバターには X・Z を反転して適用します。
+
+export const REST_POSE = {
+    world: 'world',
+    normalized: 'normalized',
+};
+
+/**
+ * ソースのクリップをVRM向けに変換する
+ * @param {object} source
+ * @param {THREE.AnimationClip} source.clip トラック名は "<ソースの骨の名前>.<quaternion|position>"
+ * @param {THREE.Object3D} source.skeleton レストポーズの骨を含むオブジェクト（restPose が world のときに使う）
+ * @param {Object<string, string>} source.rigMap ソースの骨の名前 → VRMのヒューマノイドの骨の名前
+ * @param {'world'|'normalized'} [source.restPose]
+ * @param {number} [source.hipsHeight] ソースの足元から腰までの高さ（腰の移動量をVRMの体格に合わせる）
+ * @param {number} [source.groundOffset] 腰の高さに足してから拡大縮小する値（足元を0にするため）
+ * @param {string} [source.name] 変換後のクリップの名前
+ * @param {VRM} vrm ターゲットのVRM
+ * @returns {THREE.AnimationClip}
+ */
+export function retargetClip({ clip, skeleton, rigMap, restPose = REST_POSE.world, hipsHeight, groundOffset = 0, name = clip.name }, vrm) {
+    if (!Object.values(REST_POSE).includes(restPose)) throw new Error(`不明なレストポーズの扱いです: ${restPose}`);
+
+    const isVRM0 = vrm.meta?.metaVersion === '0';
+    const vrmHipsHeight = vrm.humanoid.normalizedRestPose.hips.position[1];
+    const hipsScale = hipsHeight ? vrmHipsHeight / hipsHeight : 1;
+
+    const restRotationInverse = new THREE.Quaternion();
+    const parentRestWorldRotation = new THREE.Quaternion();
+    const quat = new THREE.Quaternion();
+
+    const tracks = [];
+    for (const track of clip.tracks) {
+        const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+        const vrmBoneName = rigMap[nodeName];
+        const vrmNodeName = vrmBoneName && vrm.humanoid.getNormalizedBoneNode(vrmBoneName)?.name;
+        if (!vrmNodeName) continue;
+
+        if (track instanceof THREE.QuaternionKeyframeTrack) {
+            const values = track.values.slice();
+
+            if (restPose === REST_POSE.world) {
+                const sourceNode = skeleton.getObjectByName(nodeName);
+                if (!sourceNode) continue;
+                sourceNode.getWorldQuaternion(restRotationInverse).invert();
+                if (sourceNode.parent) sourceNode.parent.getWorldQuaternion(parentRestWorldRotation);
+                else parentRestWorldRotation.identity();
+
+                for (let i = 0; i < values.length; i += 4) {
+                    quat.fromArray(values, i)
+                        .premultiply(parentRestWorldRotation)
+                        .multiply(restRotationInverse)
+                        .toArray(values, i);
+                }
+            }
+
+            if (isVRM0) {
+                for (let i = 0; i < values.length; i += 4) {
+                    values[i] = -values[i];
+                    values[i + 2] = -values[i + 2];
+                }
+            }
+            tracks.push(new THREE.QuaternionKeyframeTrack(`${vrmNodeName}.quaternion`, track.times, values));
+
+        } else if (track instanceof THREE.VectorKeyframeTrack && propertyName === 'position' && vrmBoneName === 'hips') {
+            // 正規化した骨で位置を動かすのは腰だけ（他の骨は回転のみ）
+            const values = track.values.map((v, i) => {
+                const axis = i % 3;
+                const value = (axis === 1 ? v + groundOffset : v) * hipsScale;
+                return isVRM0 && axis !== 1 ? -value : value;
+            });
+            tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.position`, track.times, values));
+        }
+    }
+
+    if (!tracks.length) throw new Error(`アニメーション「${name}」にVRMの骨に対応するトラックがありません`);
+    return new THREE.AnimationClip(name, clip.duration, tracks);
+}
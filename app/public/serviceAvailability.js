@@ -0,0 +1,280 @@
+import { buildChomeOptions } from './postalLookup.js';
+
+// =================================================================================
+// サービスの提供可否（光回線10ギガ・光電話・光テレビ）
+// =================================================================================
+// お客様の回答（エリア・住居形態・現在のネット回線）と、郵便番号から調べた住所を
+// 提供可否の表（data/availability.json）に当てはめ、page28（フロー定義の availability）に表示します。
+// 結果は回答状態の service_*（available / unavailable）に入れ、ご利用できないサービスは
+// apply_*（declined = 申込しない）にします。サービスの説明ページ（pageHikari10g など）は
+// フロー定義の when で service_* を条件にしているため、ご利用できないサービスは読み飛ばします。
+// 従業員が従業員設定で変更した項目（staffMode.js）は表の結果より優先します。
+// 表を読み込めないときも、従業員がすべての項目を設定すればその結果を使います。
+//
+// 提供可否の表の形式
+//   version  : 表の版（申込データと監査ログに記録する）
+//   services : { service_*: { default, rules: [{ id, when, result }] } }
+//              rules を上から順に調べ、when の条件をすべて満たした最初の result を使う（なければ default）
+//              when は { 条件の名前: [許可する値, ...] }。条件の名前は region・residence_type・pref・city・current_network
+//
+// 提供可否が決まったら document のイベントで知らせます（auditTrail.js が監査ログに記録する）。
+//   availability:evaluate { tableVersion, service_*: available | unavailable, ... }
+
+export const AVAILABILITY_CONFIG = {
+    tableUrl: 'data/availability.json',
+    // 提供可否の項目 → ご利用できないときに申込しないにする回答状態の名前
+    services: {
+        service_hikari10g: 'apply_hikari10g',
+        service_phone: 'apply_phone',
+        service_tv: 'apply_tv',
+    },
+    declined: 'declined',
+    // 提供可否を調べる住所（service_address_relation が different なら設置先の回答を使う）
+    //   region・residence_type : エリア・住居形態の選択グループ
+    //   role                   : 住所の役割（フロー定義の address.role）
+    sources: {
+        applicant: { region: 'applicant_region', residence_type: 'residence_type', role: 'applicant' },
+        install: { region: 'applicant_region2', residence_type: 'residence_type2', role: 'install' },
+    },
+    // 判定中・判定できないときの文言（提供可否ごとの文言は labels に STAFF_OVERRIDES を渡す）
+    pending: '提供可否を確認しています…',
+    failed: '提供可否を確認できませんでした。従業員設定から設定してください',
+};
+
+/**
+ * @typedef {object} AvailabilityFacts 提供可否を調べる条件
+ * @property {string|null} region エリア（east / west）
+ * @property {string|null} residence_type 住居形態
+ * @property {string|null} pref 都道府県
+ * @property {string|null} city 市区町村
+ * @property {string|null} current_network 現在のネット回線
+ */
+
+/**
+ * 提供可否の表に条件を当てはめる
+ * @param {object} table 提供可否の表
+ * @param {AvailabilityFacts} facts
+ * @returns {Object<string, { availability: string, rule: string|null }>} 項目ごとの提供可否と当てはまったルールのID
+ */
+export function evaluateAvailability(table, facts) {
+    const results = {};
+    for (const [field, service] of Object.entries(table.services || {})) {
+        const rule = (service.rules || []).find(r => Object.entries(r.when || {})
+            .every(([name, allowed]) => facts[name] != null && allowed.includes(facts[name])));
+        results[field] = rule ? { availability: rule.result, rule: rule.id ?? null } : { availability: service.default, rule: null };
+    }
+    return results;
+}
+
+// =================================================================================
+// 提供可否の判定と表示
+// =================================================================================
+export class ServiceAvailability {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} options
+     * @param {AddressForm} options.addressForm 郵便番号と住所の検索（postalLookup.js）
+     * @param {StaffOverrides} [options.staff] 従業員による変更（変更した項目は表の結果で上書きしない）
+     * @param {Object<string, { options: Object<string, string> }>} options.labels 項目 → 値ごとの表示の文言
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {() => void} [options.onChange] 判定して回答状態を変えたときに呼ばれる（SessionStore に保存し直す）
+     * @param {object} [options.config] AVAILABILITY_CONFIG の上書き
+     */
+    constructor(definition, { addressForm, staff = null, labels, state = window.choiceState, onChange = null, config = {} }) {
+        this.definition = definition;
+        this.addressForm = addressForm;
+        this.staff = staff;
+        this.labels = labels;
+        this.state = state;
+        this.onChange = onChange;
+        this.config = { ...AVAILABILITY_CONFIG, ...config };
+        this.table = null;       // Promise<object>
+        this.results = {};       // 項目 → { availability, source: table | staff, rule }
+        this.tableVersion = null;
+        this.failed = false;     // 最後の判定で表を使えなかったか
+        this.renderToken = 0;    // 最後に始めた判定の番号（古い判定の結果で上書きしないため）
+
+        document.addEventListener('flow:pagechange', (e) => {
+            if (e.detail.step.availability) this.evaluate();
+        });
+        // 従業員が変更・取り消した項目は、すぐに回答状態と表示に反映する（取り消したら表の結果に戻す）
+        document.addEventListener('staff:override', () => this.refresh());
+        document.addEventListener('staff:overrideclear', () => this.refresh());
+        document.addEventListener('flow:reset', () => this.clear());
+    }
+
+    loadTable() {
+        if (!this.table) {
+            this.table = fetch(this.config.tableUrl, { cache: 'no-store' }).then((response) => {
+                if (!response.ok) throw new Error(`提供可否の表を読み込めませんでした（HTTP ${response.status}）`);
+                return response.json();
+            });
+            // 通信エラーは次回に再試行できるよう、キャッシュに残さない
+            this.table.catch(() => { this.table = null; });
+        }
+        return this.table;
+    }
+
+    // 判定済み（判定できなかった場合を含む）なら判定し直す
+    refresh() {
+        if (Object.keys(this.results).length || this.failed) this.evaluate();
+    }
+
+    // -----------------------------------------------------------------------------
+    // 判定
+    // -----------------------------------------------------------------------------
+    /**
+     * 回答と住所から提供可否を調べ、回答状態と page28 の表示に反映する
+     * @returns {Promise<boolean>} 判定できたか
+     */
+    async evaluate() {
+        const token = ++this.renderToken;
+        this.renderPending();
+
+        let table = null;
+        let facts = null;
+        try {
+            [table, facts] = await Promise.all([this.loadTable(), this.facts()]);
+        } catch (error) {
+            console.warn('サービスの提供可否を判定できませんでした:', error);
+        }
+        if (this.renderToken !== token) return false;
+
+        // 表を使えないときは、従業員の設定だけですべての項目が決まる場合に限って判定する
+        const fields = Object.keys(this.config.services);
+        this.failed = !table;
+        if (!table && !fields.every(field => this.staff?.overrides.has(field))) {
+            this.renderFailed();
+            return false;
+        }
+
+        const previous = JSON.stringify(this.results);
+        const evaluated = table ? evaluateAvailability(table, facts) : {};
+        this.tableVersion = table?.version ?? null;
+        this.results = {};
+        for (const field of fields) {
+            const override = this.staff?.overrides.get(field);
+            if (!override && !evaluated[field]) continue;
+            this.results[field] = override
+                ? { availability: override.value, source: 'staff', rule: null }
+                : { ...evaluated[field], source: 'table' };
+            this.record(field, this.results[field].availability);
+        }
+        this.render();
+        this.onChange?.();
+
+        if (JSON.stringify(this.results) !== previous) {
+            const detail = { tableVersion: this.tableVersion };
+            for (const [field, result] of Object.entries(this.results)) detail[field] = result.availability;
+            document.dispatchEvent(new CustomEvent('availability:evaluate', { detail }));
+        }
+        return true;
+    }
+
+    /**
+     * 提供可否を調べる条件（回答と、郵便番号・丁目から調べた住所）
+     * @returns {Promise<AvailabilityFacts>}
+     */
+    async facts() {
+        const source = this.config.sources[this.state.service_address_relation === 'different' ? 'install' : 'applicant'];
+        const address = await this.resolveAddress(source.role);
+        return {
+            region: this.state[source.region] ?? null,
+            residence_type: this.state[source.residence_type] ?? null,
+            pref: address?.pref ?? null,
+            city: address?.city ?? null,
+            current_network: this.state.current_network ?? null,
+        };
+    }
+
+    // 役割の住所（丁目の回答に当たる住所。「上記にはない」・未回答なら郵便番号の最初の住所）
+    async resolveAddress(role) {
+        const id = Object.keys(this.definition.steps).find(stepId => this.definition.steps[stepId].address?.role === role);
+        if (!id) return null;
+        const addresses = await this.addressForm.lookup.lookup(this.addressForm.zipFor(id));
+        const answer = this.state[this.definition.steps[id].choiceGroup];
+        return buildChomeOptions(addresses).find(option => option.value === answer)?.address ?? addresses[0] ?? null;
+    }
+
+    // 回答状態に提供可否と申込しないを入れる
+    // ご利用できるようになったら、ご利用できないために入れた申込しないだけを取り消す（お客様が説明ページで選んだ回答は残す）
+    record(field, availability) {
+        const apply = this.config.services[field];
+        const wasUnavailable = this.state[field] === 'unavailable';
+        this.state[field] = availability;
+        if (availability === 'unavailable') this.state[apply] = this.config.declined;
+        else if (wasUnavailable && this.state[apply] === this.config.declined) delete this.state[apply];
+    }
+
+    // 申込データに添える内容
+    applicationData() {
+        if (!Object.keys(this.results).length) return null;
+        const results = {};
+        for (const [field, result] of Object.entries(this.results)) {
+            results[field] = { ...result, apply: this.state[this.config.services[field]] ?? null };
+        }
+        return { tableVersion: this.tableVersion, results };
+    }
+
+    // SessionStore に保存する内容（回答状態の service_*・apply_* は SessionStore が保存している）
+    save() {
+        return { tableVersion: this.tableVersion, results: this.results };
+    }
+
+    restore(saved) {
+        this.tableVersion = saved?.tableVersion ?? null;
+        this.results = saved?.results || {};
+    }
+
+    clear() {
+        this.renderToken++;
+        this.results = {};
+        this.tableVersion = null;
+        this.failed = false;
+        document.querySelectorAll(this.selector()).forEach((el) => {
+            el.classList.remove('is-unavailable', 'is-error');
+            el.textContent = this.config.pending;
+            delete el.dataset.defaultText;
+        });
+    }
+
+    // -----------------------------------------------------------------------------
+    // 表示（data-staff-field="service_*" の要素）
+    // -----------------------------------------------------------------------------
+    selector() {
+        return Object.keys(this.config.services).map(field => `[data-staff-field="${field}"]`).join(', ');
+    }
+
+    // 文言を差し替える（従業員が変更したときに StaffOverrides が取っておく文言も、この文言にする）
+    setText(el, text) {
+        el.textContent = text;
+        delete el.dataset.defaultText;
+    }
+
+    renderPending() {
+        document.querySelectorAll(this.selector()).forEach((el) => {
+            if (this.staff?.overrides.has(el.dataset.staffField)) return;
+            el.classList.remove('is-unavailable', 'is-error');
+            this.setText(el, this.config.pending);
+        });
+    }
+
+    renderFailed() {
+        document.querySelectorAll(this.selector()).forEach((el) => {
+            if (this.staff?.overrides.has(el.dataset.staffField)) return;
+            el.classList.add('is-error');
+            this.setText(el, this.config.failed);
+        });
+    }
+
+    render() {
+        document.querySelectorAll(this.selector()).forEach((el) => {
+            const result = this.results[el.dataset.staffField];
+            if (!result) return;
+            el.classList.remove('is-error');
+            el.classList.toggle('is-unavailable', result.availability === 'unavailable');
+            if (result.source === 'staff') return; // 文言は StaffOverrides が表示している
+            this.setText(el, this.labels[el.dataset.staffField]?.options[result.availability] ?? result.availability);
+        });
+    }
+}
@@ -0,0 +1,175 @@
+// =================================================================================
+// 受付セッションの保存と再開
+// =================================================================================
+// タブレットの再読み込みなどで入力内容が失われないよう、表示中のページ・回答状態・
+// 入力欄の値・住所の入れ替え状態を localStorage に保存します。
+// 店頭の共用端末で個人情報を扱うため、一定時間操作がなければ自動で削除します。
+
+export const SESSION_CONFIG = {
+    storageKey: 'niftyReceptionSession',
+    ttl: 10 * 60 * 1000,                     // 最後の操作から削除までの時間（ミリ秒）
+    excludedFields: ['codeInput', 'entry_code'], // 保存しない入力欄（従業員コード）
+};
+
+export class SessionStore {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION）
+     * @param {object} [options]
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {Storage} [options.storage] 保存先（既定: localStorage）
+     * @param {object} [options.config] SESSION_CONFIG の上書き
+     */
+    constructor(definition, { state = window.choiceState, storage = window.localStorage, config = {} } = {}) {
+        this.definition = definition;
+        this.state = state;
+        this.storage = storage;
+        this.config = { ...SESSION_CONFIG, ...config };
+        this.currentId = null;
+        this.enabled = false;   // 「ご案内開始」または再開するまでは保存しない
+        this.expireTimer = null;
+        this.extensions = new Map(); // 入力欄以外に保存する内容（キー → { save, restore }）
+
+        document.addEventListener('flow:pagechange', (e) => {
+            this.currentId = e.detail.id;
+            // 完了ページまで進んだら（送信済み）保存内容は不要
+            if (e.detail.id === this.definition.end) {
+                this.clear();
+                this.enabled = false;
+                return;
+            }
+            this.save();
+        });
+        document.addEventListener('flow:choicechange', () => this.save());
+        document.addEventListener('flow:reset', () => {
+            this.clear();
+            this.enabled = false;
+        });
+        document.addEventListener('input', () => this.save());
+        document.addEventListener('change', () => this.save());
+
+        // 起動時点で期限切れのデータは削除しておく
+        this.load();
+    }
+
+    // 保存を開始する（ご案内開始・再開時）
+    start() {
+        this.enabled = true;
+        this.save();
+    }
+
+    /**
+     * 入力欄以外に保存・再開する内容を登録する（会員情報など）
+     * @param {string} key
+     * @param {{ save: () => any, restore: (data: any) => void }} handlers
+     *   restore は入力欄を戻す前に呼ばれる（選択肢を作り直してから値を戻せるように）
+     */
+    register(key, handlers) {
+        this.extensions.set(key, handlers);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 保存
+    // -----------------------------------------------------------------------------
+    snapshot() {
+        const fields = {};
+        document.querySelectorAll('.page input[name], .page select[name], .page textarea[name]').forEach(field => {
+            if (this.config.excludedFields.includes(field.name)) return;
+            if (field.type === 'radio') {
+                if (field.checked) fields[field.name] = field.value;
+            } else {
+                fields[field.name] = field.value;
+            }
+        });
+        return {
+            savedAt: Date.now(),
+            pageId: this.currentId,
+            choiceState: { ...this.state },
+            fields,
+            addressSwapped: document.getElementById('page25')?.dataset.swapped === 'true',
+            extensions: Object.fromEntries([...this.extensions].map(([key, { save }]) => [key, save()])),
+        };
+    }
+
+    save() {
+        if (!this.enabled || !this.currentId) return;
+        try {
+            this.storage.setItem(this.config.storageKey, JSON.stringify(this.snapshot()));
+        } catch (error) {
+            console.warn('受付セッションを保存できませんでした:', error);
+        }
+        this.scheduleExpire();
+    }
+
+    // 最後の保存から ttl 経過したら削除する
+    scheduleExpire() {
+        clearTimeout(this.expireTimer);
+        this.expireTimer = setTimeout(() => this.clear(), this.config.ttl);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 読み込み
+    // -----------------------------------------------------------------------------
+    /**
+     * 保存されているセッションを返す（期限切れ・破損していれば削除して null）
+     * @returns {object|null}
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(this.config.storageKey) || 'null');
+        } catch (error) {
+            console.warn('受付セッションを読み込めませんでした:', error);
+        }
+        const valid = saved
+            && Date.now() - saved.savedAt < this.config.ttl
+            && this.definition.steps[saved.pageId];
+        if (!valid) {
+            if (saved) this.clear();
+            return null;
+        }
+        return saved;
+    }
+
+    clear() {
+        clearTimeout(this.expireTimer);
+        this.storage.removeItem(this.config.storageKey);
+    }
+
+    // -----------------------------------------------------------------------------
+    // 再開
+    // -----------------------------------------------------------------------------
+    /**
+     * 保存内容を画面と回答状態に戻し、最後に表示していたページを表示する
+     * @param {object} saved load() の結果
+     * @param {FlowController} flow
+     */
+    restore(saved, flow) {
+        // window.choiceState は他のモジュールとも共有しているため、中身だけ入れ替える
+        Object.keys(this.state).forEach(key => delete this.state[key]);
+        Object.assign(this.state, saved.choiceState);
+
+        for (const [key, { restore }] of this.extensions) {
+            restore(saved.extensions?.[key]);
+        }
+
+        for (const [name, value] of Object.entries(saved.fields)) {
+            document.querySelectorAll(`.page [name="${name}"]`).forEach(field => {
+                if (field.type === 'radio') field.checked = (field.value === value);
+                else field.value = value;
+            });
+        }
+
+        // 選択ボタンの表示と hidden を回答状態から再反映
+        for (const [id, step] of Object.entries(this.definition.steps)) {
+            if (step.choiceGroup) flow.applyChoiceSelection(document.getElementById(id));
+        }
+
+        const page25 = document.getElementById('page25');
+        if (page25 && (page25.dataset.swapped === 'true') !== Boolean(saved.addressSwapped)) {
+            page25.querySelector('.swap-btn')?.click();
+        }
+
+        this.enabled = true;
+        flow.showPage(saved.pageId);
+    }
+}
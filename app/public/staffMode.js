@@ -0,0 +1,423 @@
+import { showNote } from './formValidation.js';
+
+// =================================================================================
+// 従業員モード（ログインと、従業員による変更）
+// =================================================================================
+// page27 で入力した従業員コード・暗証番号を従業員ログインAPI（api/staff.php）で確かめ、
+// 成功すると時間制限つきの従業員モードになります（失敗が続くとサーバーが一定時間締め出す）。
+// 従業員モードの間は
+//   ・従業員だけが使うページ（フロー定義の staffOnly）を表示できる（期限が切れたらログインのページへ戻す）
+//   ・画面右下の「従業員設定」から、住居タイプや各サービスの提供可否（STAFF_OVERRIDES）を理由をつけて変更できる
+// 従業員が変更した値は、お客様の画面でも「従業員選択済み」の吹き出しで示し、他の選択肢を選べなくします。
+// ログイン・変更は document のイベントで知らせます（auditTrail.js が監査ログに記録する）。
+//   staff:login       { staffId, name }
+//   staff:loginfailed { status, remaining, retryAfter }
+//   staff:logout      { staffId, reason }                    reason: manual | expired | reset
+//   staff:override    { field, value, reason, staffId }
+//   staff:overrideclear { field, staffId }
+
+export const STAFF_CONFIG = {
+    endpoint: 'api/staff.php',
+    // 変更の理由の選択肢（「その他」は補足の入力が必要）
+    reasons: ['お客様のご要望', '物件の確認結果', '提供エリアの確認結果', 'その他'],
+    otherReason: 'その他',
+    bubble: '従業員選択済み',      // 従業員が変更した値に表示する吹き出しの文言
+};
+
+// 従業員が変更できる項目（api/StaffOverrideValidator.php の FIELDS と合わせる）
+//   label   : 従業員設定の画面に表示する名前
+//   options : 値 → 表示する文言
+// 項目の名前がフロー定義の choiceGroup と同じなら、そのページの選択肢を選んだ状態にします。
+// それ以外は data-staff-field="項目の名前" の要素に文言を表示します（page28 の提供可否）。
+export const STAFF_OVERRIDES = {
+    housing_plan: { label: '住居タイプ', options: { home: 'ホーム', mansion: 'マンション' } },
+    service_hikari10g: {
+        label: '光回線（10ギガ）',
+        options: { available: '10ギガがご利用可能です', unavailable: '10ギガがご利用できないエリア・物件です' },
+    },
+    service_phone: {
+        label: '光電話',
+        options: { available: '光電話はご利用可能です', unavailable: '光電話がご利用できないエリア・物件です' },
+    },
+    service_tv: {
+        label: '光テレビ',
+        options: { available: '光テレビはご利用可能です', unavailable: '光テレビがご利用できないエリア・物件です' },
+    },
+};
+
+// =================================================================================
+// 従業員のログイン
+// =================================================================================
+export class StaffSession {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.endpoint] 従業員ログインAPIのURL
+     */
+    constructor({ endpoint = STAFF_CONFIG.endpoint } = {}) {
+        this.endpoint = endpoint;
+        this.login = null;        // 最後のログイン { staff, token, expiresAt }（期限後も送信のために残す）
+        this.active = false;
+        this.expireTimer = null;
+        this.pending = false;     // 確認中の連打は無視
+
+        document.addEventListener('flow:reset', () => {
+            if (this.active) this.logout('reset');
+            this.login = null;
+        });
+    }
+
+    isActive() {
+        return this.active && Date.now() < this.login.expiresAt;
+    }
+
+    // 有効期限までの秒数
+    remaining() {
+        return this.isActive() ? Math.max(0, Math.ceil((this.login.expiresAt - Date.now()) / 1000)) : 0;
+    }
+
+    /**
+     * ページの入力欄のコードでログインする（staffAuth のページの「次へ」で FlowController が呼ぶ）
+     * @param {HTMLElement} page
+     * @param {string} fieldName コードの入力欄の name
+     * @returns {Promise<boolean>} 次のページへ進めるか
+     */
+    async authenticate(page, fieldName) {
+        const input = page?.querySelector(`[name="${fieldName}"]`);
+        const code = input?.value.trim() || '';
+        // ログイン済みでコードを入れ直していなければ、そのまま進む
+        if (!code && this.isActive()) return true;
+        if (this.pending) return false;
+
+        this.pending = true;
+        try {
+            await this.signIn(code);
+            if (input) input.value = '';   // お客様に見えないよう、コードは画面に残さない
+            const hidden = page.querySelector('input[type="hidden"][name="entry_code"]');
+            if (hidden) hidden.value = this.login.staff.staffId;
+            showNote(input, null);
+            return true;
+        } catch (error) {
+            console.warn('従業員ログインに失敗しました:', error);
+            showNote(input, loginErrorMessage(error));
+            return false;
+        } finally {
+            this.pending = false;
+        }
+    }
+
+    async signIn(code) {
+        let response;
+        let body = {};
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code }),
+            });
+            body = await response.json().catch(() => ({}));
+        } catch (error) {
+            this.dispatch('loginfailed', { status: 0, remaining: null, retryAfter: null });
+            throw error;
+        }
+        if (!response.ok) {
+            const error = new Error(body.message || `従業員ログインAPIがエラーを返しました（HTTP ${response.status}）`);
+            Object.assign(error, { status: response.status, remaining: body.remaining ?? null, retryAfter: body.retryAfter ?? null });
+            this.dispatch('loginfailed', { status: error.status, remaining: error.remaining, retryAfter: error.retryAfter });
+            throw error;
+        }
+        this.start({ staff: body.staff, token: body.token, expiresAt: body.expiresAt });
+        this.dispatch('login', { staffId: body.staff.staffId, name: body.staff.name });
+    }
+
+    start(login) {
+        this.login = login;
+        this.active = true;
+        document.body.classList.add('is-staff-mode');
+        clearTimeout(this.expireTimer);
+        this.expireTimer = setTimeout(() => this.logout('expired'), Math.max(0, login.expiresAt - Date.now()));
+    }
+
+    /**
+     * 従業員モードを終える（送信のため、最後のログインは残す）
+     * @param {'manual'|'expired'|'reset'} [reason]
+     */
+    logout(reason = 'manual') {
+        if (!this.active) return;
+        clearTimeout(this.expireTimer);
+        this.active = false;
+        document.body.classList.remove('is-staff-mode');
+        this.dispatch('logout', { staffId: this.login.staff.staffId, reason });
+    }
+
+    // SessionStore に保存する内容（再読み込みしても期限内なら従業員モードを続ける）
+    save() {
+        return this.login ? { ...this.login, active: this.isActive() } : null;
+    }
+
+    restore(saved) {
+        if (!saved?.token) return;
+        if (saved.active && Date.now() < saved.expiresAt) this.start(saved);
+        else this.login = { staff: saved.staff, token: saved.token, expiresAt: saved.expiresAt };
+    }
+
+    dispatch(name, detail) {
+        document.dispatchEvent(new CustomEvent(`staff:${name}`, { detail }));
+    }
+}
+
+// ログインできなかったときの案内（初期モーダルの会員情報の読み込みでも使う。memberPrefill.js）
+export function loginErrorMessage(error) {
+    if (error.status === 429) return `失敗が続いたため、${Math.ceil((error.retryAfter || 0) / 60)}分ほどログインできません。`;
+    if (error.status === 401) return `従業員コードが正しくありません（あと${error.remaining}回失敗すると一定時間ログインできません）。`;
+    if (error.status === 422) return '従業員コード（半角英字5桁）か暗証番号（数字4〜8桁）を入力してください。';
+    if (error.status === 503) return '従業員ログインが設定されていません。管理者へ連絡してください。';
+    return '確認できませんでした。ネットワークの接続を確認してください。';
+}
+
+// =================================================================================
+// 従業員による変更
+// =================================================================================
+export class StaffOverrides {
+    /**
+     * @param {object} definition フロー定義（FLOW_DEFINITION。choiceGroup のページを探す）
+     * @param {object} options
+     * @param {StaffSession} options.session
+     * @param {FlowController} options.flow 選択肢を選んだ状態にする
+     * @param {object} [options.state] 回答状態（既定: window.choiceState）
+     * @param {object} [options.fields] STAFF_OVERRIDES の上書き
+     */
+    constructor(definition, { session, flow, state = window.choiceState, fields = STAFF_OVERRIDES }) {
+        this.definition = definition;
+        this.session = session;
+        this.flow = flow;
+        this.state = state;
+        this.fields = fields;
+        this.overrides = new Map();    // 項目 → { field, value, reason, staffId, time, token }
+        this.clockTimer = null;
+
+        this.modal = document.getElementById('staff-modal');
+        this.fieldSelect = document.getElementById('staffOverrideField');
+        this.valueSelect = document.getElementById('staffOverrideValue');
+        this.reasonSelect = document.getElementById('staffOverrideReason');
+        this.noteInput = document.getElementById('staffOverrideNote');
+        this.listEl = document.getElementById('staffOverrideList');
+        this.statusEl = document.getElementById('staffPanelStatus');
+        this.clockEl = document.getElementById('staffSessionClock');
+
+        document.getElementById('staffPanelButton')?.addEventListener('click', () => this.show());
+        document.getElementById('staffPanelClose')?.addEventListener('click', () => this.hide());
+        document.getElementById('staffOverrideApply')?.addEventListener('click', () => this.applyFromPanel());
+        document.getElementById('staffOverrideClear')?.addEventListener('click', () => this.clearFromPanel());
+        document.getElementById('staffLogoutButton')?.addEventListener('click', () => this.session.logout('manual'));
+        this.fieldSelect?.addEventListener('change', () => this.renderValues());
+
+        document.addEventListener('staff:logout', () => this.hide());
+        // 受付APIはトークンの有効期限を受け付けた時刻で確かめるため、ログインし直した従業員の
+        // トークンで変更を確認し直す（期限切れのトークンのままでは送信できない）
+        document.addEventListener('staff:login', () => this.reconfirm());
+        document.addEventListener('flow:reset', () => {
+            this.hide();
+            [...this.overrides.keys()].forEach(field => this.unmark(field));
+            this.overrides.clear();
+        });
+        // 選択肢はページを表示するたびに選び直すことがあるため、表示のたびに印をつけ直す
+        document.addEventListener('flow:pagechange', () => this.overrides.forEach(override => this.mark(override)));
+    }
+
+    // -----------------------------------------------------------------------------
+    // 変更
+    // -----------------------------------------------------------------------------
+    /**
+     * 項目の値を従業員として変更する（従業員モードの間だけ）
+     * @param {string} field STAFF_OVERRIDES の名前
+     * @param {string} value
+     * @param {string} reason 変更の理由
+     */
+    apply(field, value, reason) {
+        if (!this.session.isActive()) throw new Error('従業員モードではありません');
+        if (!this.fields[field]?.options[value]) throw new Error(`${field} に ${value} は設定できません`);
+        if (!reason?.trim()) throw new Error('変更の理由を入力してください');
+
+        const { staff, token } = this.session.login;
+        const override = { field, value, reason: reason.trim(), staffId: staff.staffId, time: new Date().toISOString(), token };
+        if (this.overrides.has(field)) this.unmark(field);
+        this.overrides.set(field, override);
+        this.state[field] = value;
+        this.mark(override);
+        document.dispatchEvent(new CustomEvent('staff:override', { detail: { field, value, reason: override.reason, staffId: staff.staffId } }));
+    }
+
+    // 変更を、今ログインしている従業員のトークンで確認し直す
+    reconfirm() {
+        if (!this.session.isActive()) return;
+        const { staff, token } = this.session.login;
+        this.overrides.forEach((override) => {
+            override.staffId = staff.staffId;
+            override.token = token;
+        });
+    }
+
+    clear(field) {
+        if (!this.session.isActive()) throw new Error('従業員モードではありません');
+        if (!this.overrides.has(field)) return;
+        this.unmark(field);
+        this.overrides.delete(field);
+        delete this.state[field];
+        document.dispatchEvent(new CustomEvent('staff:overrideclear', { detail: { field, staffId: this.session.login.staff.staffId } }));
+    }
+
+    // 申込データに添える内容（api/StaffOverrideValidator.php が確かめる）
+    applicationData() {
+        return { token: this.session.login?.token ?? null, overrides: [...this.overrides.values()] };
+    }
+
+    // SessionStore に保存する内容
+    save() {
+        return [...this.overrides.values()];
+    }
+
+    // 保存した変更を戻す（回答状態は SessionStore が戻している）
+    restore(saved) {
+        this.overrides = new Map((saved || []).filter(override => this.fields[override.field]).map(override => [override.field, override]));
+        this.overrides.forEach(override => this.mark(override));
+    }
+
+    // -----------------------------------------------------------------------------
+    // お客様の画面への表示
+    // -----------------------------------------------------------------------------
+    // 変更した値に吹き出しをつけ、選択肢なら他の選択肢を選べなくする
+    mark({ field, value }) {
+        const choicePage = this.choicePage(field);
+        if (choicePage) {
+            const target = choicePage.querySelector(`.choice-btn[data-value="${value}"]`);
+            if (target && !target.classList.contains('is-selected')) this.flow.select(target);
+            choicePage.querySelectorAll('.choice-btn').forEach((btn) => {
+                btn.disabled = btn !== target;
+                btn.setAttribute('aria-disabled', String(btn !== target));
+            });
+            if (target) addBubble(target);
+            return;
+        }
+        document.querySelectorAll(`[data-staff-field="${field}"]`).forEach((el) => {
+            if (el.dataset.defaultText === undefined) el.dataset.defaultText = el.textContent;
+            el.textContent = this.fields[field].options[value];
+            addBubble(el);
+        });
+    }
+
+    unmark(field) {
+        const choicePage = this.choicePage(field);
+        if (choicePage) {
+            choicePage.querySelectorAll('.choice-btn').forEach((btn) => {
+                btn.disabled = false;
+                btn.removeAttribute('aria-disabled');
+                removeBubble(btn);
+            });
+            return;
+        }
+        document.querySelectorAll(`[data-staff-field="${field}"]`).forEach((el) => {
+            removeBubble(el);
+            if (el.dataset.defaultText !== undefined) el.textContent = el.dataset.defaultText;
+        });
+    }
+
+    choicePage(field) {
+        const id = Object.keys(this.definition.steps).find(stepId => this.definition.steps[stepId].choiceGroup === field);
+        return id ? document.getElementById(id) : null;
+    }
+
+    // -----------------------------------------------------------------------------
+    // 従業員設定の画面
+    // -----------------------------------------------------------------------------
+    show() {
+        if (!this.session.isActive()) return;
+        this.fieldSelect?.replaceChildren(...Object.entries(this.fields).map(([name, { label }]) => new Option(label, name)));
+        this.reasonSelect?.replaceChildren(...STAFF_CONFIG.reasons.map(reason => new Option(reason, reason)));
+        if (this.noteInput) this.noteInput.value = '';
+        this.renderValues();
+        this.renderList();
+        this.setStatus('');
+        this.renderClock();
+        clearInterval(this.clockTimer);
+        this.clockTimer = setInterval(() => this.renderClock(), 1000);
+        this.modal?.classList.add('active');
+    }
+
+    hide() {
+        clearInterval(this.clockTimer);
+        this.clockTimer = null;
+        this.modal?.classList.remove('active');
+    }
+
+    renderValues() {
+        const field = this.fields[this.fieldSelect?.value];
+        if (!field || !this.valueSelect) return;
+        this.valueSelect.replaceChildren(...Object.entries(field.options).map(([value, label]) => {
+            const option = new Option(label, value);
+            option.selected = this.overrides.get(this.fieldSelect.value)?.value === value;
+            return option;
+        }));
+    }
+
+    renderList() {
+        if (!this.listEl) return;
+        this.listEl.replaceChildren(...[...this.overrides.values()].map(({ field, value, reason, staffId }) => {
+            const item = document.createElement('li');
+            item.textContent = `${this.fields[field].label}: ${this.fields[field].options[value]}（${reason} / ${staffId}）`;
+            return item;
+        }));
+    }
+
+    renderClock() {
+        if (!this.clockEl) return;
+        const seconds = this.session.remaining();
+        this.clockEl.textContent = `${this.session.login?.staff.name ?? ''} 残り ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    setStatus(text, error = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('is-error', error);
+    }
+
+    applyFromPanel() {
+        const reason = this.reasonSelect?.value;
+        const note = this.noteInput?.value.trim() || '';
+        if (reason === STAFF_CONFIG.otherReason && !note) {
+            this.setStatus('「その他」の場合は補足を入力してください', true);
+            return;
+        }
+        try {
+            this.apply(this.fieldSelect.value, this.valueSelect.value, note ? `${reason}：${note}` : reason);
+            this.renderList();
+            this.setStatus('変更しました');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    clearFromPanel() {
+        try {
+            this.clear(this.fieldSelect.value);
+            this.renderValues();
+            this.renderList();
+            this.setStatus('元に戻しました');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+}
+
+function addBubble(el) {
+    el.classList.add('is-staff-set');
+    if (el.querySelector(':scope > .staff-bubble')) return;
+    const bubble = document.createElement('span');
+    bubble.className = 'staff-bubble';
+    bubble.textContent = STAFF_CONFIG.bubble;
+    el.append(bubble);
+}
+
+function removeBubble(el) {
+    el.classList.remove('is-staff-set');
+    el.querySelector(':scope > .staff-bubble')?.remove();
+}
@@ -0,0 +1,480 @@
+// =================================================================================
+// 重要事項の説明動画の再生
+// =================================================================================
+// 「視聴開始」などの data-video を付けたボタンで動画のモーダルを開き、最後まで視聴したら次のページへ進めます。
+// 動画は VIDEO_SOURCES に名前をつけて登録し、再生の方法（プロバイダー）を順に試します。
+//   local   : アプリに同梱した MP4・HLS（.m3u8。ブラウザが対応している場合）と字幕（WebVTT）
+//   youtube : YouTube の IFrame API
+// 同梱の動画は app/public/videos に置いてから providers の先頭に登録します（店舗のネットワークで
+// YouTube を使えない場合に備える）。置いていないファイルは登録しない（読み込みの失敗を待つことになる）。
+// どのプロバイダーでも再生できなかったときは、モーダルに「閉じる」を表示します（従業員が別の方法で説明する）。
+// 早送り（まだ見ていない位置への移動）はできず、実際に見た部分の割合が completion.watchedRatio 以上で
+// 最後まで再生したときに完了とします。
+//
+// data-video には VIDEO_SOURCES の名前のほか、動画ファイルのパス（.mp4・.m3u8）か YouTube の動画IDを直接書けます。
+//
+// 視聴の経過は document のイベントで知らせます（auditTrail.js が監査ログに記録する）。
+//   video:start     { source, provider }            再生を始めた
+//   video:progress  { source, percent }             視聴済みの割合が progressStep（%）ごとに増えた
+//   video:seekblocked { source, from, to }          早送りを戻した
+//   video:complete  { source, percent, duration }   視聴が完了した
+//   video:close     { source, percent, completed }  モーダルを閉じた
+
+export const VIDEO_SOURCES = {
+    important: {
+        providers: [
+            // 同梱する場合は先頭に追加する
+            // { type: 'local', src: 'videos/important.mp4', tracks: [{ src: 'videos/important.ja.vtt', srclang: 'ja', label: '日本語', default: true }] },
+            { type: 'youtube', id: '6FRlR3EwpYM', captions: 'ja' },
+        ],
+    },
+};
+
+export const VIDEO_CONFIG = {
+    completion: {
+        watchedRatio: 0.95,      // 完了とする視聴済みの割合（0〜1）
+        preventSeekForward: true, // まだ見ていない位置へ進めないようにする
+    },
+    seekTolerance: 1.0,          // 早送りとみなさない移動の幅（秒）
+    maxStep: 1.5,                // 再生位置の記録の間隔がこれより空いた場合は、その間を見たことにしない（秒）
+    pollInterval: 250,           // YouTube の再生位置を確かめる間隔（ミリ秒）
+    progressStep: 25,            // video:progress で知らせる視聴済みの割合の刻み（%）
+    youtubeApiUrl: 'https://www.youtube.com/iframe_api',
+};
+
+// =================================================================================
+// 視聴済みの範囲
+// =================================================================================
+// 再生位置を順に記録し、続けて再生された範囲だけを「見た」ことにします（移動した分は含めない）。
+export class WatchProgress {
+    constructor({ maxStep = VIDEO_CONFIG.maxStep } = {}) {
+        this.maxStep = maxStep;
+        this.ranges = [];      // 見た範囲 [[開始, 終了], ...]（開始順・重なりなし）
+        this.last = null;      // 前に記録した再生位置
+    }
+
+    // 再生中の位置を記録する
+    update(time) {
+        if (this.last !== null && time > this.last && time - this.last <= this.maxStep) this.add(this.last, time);
+        this.last = time;
+    }
+
+    // 再生位置を移動した（その間は見たことにしない）
+    seeked(time) {
+        this.last = time;
+    }
+
+    add(start, end) {
+        const ranges = [...this.ranges, [start, end]].sort((a, b) => a[0] - b[0]);
+        this.ranges = ranges.reduce((merged, range) => {
+            const previous = merged[merged.length - 1];
+            if (previous && range[0] <= previous[1]) previous[1] = Math.max(previous[1], range[1]);
+            else merged.push([...range]);
+            return merged;
+        }, []);
+    }
+
+    // 見た時間の合計（秒）
+    watched() {
+        return this.ranges.reduce((total, [start, end]) => total + (end - start), 0);
+    }
+
+    ratio(duration) {
+        return duration > 0 ? Math.min(this.watched() / duration, 1) : 0;
+    }
+
+    // 最も先まで見た位置（ここまでは移動できる）
+    furthest() {
+        return this.ranges.reduce((furthest, [, end]) => Math.max(furthest, end), 0);
+    }
+
+    // 最初のまだ見ていない位置
+    firstGap() {
+        if (!this.ranges.length || this.ranges[0][0] > 0.5) return 0;
+        return this.ranges[0][1];
+    }
+}
+
+// =================================================================================
+// プロバイダー
+// =================================================================================
+// load(container, source, events) で再生を始め、読み込めなければ例外を投げます（次のプロバイダーを試す）。
+// events: { onTime(time), onSeeking(time), onEnded(), onError(message) }
+
+// アプリに同梱した動画（HTML5 の <video>）
+export class LocalVideoProvider {
+    async load(container, source, events) {
+        const video = document.createElement('video');
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.crossOrigin = 'anonymous';
+        for (const track of source.tracks || []) {
+            const element = document.createElement('track');
+            Object.assign(element, { kind: 'subtitles', src: track.src, srclang: track.srclang, label: track.label, default: Boolean(track.default) });
+            video.append(element);
+        }
+
+        const isHls = /\.m3u8(\?|$)/i.test(source.src);
+        if (isHls && !video.canPlayType('application/vnd.apple.mpegurl')) {
+            throw new Error('このブラウザはHLSの動画を再生できません');
+        }
+        video.src = source.src;
+        container.replaceChildren(video);
+        this.video = video;
+
+        // 再生できるようになるか、読み込めないとわかるまで待つ
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadedmetadata', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error(`動画(${source.src})を読み込めませんでした`)), { once: true });
+        });
+        video.addEventListener('timeupdate', () => events.onTime(video.currentTime));
+        video.addEventListener('seeking', () => events.onSeeking(video.currentTime));
+        video.addEventListener('ended', () => events.onEnded());
+        video.addEventListener('error', () => events.onError('再生中にエラーが発生しました。'));
+        this.play();
+    }
+
+    play() {
+        this.video?.play().catch(error => console.warn('動画を再生できませんでした:', error));
+    }
+
+    pause() {
+        this.video?.pause();
+    }
+
+    seek(time) {
+        if (this.video) this.video.currentTime = time;
+    }
+
+    duration() {
+        return this.video?.duration || 0;
+    }
+
+    destroy() {
+        if (!this.video) return;
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        this.video.remove();
+        this.video = null;
+    }
+}
+
+// YouTube の IFrame API
+export class YouTubeVideoProvider {
+    constructor({ config = VIDEO_CONFIG } = {}) {
+        this.config = config;
+        this.player = null;
+        this.timer = null;
+    }
+
+    async load(container, source, events) {
+        await loadYouTubeAPI(this.config.youtubeApiUrl);
+        const element = document.createElement('div');
+        container.replaceChildren(element);
+
+        await new Promise((resolve, reject) => {
+            const errors = {
+                2: '不正な動画IDです。',
+                5: 'このブラウザで再生できません（HTML5プレイヤーエラー）。',
+                100: '動画が見つからないか、非公開です。',
+                101: '動画の埋め込みが許可されていません。',
+                150: '動画の埋め込みが許可されていません。',
+            };
+            let ready = false;
+            this.player = new YT.Player(element, {
+                videoId: source.id,
+                playerVars: {
+                    autoplay: 1,
+                    rel: 0,
+                    playsinline: 1,
+                    modestbranding: 1,
+                    disablekb: 1,                        // キーボードでの早送りを止める
+                    cc_load_policy: source.captions ? 1 : 0,
+                    cc_lang_pref: source.captions || undefined,
+                },
+                events: {
+                    onReady: () => {
+                        ready = true;
+                        resolve();
+                    },
+                    onStateChange: (e) => {
+                        if (e.data === YT.PlayerState.ENDED) events.onEnded();
+                    },
+                    onError: (e) => {
+                        const message = errors[e.data] || '再生中にエラーが発生しました。';
+                        console.error('YouTube error code:', e.data);
+                        if (ready) events.onError(message);
+                        else reject(new Error(message));
+                    },
+                },
+            });
+        });
+
+        // YouTube には移動のイベントがないため、再生位置を定期的に確かめる
+        let last = 0;
+        this.timer = setInterval(() => {
+            const time = this.player?.getCurrentTime?.() ?? 0;
+            if (Math.abs(time - last) > this.config.seekTolerance + this.config.pollInterval / 1000) events.onSeeking(time);
+            else events.onTime(time);
+            last = time;
+        }, this.config.pollInterval);
+    }
+
+    play() {
+        this.player?.playVideo?.();
+    }
+
+    pause() {
+        this.player?.pauseVideo?.();
+    }
+
+    seek(time) {
+        this.player?.seekTo?.(time, true);
+    }
+
+    duration() {
+        return this.player?.getDuration?.() || 0;
+    }
+
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        try {
+            this.player?.destroy();
+        } catch (error) {
+            console.warn('YouTube のプレイヤーを閉じられませんでした:', error);
+        }
+        this.player = null;
+    }
+}
+
+let youtubeApi = null;
+function loadYouTubeAPI(url) {
+    if (window.YT?.Player) return Promise.resolve();
+    youtubeApi ??= new Promise((resolve, reject) => {
+        const tag = document.createElement('script');
+        tag.src = url;
+        tag.onerror = () => {
+            youtubeApi = null;
+            reject(new Error('YouTube に接続できません'));
+        };
+        window.onYouTubeIframeAPIReady = () => resolve();
+        document.head.appendChild(tag);
+    });
+    return youtubeApi;
+}
+
+const PROVIDERS = {
+    local: LocalVideoProvider,
+    youtube: YouTubeVideoProvider,
+};
+
+/**
+ * data-video の値から動画の設定を決める
+ * @param {string} value VIDEO_SOURCES の名前・動画ファイルのパス・YouTube の動画ID
+ * @returns {{ providers: object[], completion?: object }}
+ */
+export function resolveVideoSource(value) {
+    if (VIDEO_SOURCES[value]) return VIDEO_SOURCES[value];
+    if (/\.(mp4|webm|m3u8)(\?|$)/i.test(value)) return { providers: [{ type: 'local', src: value }] };
+    return { providers: [{ type: 'youtube', id: value }] };
+}
+
+// =================================================================================
+// 動画のモーダル
+// =================================================================================
+export class VideoPlayer {
+    /**
+     * @param {object} options
+     * @param {FlowController} options.flow 視聴が完了したら next() で次のページへ進める
+     * @param {object} [options.config] VIDEO_CONFIG の上書き
+     */
+    constructor({ flow, config = {} }) {
+        this.flow = flow;
+        this.config = { ...VIDEO_CONFIG, ...config, completion: { ...VIDEO_CONFIG.completion, ...config.completion } };
+        this.provider = null;
+        this.progress = null;
+        this.completion = this.config.completion;
+        this.paused = false;
+        this.session = null;     // 開いている動画 { source, reported, completed }（閉じた後に読み込みが終わった動画を再生しないため）
+
+        this.modal = document.getElementById('video-modal');
+        this.container = document.getElementById('video-player');
+        this.errorEl = document.getElementById('video-error');
+        this.pauseButton = document.getElementById('videoPauseButton');
+        this.closeButton = document.getElementById('videoCloseButton');
+        this.watchedEl = document.getElementById('videoWatched');
+        this.watchedText = document.getElementById('videoWatchedText');
+
+        // 視聴開始ボタン（data-video）のクリック。ページ遷移は視聴の完了後に行う
+        document.addEventListener('click', (e) => {
+            const watch = e.target.closest('[data-video]');
+            if (!watch) return;
+            e.preventDefault();
+            this.open(watch.dataset.video);
+        });
+        this.pauseButton?.addEventListener('click', () => (this.paused ? this.resume() : this.pause()));
+        // 再生できなかったときだけ表示する（視聴を完了せずに閉じ、ページはそのまま）
+        this.closeButton?.addEventListener('click', () => this.close());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.provider) this.pause();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.modal?.classList.contains('active'));
+    }
+
+    /**
+     * 動画のモーダルを開いて再生する（プロバイダーを順に試す）
+     * @param {string} value data-video の値
+     */
+    async open(value) {
+        this.close();
+        const source = resolveVideoSource(value);
+        const session = this.session = { source: value, reported: 0, completed: false };
+        this.completion = { ...this.config.completion, ...source.completion };
+        this.progress = new WatchProgress({ maxStep: this.config.maxStep });
+        this.paused = false;
+        this.modal?.classList.add('active');
+        this.showError('');
+        this.setClosable(false);
+        this.renderProgress();
+
+        for (const providerSource of source.providers) {
+            const Provider = PROVIDERS[providerSource.type];
+            if (!Provider) {
+                console.warn(`不明な動画のプロバイダーです: ${providerSource.type}`);
+                continue;
+            }
+            const provider = new Provider({ config: this.config });
+            try {
+                await provider.load(this.container, providerSource, this.events(provider, session));
+                if (this.session !== session) {
+                    provider.destroy();
+                    return;
+                }
+                this.provider = provider;
+                this.showError('');   // 前のプロバイダーで表示したエラーを消す
+                this.emit('start', { provider: providerSource.type });
+                return;
+            } catch (error) {
+                provider.destroy();
+                if (this.session !== session) return;
+                console.warn(`動画を再生できませんでした（${providerSource.type}）:`, error);
+                this.showError(error.message);
+            }
+        }
+        if (this.session !== session) return;
+        this.showError('動画を再生できませんでした。従業員にお声がけください。');
+        this.setClosable(true);
+    }
+
+    events(provider, session) {
+        const active = () => this.session === session;
+        return {
+            onTime: (time) => {
+                if (!active()) return;
+                this.progress.update(time);
+                this.renderProgress(provider);
+                this.reportProgress(provider, session);
+            },
+            onSeeking: (time) => {
+                if (!active()) return;
+                const limit = this.progress.furthest() + this.config.seekTolerance;
+                if (this.completion.preventSeekForward && time > limit) {
+                    this.emit('seekblocked', { from: Math.floor(this.progress.furthest()), to: Math.floor(time) });
+                    provider.seek(this.progress.furthest());
+                    this.progress.seeked(this.progress.furthest());
+                    return;
+                }
+                this.progress.seeked(time);
+            },
+            onEnded: () => {
+                if (!active()) return;
+                const duration = provider.duration();
+                this.progress.update(duration);
+                this.renderProgress(provider);
+                if (this.progress.ratio(duration) >= this.completion.watchedRatio) {
+                    session.completed = true;
+                    this.emit('complete', { percent: this.percent(provider), duration: Math.round(duration) });
+                    this.complete();
+                    return;
+                }
+                // 見ていない部分があれば、そこから再生し直す
+                this.showError('まだご覧になっていない部分があります。続けてご覧ください。');
+                const gap = this.progress.firstGap();
+                provider.seek(gap);
+                this.progress.seeked(gap);
+                provider.play();
+            },
+            onError: (message) => active() && this.showError(message),
+        };
+    }
+
+    pause() {
+        if (!this.provider) return;
+        this.provider.pause();
+        this.paused = true;
+        this.renderProgress(this.provider);
+    }
+
+    resume() {
+        if (!this.provider) return;
+        this.provider.play();
+        this.paused = false;
+        this.renderProgress(this.provider);
+    }
+
+    close() {
+        if (this.session) this.emit('close', { percent: this.percent(), completed: this.session.completed });
+        this.session = null;
+        this.provider?.destroy();
+        this.provider = null;
+        this.modal?.classList.remove('active');
+    }
+
+    // 視聴の完了（モーダルを閉じて次のページへ）
+    complete() {
+        this.close();
+        this.flow?.next();
+    }
+
+    // 視聴済みの割合（整数の%）
+    percent(provider = this.provider) {
+        return Math.floor((this.progress?.ratio(provider?.duration() || 0) ?? 0) * 100);
+    }
+
+    reportProgress(provider, session) {
+        const step = this.config.progressStep;
+        const reached = Math.floor(this.percent(provider) / step) * step;
+        if (reached <= session.reported) return;
+        session.reported = reached;
+        this.emit('progress', { percent: reached });
+    }
+
+    emit(name, detail) {
+        document.dispatchEvent(new CustomEvent(`video:${name}`, { detail: { source: this.session?.source, ...detail } }));
+    }
+
+    renderProgress(provider = this.provider) {
+        const ratio = this.progress?.ratio(provider?.duration() || 0) ?? 0;
+        if (this.watchedEl) this.watchedEl.value = ratio;
+        if (this.watchedText) this.watchedText.textContent = `視聴済み ${Math.floor(ratio * 100)}%`;
+        if (this.pauseButton) {
+            this.pauseButton.textContent = this.paused ? '再開' : '一時停止';
+            this.pauseButton.disabled = !provider;
+        }
+    }
+
+    setClosable(closable) {
+        if (this.closeButton) this.closeButton.hidden = !closable;
+    }
+
+    showError(message) {
+        if (!this.errorEl) return;
+        this.errorEl.textContent = message;
+        this.errorEl.hidden = !message;
+    }
+}
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// =================================================================================
+// アニメーションの変換ツール（焼き込み）
+// =================================================================================
+// 使い方（app ディレクトリで実行。three と @pixiv/three-vrm を Node から読み込めるようにしておく）:
+//   node tools/bakeAnimations.mjs                    元のファイルかアバターが変わったアニメーションだけ変換する
+//   node tools/bakeAnimations.mjs --force            すべてのアニメーションを変換し直す
+//
+// オプション:
+//   --avatar <file>      変換先のアバター（既定: public/avatar.vrm）
+//   --out <dir>          出力先（既定: public/animations/baked）
+//   --precision <桁>     数値を丸める小数点以下の桁数（既定: BAKE_CONFIG.precision）
+//   --tolerance <誤差>   キーを省くときに許す誤差（既定: BAKE_CONFIG.tolerance。0 なら省かない）
+//
+// animations/manifest.json のアニメーションを、ブラウザと同じ読み込み関数（animationRegistry.js の
+// ANIMATION_LOADERS）でアバター向けに変換し、<名前>.json と一覧の manifest.json を書き出します。
+// 書き出したクリップは animationRegistry.js が優先して読み込みます（bakedAnimation.js を参照）。
+import { createHash } from 'node:crypto';
+import { access, mkdir, readFile, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { VRMLoaderPlugin } from '@pixiv/three-vrm';
+import { ANIMATION_LOADERS, formatFor } from '../public/animationRegistry.js';
+import { BAKE_CONFIG, avatarSignature, bakeClip } from '../public/bakedAnimation.js';
+
+const publicDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public');
+const animationsDir = path.join(publicDir, 'animations');
+
+function parseArgs(argv) {
+    const options = {
+        avatar: path.join(publicDir, 'avatar.vrm'),
+        out: path.join(animationsDir, 'baked'),
+        precision: BAKE_CONFIG.precision,
+        tolerance: BAKE_CONFIG.tolerance,
+        force: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--avatar') options.avatar = path.resolve(argv[++i]);
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--precision') options.precision = Number(argv[++i]);
+        else if (arg === '--tolerance') options.tolerance = Number(argv[++i]);
+        else if (arg === '--force') options.force = true;
+        else throw new Error(`不明なオプションです: ${arg}`);
+    }
+    if (!Number.isInteger(options.precision) || options.precision < 0) throw new Error('--precision には0以上の整数を指定してください');
+    if (!(options.tolerance >= 0)) throw new Error('--tolerance には0以上の数値を指定してください');
+    return options;
+}
+
+// -----------------------------------------------------------------------------
+// ブラウザ向けの読み込み関数を Node で動かすための準備
+// -----------------------------------------------------------------------------
+// Node の fetch は file: のURLを読めないため、ローカルのファイルを返すようにします
+// （THREE.FileLoader が進捗の通知に使う ProgressEvent も Node にはないため用意する）。
+// 変換に画像は使わないため、テクスチャの画像は読み込まずに空の画像で済ませます
+// （FBXLoader は埋め込みの画像に window.URL を使う）。
+function prepareNode() {
+    const nodeFetch = globalThis.fetch;
+    globalThis.fetch = async (input, init) => {
+        const url = new URL(input instanceof Request ? input.url : input);
+        if (url.protocol !== 'file:') return nodeFetch(input, init);
+        return new Response(await readFile(fileURLToPath(url)));
+    };
+    globalThis.ProgressEvent ??= class ProgressEvent extends Event {
+        constructor(type, { lengthComputable = false, loaded = 0, total = 0 } = {}) {
+            super(type);
+            Object.assign(this, { lengthComputable, loaded, total });
+        }
+    };
+    globalThis.window ??= globalThis;
+    THREE.ImageLoader.prototype.load = function (url, onLoad) {
+        const image = { width: 1, height: 1 };
+        queueMicrotask(() => onLoad?.(image));
+        return image;
+    };
+}
+
+async function loadAvatar(file) {
+    const loader = new GLTFLoader();
+    loader.register((parser) => new VRMLoaderPlugin(parser));
+    const gltf = await loader.loadAsync(pathToFileURL(file).href);
+    if (!gltf.userData.vrm) throw new Error(`${file} はVRMではありません`);
+    return gltf.userData.vrm;
+}
+
+// -----------------------------------------------------------------------------
+// 一覧・変換の要否
+// -----------------------------------------------------------------------------
+async function exists(file) {
+    return access(file).then(() => true, () => false);
+}
+
+async function readManifest(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf-8'));
+    } catch {
+        return { clips: {} };
+    }
+}
+
+// 元のファイル・アバター・変換の設定が同じなら同じ値になる
+async function inputHash(sourceFile, avatarHash, options) {
+    return createHash('sha256')
+        .update(await readFile(sourceFile))
+        .update(avatarHash)
+        .update(JSON.stringify([options.precision, options.tolerance]))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+// -----------------------------------------------------------------------------
+// 実行
+// -----------------------------------------------------------------------------
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    prepareNode();
+
+    const { clips } = JSON.parse(await readFile(path.join(animationsDir, 'manifest.json'), 'utf-8'));
+    const avatarHash = createHash('sha256').update(await readFile(options.avatar)).digest('hex');
+    const vrm = await loadAvatar(options.avatar);
+
+    await mkdir(options.out, { recursive: true });
+    const manifestFile = path.join(options.out, 'manifest.json');
+    const previous = await readManifest(manifestFile);
+    const baked = { avatar: avatarSignature(vrm), clips: {} };
+
+    let built = 0;
+    let failed = 0;
+    for (const [name, entry] of Object.entries(clips)) {
+        const format = entry.format || formatFor(entry.file);
+        const loader = ANIMATION_LOADERS[format];
+        if (!loader) {
+            console.warn(`${name}: 形式（${entry.file}）に対応していないため飛ばします`);
+            continue;
+        }
+        const sourceFile = path.join(animationsDir, entry.file);
+        const file = `${name}.json`;
+
+        try {
+            const hash = await inputHash(sourceFile, avatarHash, options);
+            const record = { file, source: entry.file, format, hash };
+            if (!options.force && previous.clips?.[name]?.hash === hash && await exists(path.join(options.out, file))) {
+                baked.clips[name] = record;
+                continue;
+            }
+
+            const clip = await loader(pathToFileURL(sourceFile).href, vrm);
+            const json = JSON.stringify(bakeClip(clip, options));
+            await writeFile(path.join(options.out, file), json);
+            baked.clips[name] = record;
+            built++;
+            const { size } = await stat(sourceFile);
+            console.log(`${name}: ${entry.file}（${formatSize(size)}）→ ${file}（${formatSize(Buffer.byteLength(json))}）`);
+        } catch (error) {
+            failed++;
+            console.error(`${name}: 変換できませんでした（${entry.file}）:`, error.message);
+        }
+    }
+
+    // 一覧から外れたアニメーションの古いファイルを消す
+    const files = new Set(Object.values(baked.clips).map(record => record.file));
+    for (const file of await readdir(options.out)) {
+        if (file.endsWith('.json') && file !== 'manifest.json' && !files.has(file)) {
+            await rm(path.join(options.out, file));
+        }
+    }
+
+    await writeFile(manifestFile, `${JSON.stringify(baked, null, 2)}\n`);
+    console.log(`${built}件を変換しました（変換済み ${Object.keys(baked.clips).length}件 / 失敗 ${failed}件）`);
+    if (failed) process.exitCode = 1;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
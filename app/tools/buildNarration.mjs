@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// =================================================================================
+// ナレーション音声の作成ツール
+// =================================================================================
+// 使い方（app ディレクトリで実行。VOICEVOX 互換の音声合成サーバーを起動しておく）:
+//   node tools/buildNarration.mjs                    文言が変わったページの音声だけ作り直す
+//   node tools/buildNarration.mjs --force            すべてのページの音声を作り直す
+//   node tools/buildNarration.mjs --list             読み上げる文言の一覧を表示（合成しない）
+//
+// オプション:
+//   --server <url>       音声合成サーバーのURL（既定: NARRATION_CONFIG.server.url）
+//   --speaker <id>       話者ID（既定: NARRATION_CONFIG.server.speaker）
+//   --out <dir>          出力先（既定: public/sounds/narration）
+//   --store <名前>       店舗・キャンペーンのあいさつ（branding.js の STORES の greeting）で最初のページを読み上げる
+//   --avatar <名前>      アバターの声（branding.js の AVATARS の voice）の話者ID・出力先（manifestUrl の場所）を使う
+//
+// flowDefinition.js の各ページの question を読み上げた <ページID>.wav と口形タイムライン
+// <ページID>.visemes.json、一覧の manifest.json を作り、narration.js から読み込みます。
+import { access, mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FLOW_DEFINITION } from '../public/flowDefinition.js';
+import { AVATARS, STORES, applyGreeting } from '../public/branding.js';
+import { NARRATION_CONFIG, VoicevoxClient, hashText, narrationText } from '../public/narration.js';
+
+const publicDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public');
+
+function parseArgs(argv) {
+    const options = {
+        server: null,
+        speaker: null,
+        out: null,
+        store: null,
+        avatar: null,
+        force: false,
+        list: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--server') options.server = argv[++i];
+        else if (arg === '--speaker') options.speaker = Number(argv[++i]);
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--store') options.store = argv[++i];
+        else if (arg === '--avatar') options.avatar = argv[++i];
+        else if (arg === '--force') options.force = true;
+        else if (arg === '--list') options.list = true;
+        else throw new Error(`不明なオプションです: ${arg}`);
+    }
+    if (options.store && !STORES[options.store]) throw new Error(`店舗の設定「${options.store}」は branding.js の STORES にありません`);
+    if (options.avatar && !AVATARS[options.avatar]) throw new Error(`アバター「${options.avatar}」は branding.js の AVATARS にありません`);
+
+    // 指定がなければアバターの声、それもなければ NARRATION_CONFIG の値を使う
+    const voice = AVATARS[options.avatar]?.voice || {};
+    options.server ??= voice.server?.url ?? NARRATION_CONFIG.server.url;
+    options.speaker ??= voice.server?.speaker ?? NARRATION_CONFIG.server.speaker;
+    options.out ??= path.join(publicDir, path.dirname(voice.manifestUrl ?? NARRATION_CONFIG.manifestUrl));
+    if (!Number.isInteger(options.speaker)) throw new Error('--speaker には話者IDの数値を指定してください');
+    return options;
+}
+
+// 吹き出しに表示される行（narration.js の balloonLines と同じ整え方）
+function pageTexts(definition) {
+    return Object.entries(definition.steps)
+        .map(([id, step]) => [id, narrationText((step.question || []).map(line => line.trim()).filter(Boolean))])
+        .filter(([, text]) => text);
+}
+
+async function exists(file) {
+    return access(file).then(() => true, () => false);
+}
+
+async function readManifest(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf-8'));
+    } catch {
+        return { pages: {} };
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const definition = options.store ? applyGreeting(structuredClone(FLOW_DEFINITION), STORES[options.store]) : FLOW_DEFINITION;
+    const texts = pageTexts(definition);
+
+    if (options.list) {
+        texts.forEach(([id, text]) => console.log(`${id}\t${hashText(text)}\t${text.replace(/\n/g, ' / ')}`));
+        return;
+    }
+
+    await mkdir(options.out, { recursive: true });
+    const manifestFile = path.join(options.out, 'manifest.json');
+    const previous = await readManifest(manifestFile);
+    const client = new VoicevoxClient({ url: options.server, speaker: options.speaker });
+    // 音声ファイルのパスは public からの相対パス（ブラウザから読み込むURL）
+    const urlDir = path.relative(publicDir, options.out).split(path.sep).join('/');
+
+    const manifest = { speaker: options.speaker, pages: {} };
+    let built = 0;
+    for (const [id, text] of texts) {
+        const entry = { text, hash: hashText(text), file: `${urlDir}/${id}.wav` };
+        const old = previous.pages?.[id];
+        const upToDate = !options.force
+            && previous.speaker === options.speaker
+            && old?.hash === entry.hash
+            && await exists(path.join(options.out, `${id}.wav`));
+
+        if (!upToDate) {
+            console.log(`- ${id} を合成中...`);
+            const { data, visemes } = await client.synthesize(text);
+            await writeFile(path.join(options.out, `${id}.wav`), Buffer.from(data));
+            await writeFile(path.join(options.out, `${id}.visemes.json`), `${JSON.stringify({ visemes })}\n`);
+            built++;
+        }
+        manifest.pages[id] = entry;
+    }
+
+    // 定義から消えたページの音声は削除する
+    for (const name of await readdir(options.out)) {
+        const match = /^(.+?)(?:\.visemes\.json|\.wav)$/.exec(name);
+        if (match && !manifest.pages[match[1]]) await rm(path.join(options.out, name));
+    }
+
+    await writeFile(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`${texts.length}ページ中 ${built}ページの音声を作成しました: ${path.relative(path.dirname(publicDir), options.out)}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+});
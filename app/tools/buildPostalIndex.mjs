@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// =================================================================================
+// 郵便番号インデックスの作成ツール
+// =================================================================================
+// 使い方（app ディレクトリで実行）:
+//   node tools/buildPostalIndex.mjs                              同梱のサンプルデータから作成
+//   node tools/buildPostalIndex.mjs --ken-all KEN_ALL.CSV --encoding shift_jis --chome 14000-xx.csv
+//
+// オプション:
+//   --ken-all <path>     日本郵便の郵便番号データ（KEN_ALL.CSV 形式）
+//   --encoding <name>    KEN_ALL の文字コード（KEN_ALL.CSV は shift_jis、utf_ken_all.csv は utf-8）
+//   --chome <path>       位置参照情報（大字・町丁目レベル）形式のCSV。複数指定可
+//   --chome-encoding <name>  丁目データの文字コード
+//   --out <dir>          出力先（既定: public/data/postal）
+//
+// 郵便番号の上3桁ごとに <出力先>/<上3桁>.json を作り、postalLookup.js から読み込みます。
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { applyChomeList, parseCsv, readChomeList, readKenAll, splitByPrefix } from './postalDataset.mjs';
+
+const appDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+    const options = {
+        kenAll: path.join(appDir, 'data/postal/ken_all_sample.csv'),
+        encoding: 'utf-8',
+        chome: [],
+        chomeEncoding: 'utf-8',
+        out: path.join(appDir, 'public/data/postal'),
+    };
+    let chomeGiven = false;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--ken-all') options.kenAll = path.resolve(argv[++i]);
+        else if (arg === '--encoding') options.encoding = argv[++i];
+        else if (arg === '--chome') {
+            options.chome.push(path.resolve(argv[++i]));
+            chomeGiven = true;
+        } else if (arg === '--chome-encoding') options.chomeEncoding = argv[++i];
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else throw new Error(`不明なオプションです: ${arg}`);
+    }
+    // KEN_ALL も丁目データも指定がなければ、同梱のサンプル同士を組み合わせる
+    if (!chomeGiven && !argv.includes('--ken-all')) options.chome.push(path.join(appDir, 'data/postal/chome_sample.csv'));
+    return options;
+}
+
+async function readCsvFile(file, encoding) {
+    const buffer = await readFile(file);
+    return parseCsv(new TextDecoder(encoding).decode(buffer));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const index = readKenAll(await readCsvFile(options.kenAll, options.encoding));
+    for (const file of options.chome) {
+        applyChomeList(index, readChomeList(await readCsvFile(file, options.chomeEncoding)));
+    }
+
+    // 前回の出力は入れ替える（削除された郵便番号が残らないように）
+    await mkdir(options.out, { recursive: true });
+    for (const name of await readdir(options.out)) {
+        if (/^\d{3}\.json$/.test(name)) await rm(path.join(options.out, name));
+    }
+
+    const files = splitByPrefix(index);
+    for (const [prefix, entries] of files) {
+        await writeFile(path.join(options.out, `${prefix}.json`), `${JSON.stringify(entries)}\n`);
+    }
+
+    const withChome = [...index.values()].flat().filter(a => a.chome.length).length;
+    console.log(`郵便番号 ${index.size}件（丁目あり ${withChome}件）を ${files.size} ファイルに出力しました: ${path.relative(appDir, options.out)}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+});
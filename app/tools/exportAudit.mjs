@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// =================================================================================
+// 監査ログの確認・書き出しツール
+// =================================================================================
+// 使い方（app ディレクトリで実行）:
+//   node tools/exportAudit.mjs application.json                  ハッシュの連鎖を確かめて結果を表示
+//   node tools/exportAudit.mjs application.json --format csv     確かめたうえで CSV を出力
+//   node tools/exportAudit.mjs applications.json --format json --out audit.json
+//   AUDIT_SEAL_SECRET=... node tools/exportAudit.mjs applications.json --seals audit_seals.json
+//
+// 入力は次のどれかの JSON ファイルです。
+//   ・お申込みのデータ（applications テーブルの payload。audit を含む）、またはその配列
+//   ・監査ログ（ブラウザのコンソールで audit.download() を実行して保存したもの）
+//
+// オプション:
+//   --format <json|csv>  記録を出力する（CSV は申込ごとに requestId の列を先頭に加える）
+//   --out <file>         出力先（既定: 標準出力）
+//   --seals <file>       受付APIの封印（audit_seals テーブルの行の配列を JSON にしたもの）と照合する。
+//                        鍵は環境変数 AUDIT_SEAL_SECRET（受付APIと同じ値）
+//
+// 連鎖は鍵なしで誰でも作り直せるため、書き換えがないことは --seals の照合で確かめます。
+// 連鎖・封印が一致しない監査ログがあれば終了コード 1 を返します。
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { auditToCsv, verifyAuditTrail } from '../public/auditTrail.js';
+
+function parseArgs(argv) {
+    const options = { input: null, format: null, out: null, seals: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--seals') options.seals = path.resolve(argv[++i]);
+        else if (!arg.startsWith('--') && !options.input) options.input = path.resolve(arg);
+        else throw new Error(`不明なオプションです: ${arg}`);
+    }
+    if (!options.input) throw new Error('確認する JSON ファイルを指定してください');
+    if (options.format && !['json', 'csv'].includes(options.format)) {
+        throw new Error(`--format は json か csv を指定してください: ${options.format}`);
+    }
+    if (options.seals && !process.env.AUDIT_SEAL_SECRET) throw new Error('--seals には環境変数 AUDIT_SEAL_SECRET が必要です');
+    return options;
+}
+
+// HMAC を計算する内容（api/AuditSeal.php の sign と合わせる）
+function sealText(row) {
+    return [row.request_id, row.session_id ?? '', row.entry_count, row.head, row.sealed_at].join('\n');
+}
+
+// 封印と照合する（問題がなければ null、あればメッセージ）
+function checkSeal(trail, seals, secret) {
+    const row = seals.get(trail.requestId);
+    if (!row) return '受付APIの封印がありません';
+    const expected = createHmac('sha256', secret).update(sealText(row)).digest();
+    const actual = Buffer.from(String(row.seal), 'hex');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return '封印の HMAC が一致しません（封印が書き換えられています）';
+    if (row.head !== trail.result.head || Number(row.entry_count) !== trail.audit.entries.length) {
+        return `封印した時点（${row.sealed_at}、${row.entry_count}件）の監査ログと一致しません`;
+    }
+    return null;
+}
+
+// 入力から { requestId, audit } の一覧を取り出す
+function collectTrails(data) {
+    return (Array.isArray(data) ? data : [data]).map((item, index) => {
+        if (Array.isArray(item?.entries)) return { requestId: null, audit: item };
+        if (Array.isArray(item?.audit?.entries)) return { requestId: item.requestId ?? null, audit: item.audit };
+        throw new Error(`${index + 1}件目に監査ログ（entries）がありません`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const trails = collectTrails(JSON.parse(await readFile(options.input, 'utf8')));
+    const seals = options.seals
+        ? new Map(JSON.parse(await readFile(options.seals, 'utf8')).map(row => [row.request_id, row]))
+        : null;
+
+    let failed = 0;
+    for (const trail of trails) {
+        trail.result = await verifyAuditTrail(trail.audit.entries);
+        if (trail.result.valid && trail.audit.head && trail.audit.head !== trail.result.head) {
+            trail.result = { ...trail.result, valid: false, message: '最後の記録が head と一致しません' };
+        }
+        if (trail.result.valid && seals) {
+            const message = checkSeal(trail, seals, process.env.AUDIT_SEAL_SECRET);
+            if (message) trail.result = { ...trail.result, valid: false, message };
+        }
+        const name = trail.requestId || trail.audit.sessionId || '(不明)';
+        const status = trail.result.valid ? 'OK' : `NG: ${trail.result.message}`;
+        console.error(`${name}: ${trail.result.count}件 ${status}`);
+        if (!trail.result.valid) failed++;
+    }
+
+    if (options.format) {
+        let body;
+        if (options.format === 'csv') {
+            // 申込ごとの CSV の見出しを1つにまとめ、各行の先頭に requestId を加える
+            const rows = trails.flatMap(trail => auditToCsv(trail.audit.entries).trimEnd().split('\r\n').slice(1)
+                .map(row => `${trail.requestId ?? ''},${row}`));
+            body = [`requestId,${auditToCsv([]).trim()}`, ...rows].join('\r\n') + '\r\n';
+        } else {
+            body = JSON.stringify(trails.map(({ requestId, audit, result }) => ({ requestId, valid: result.valid, ...audit })), null, 2) + '\n';
+        }
+        if (options.out) await writeFile(options.out, body);
+        else process.stdout.write(body);
+    }
+
+    if (failed) {
+        console.error(`\n連鎖${seals ? '・封印' : ''}が一致しない監査ログが ${failed}件あります`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
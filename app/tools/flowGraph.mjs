@@ -0,0 +1,307 @@
+// =================================================================================
+// 受付フローのグラフ解析
+// =================================================================================
+// flowDefinition.js の定義からページ遷移のグラフを組み立て、到達不能ページや行き先のない遷移などを検出します。
+// 遷移はフロー定義だけに書くため（index.html には data-next などの遷移の属性はない）、index.html は
+// ページの <section> と入力項目（hidden input・フィールド名）の検査にだけ使います。
+// Node から validateFlow.mjs 経由で使うことを想定しているため、外部ライブラリには依存しません。
+
+// -----------------------------------------------------------------------------
+// HTMLの簡易パース
+// -----------------------------------------------------------------------------
+const SECTION_PATTERN = /<section\b([^>]*)>([\s\S]*?)<\/section>/g;
+const TAG_PATTERN = /<(input|select|textarea|button|label)\b([^>]*)>/g;
+const ATTR_PATTERN = /([\w-]+)(?:\s*=\s*"([^"]*)")?/g;
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const [, name, value] of source.matchAll(ATTR_PATTERN)) {
+        attrs[name] = value ?? '';
+    }
+    return attrs;
+}
+
+function stripComments(html) {
+    return html.replace(/<!--[\s\S]*?-->/g, '');
+}
+
+/**
+ * index.html からページ（.page の section）ごとの入力項目と選択肢の値を抜き出す
+ * @param {string} html index.html の内容
+ * @returns {Map<string, object>} ページID → ページ情報
+ */
+export function parseFlowHtml(html) {
+    const pages = new Map();
+    for (const [, sectionAttrSource, body] of stripComments(html).matchAll(SECTION_PATTERN)) {
+        const sectionAttrs = parseAttributes(sectionAttrSource);
+        if (!sectionAttrs.id || !/\bpage\b/.test(sectionAttrs.class || '')) continue;
+
+        const page = {
+            id: sectionAttrs.id,
+            video: false,
+            fields: [],
+            choiceValues: [],
+        };
+
+        for (const [, tag, attrSource] of body.matchAll(TAG_PATTERN)) {
+            const attrs = parseAttributes(attrSource);
+            if ('data-video' in attrs) page.video = true;
+            if (/\bchoice-btn\b/.test(attrs.class || '') && 'data-value' in attrs) {
+                page.choiceValues.push(attrs['data-value']);
+            }
+            if (['input', 'select', 'textarea'].includes(tag) && attrs.name) {
+                page.fields.push({ name: attrs.name, tag, type: attrs.type || (tag === 'input' ? 'text' : tag) });
+            }
+        }
+        pages.set(page.id, page);
+    }
+    return pages;
+}
+
+// -----------------------------------------------------------------------------
+// グラフの組み立て
+// -----------------------------------------------------------------------------
+// ノード: { id, choiceGroup, video, when, next, forward: [{ kind, target }], back: [{ kind, target }] }
+// kind は 'next' / 'prev' / 'branch:回答値' / 'submitError'
+// next は表示条件（when）を満たさずに読み飛ばすときの行き先（FlowController と同じく既定の next）
+
+/**
+ * flowDefinition.js の定義からグラフを作る
+ * @param {object} definition フロー定義（FLOW_DEFINITION）
+ */
+export function graphFromDefinition(definition) {
+    const nodes = {};
+    for (const [id, step] of Object.entries(definition.steps)) {
+        const forward = Object.entries(step.branches || {}).map(([value, target]) => ({ kind: `branch:${value}`, target }));
+        if (step.next) forward.push({ kind: 'next', target: step.next });
+        if (step.submitError) forward.push({ kind: 'submitError', target: step.submitError });
+        nodes[id] = {
+            id,
+            choiceGroup: step.choiceGroup || null,
+            video: Boolean(step.video),
+            when: step.when || null,
+            next: step.next || null,
+            forward,
+            back: step.prev ? [{ kind: 'prev', target: step.prev }] : [],
+        };
+    }
+    return { start: definition.start, end: definition.end, nodes };
+}
+
+// -----------------------------------------------------------------------------
+// 検査
+// -----------------------------------------------------------------------------
+function isValidTarget(graph, target) {
+    return Boolean(target) && Boolean(graph.nodes[target]);
+}
+
+/**
+ * 開始ページから「次へ」と分岐だけでたどり着けないページを返す
+ */
+export function findUnreachable(graph) {
+    const reached = new Set();
+    const queue = [graph.start];
+    while (queue.length) {
+        const id = queue.shift();
+        if (reached.has(id) || !graph.nodes[id]) continue;
+        reached.add(id);
+        graph.nodes[id].forward.forEach(({ target }) => queue.push(target));
+    }
+    return Object.keys(graph.nodes).filter(id => !reached.has(id));
+}
+
+/**
+ * 空または存在しないページを指す遷移（行き先のない遷移）と、
+ * 完了ページ以外で先に進めないページを返す
+ */
+export function findDeadEnds(graph) {
+    const targets = [];
+    const pages = [];
+    for (const node of Object.values(graph.nodes)) {
+        for (const edge of [...node.forward, ...node.back]) {
+            if (!isValidTarget(graph, edge.target)) {
+                targets.push({ page: node.id, kind: edge.kind, target: edge.target });
+            }
+        }
+        const hasForward = node.forward.some(({ target }) => isValidTarget(graph, target));
+        if (node.id !== graph.end && !hasForward) pages.push(node.id);
+    }
+    return { targets, pages };
+}
+
+/**
+ * 選択グループごとに、同じページ内に hidden input があるかを調べる
+ * @returns {{ page: string, group: string }[]} hidden input が見つからない選択グループ
+ */
+export function findMissingHiddenInputs(graph, pages) {
+    const missing = [];
+    for (const node of Object.values(graph.nodes)) {
+        if (!node.choiceGroup) continue;
+        const fields = pages.get(node.id)?.fields || [];
+        const hasHidden = fields.some(f => f.type === 'hidden' && f.name === node.choiceGroup);
+        if (!hasHidden) missing.push({ page: node.id, group: node.choiceGroup });
+    }
+    return missing;
+}
+
+/**
+ * 複数のページで使われているフィールド名と、同じページ内で重複している hidden input を返す
+ * （同じページ内のラジオボタンが name を共有するのは正常なので対象外）
+ * @returns {{ name: string, pages: string[] }[]}
+ */
+export function findDuplicateFieldNames(pages) {
+    const usage = new Map();
+    for (const page of pages.values()) {
+        for (const field of page.fields) {
+            if (!usage.has(field.name)) usage.set(field.name, []);
+            usage.get(field.name).push({ page: page.id, type: field.type });
+        }
+    }
+    const duplicates = [];
+    for (const [name, uses] of usage) {
+        const pageIds = [...new Set(uses.map(u => u.page))];
+        const hiddenInSamePage = pageIds.some(id => uses.filter(u => u.page === id && u.type === 'hidden').length > 1);
+        if (pageIds.length > 1 || hiddenInSamePage) duplicates.push({ name, pages: pageIds });
+    }
+    return duplicates;
+}
+
+// -----------------------------------------------------------------------------
+// 表示条件（when）
+// -----------------------------------------------------------------------------
+// 経路でわかっている回答を 選択グループ → { values, except } で持ちます。
+//   values : 取りうる回答値（分岐で進んだ回答、または表示条件から決まった回答。わからなければ null）
+//   except : 取らないとわかっている回答値（表示条件を満たさずに読み飛ばした場合）
+
+// 条件の選択グループの回答が allowed に含まれるか（true / false、わからなければ null）
+function conditionHolds(known, group, allowed) {
+    const answer = known[group];
+    if (answer?.values) {
+        const values = answer.values.filter(v => !answer.except.includes(v));
+        if (values.every(v => allowed.includes(v))) return true;
+        if (!values.some(v => allowed.includes(v))) return false;
+        return null;
+    }
+    if (answer && allowed.every(v => answer.except.includes(v))) return false;
+    return null;
+}
+
+// 回答が allowed に含まれる（include = true）・含まれない（false）とした回答
+function assume(known, group, allowed, include) {
+    const answer = known[group] || { values: null, except: [] };
+    const next = include
+        ? { values: answer.values ? answer.values.filter(v => allowed.includes(v)) : [...allowed], except: answer.except }
+        : { values: answer.values, except: [...new Set([...answer.except, ...allowed])] };
+    return { ...known, [group]: next };
+}
+
+/**
+ * ページに入ったときの行き先を、表示条件で読み飛ばすページを除いて返す
+ * 回答がわからない条件は、満たす場合と満たさない場合の両方を返す
+ * @returns {{ page: string, known: object, skipped: string[], assumed: string[] }[]}
+ */
+export function resolveWhen(graph, target, known, skipped = [], assumed = []) {
+    const node = graph.nodes[target];
+    if (!node?.when || skipped.includes(target)) return [{ page: target, known, skipped, assumed }];
+
+    const conditions = Object.entries(node.when).map(([group, allowed]) => ({ group, allowed, holds: conditionHolds(known, group, allowed) }));
+    const unknown = conditions.filter(c => c.holds === null);
+    const results = [];
+    const skip = (nextKnown, reason) => {
+        if (!node.next) return;   // 読み飛ばした先がない（FlowController も進まない）
+        results.push(...resolveWhen(graph, node.next, nextKnown, [...skipped, target], [...assumed, reason]));
+    };
+
+    if (conditions.some(c => c.holds === false)) {
+        skip(known, null);
+        return results.map(r => ({ ...r, assumed: r.assumed.filter(Boolean) }));
+    }
+    // 満たす場合（わからない条件はすべて満たすとする）
+    results.push({
+        page: target,
+        known: unknown.reduce((k, c) => assume(k, c.group, c.allowed, true), known),
+        skipped,
+        assumed: [...assumed, ...unknown.map(c => `${c.group}=${c.allowed.join('|')}`)],
+    });
+    // 満たさない場合（わからない条件のどれかひとつを満たさないとする）
+    for (const c of unknown) skip(assume(known, c.group, c.allowed, false), `${c.group}≠${c.allowed.join('|')}`);
+    return results.map(r => ({ ...r, assumed: r.assumed.filter(Boolean) }));
+}
+
+/**
+ * 開始ページから完了ページまでの経路をすべて列挙する
+ * 経路の各要素は { page, via, skipped } で、via は分岐で進んだ回答（'グループ=回答値'）や
+ * 表示条件から決まった回答を ', ' でつないだもの、skipped は表示条件で読み飛ばしたページ
+ * @param {object} graph
+ * @param {number} [maxPaths] 列挙する経路数の上限
+ */
+export function enumeratePaths(graph, maxPaths = 1000) {
+    const paths = [];
+    let truncated = false;
+
+    const walk = (id, trail, visited, known) => {
+        if (paths.length >= maxPaths) {
+            truncated = true;
+            return;
+        }
+        if (id === graph.end) {
+            paths.push(trail);
+            return;
+        }
+        const node = graph.nodes[id];
+        const branches = node.forward.filter(edge => edge.kind.startsWith('branch:')).map(edge => edge.kind.slice(7));
+        for (const edge of node.forward) {
+            if (!isValidTarget(graph, edge.target)) continue;
+            const branch = edge.kind.startsWith('branch:') ? edge.kind.slice(7) : null;
+            let answered = known;
+            if (node.choiceGroup && branch !== null) {
+                answered = { ...known, [node.choiceGroup]: { values: [branch], except: [] } };
+            } else if (node.choiceGroup && edge.kind === 'next' && branches.length) {
+                // 既定の next に進むのは、分岐にない回答のとき
+                answered = assume(known, node.choiceGroup, branches, false);
+            }
+            for (const { page, known: nextKnown, skipped, assumed } of resolveWhen(graph, edge.target, answered)) {
+                if (!isValidTarget(graph, page) || visited.has(page)) continue;
+                const via = [branch !== null ? `${node.choiceGroup}=${branch}` : null, ...assumed].filter(Boolean).join(', ') || null;
+                visited.add(page);
+                walk(page, [...trail, { page, via, skipped }], visited, nextKnown);
+                visited.delete(page);
+            }
+        }
+    };
+
+    if (graph.nodes[graph.start]) walk(graph.start, [{ page: graph.start, via: null, skipped: [] }], new Set([graph.start]), {});
+    return { paths, truncated };
+}
+
+/**
+ * すべての検査をまとめて実行する
+ * @param {object} graph graphFromDefinition の結果
+ * @param {Map<string, object>} pages parseFlowHtml の結果（フィールドの検査に使用）
+ * @param {object} [options]
+ * @param {number} [options.maxPaths]
+ */
+export function analyzeFlow(graph, pages, { maxPaths } = {}) {
+    const deadEnds = findDeadEnds(graph);
+    const report = {
+        start: graph.start,
+        end: graph.end,
+        unreachable: findUnreachable(graph),
+        deadEndTargets: deadEnds.targets,
+        deadEndPages: deadEnds.pages,
+        missingHiddenInputs: findMissingHiddenInputs(graph, pages),
+        duplicateFieldNames: findDuplicateFieldNames(pages),
+        missingSections: Object.keys(graph.nodes).filter(id => !pages.has(id)),
+        undefinedSections: [...pages.keys()].filter(id => !graph.nodes[id]),
+        ...enumeratePaths(graph, maxPaths),
+    };
+    report.problemCount = report.unreachable.length
+        + report.deadEndTargets.length
+        + report.deadEndPages.length
+        + report.missingHiddenInputs.length
+        + report.duplicateFieldNames.length
+        + report.missingSections.length
+        + report.undefinedSections.length
+        + (report.paths.length ? 0 : 1);
+    return report;
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// =================================================================================
+// 従業員コード（暗証番号）のハッシュの作成ツール
+// =================================================================================
+// 使い方（app ディレクトリで実行）:
+//   node tools/hashStaffCode.mjs <従業員ID> <名前> <コード>
+//
+// data/staff/staff.json（または STAFF_LIST_FILE のファイル）に追加する1件を出力します。
+// コードはそのまま保存せず、PBKDF2-SHA256 のハッシュ（api/StaffDirectory.php が確かめる形式）にします。
+import { pbkdf2Sync, randomBytes } from 'node:crypto';
+
+const ITERATIONS = 100000;
+// 以前の画面（page27）に見本として表示していたコード。誰でも知っているため使えない
+const KNOWN_CODES = ['kongo'];
+
+const [staffId, name, code] = process.argv.slice(2);
+if (!staffId || !name || !code) {
+    console.error('使い方: node tools/hashStaffCode.mjs <従業員ID> <名前> <コード>');
+    process.exit(1);
+}
+if (!/^(?:[A-Za-z]{5}|\d{4,8})$/.test(code)) {
+    console.error('コードは半角英字5桁か、数字4〜8桁の暗証番号にしてください');
+    process.exit(1);
+}
+if (KNOWN_CODES.includes(code.toLowerCase())) {
+    console.error('以前の画面に見本として表示していたコードは使えません。別のコードにしてください');
+    process.exit(1);
+}
+
+const salt = randomBytes(16).toString('hex');
+const hash = pbkdf2Sync(code, Buffer.from(salt, 'hex'), ITERATIONS, 32, 'sha256').toString('hex');
+console.log(JSON.stringify({ staffId, name, codeHash: `pbkdf2-sha256$${ITERATIONS}$${salt}$${hash}` }, null, 4));
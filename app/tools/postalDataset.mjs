@@ -0,0 +1,243 @@
+// =================================================================================
+// 郵便番号データの変換
+// =================================================================================
+// 日本郵便の郵便番号データ（KEN_ALL.CSV 形式）を読み込み、郵便番号ごとの
+// 都道府県・市区町村・町域と丁目の一覧にまとめます。
+// 丁目の一覧は、国土交通省の位置参照情報（大字・町丁目レベル）形式のCSVがあればそこから、
+// なければ KEN_ALL の町域名の括弧書き（例: 大通西（１～１９丁目））から作ります。
+// buildPostalIndex.mjs から使うことを想定しているため、外部ライブラリには依存しません。
+
+// KEN_ALL.CSV の列（0始まり）
+const KEN_ALL_COLUMNS = {
+    zip: 2,
+    pref: 6,
+    city: 7,
+    town: 8,
+};
+
+// 町域名が空のときに KEN_ALL に入っている文言
+const NO_TOWN = '以下に掲載がない場合';
+
+// -----------------------------------------------------------------------------
+// CSVの簡易パース
+// -----------------------------------------------------------------------------
+/**
+ * CSVを行ごとの配列にする（ダブルクォート内のカンマ・改行に対応）
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(Boolean)) rows.push(row);
+    return rows;
+}
+
+// -----------------------------------------------------------------------------
+// 数字の変換
+// -----------------------------------------------------------------------------
+// 全角数字を半角にする
+export function toHalfWidthDigits(text) {
+    return text.replace(/[０-９]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0));
+}
+
+const KANJI_DIGITS = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+/**
+ * 漢数字（九十九まで）を数値にする。読めなければ null
+ * @param {string} text 例: "二十三"
+ */
+export function parseKanjiNumber(text) {
+    const match = /^([一二三四五六七八九])?(十)?([一二三四五六七八九])?$/.exec(text);
+    if (!text || !match) return null;
+    const [, tens, ten, ones] = match;
+    if (tens && !ten) return ones ? null : KANJI_DIGITS[tens];
+    return (ten ? (tens ? KANJI_DIGITS[tens] : 1) * 10 : 0) + (ones ? KANJI_DIGITS[ones] : 0);
+}
+
+// -----------------------------------------------------------------------------
+// 町域名の整理
+// -----------------------------------------------------------------------------
+/**
+ * 括弧書きから丁目の一覧を読み取る
+ * 例: "１～１９丁目" → [1..19] / "１、３丁目" → [1, 3] / "１～３丁目、５丁目" → [1, 2, 3, 5]
+ * @param {string} note 括弧の中身
+ * @returns {number[]|null} 丁目の指定でなければ null
+ */
+export function parseChomeNote(note) {
+    const text = toHalfWidthDigits(note);
+    if (!text.endsWith('丁目')) return null;
+    const list = text.replace(/丁目/g, '');
+    if (!/^[\d～、]+$/.test(list)) return null;
+    const chome = [];
+    for (const part of list.split('、')) {
+        const [from, to = from] = part.split('～').map(Number);
+        if (!Number.isInteger(from) || !Number.isInteger(to) || to < from) return null;
+        for (let n = from; n <= to; n++) chome.push(n);
+    }
+    return chome;
+}
+
+/**
+ * KEN_ALL の町域名から表示用の町名と丁目の一覧を取り出す
+ * 例: "大通西（１～１９丁目）" → { town: "大通西", chome: [1..19] }
+ *     "丸の内（次のビルを除く）" → { town: "丸の内", chome: [] }
+ *     "丸の内ＪＰタワー（１階）" → { town: "丸の内ＪＰタワー１階", chome: [] }
+ * @param {string} rawTown
+ */
+export function normalizeTown(rawTown) {
+    if (rawTown === NO_TOWN) return { town: '', chome: [] };
+
+    const match = /^(.*?)（(.*)）$/.exec(rawTown);
+    if (!match) return { town: rawTown, chome: [] };
+
+    const [, town, note] = match;
+    const chome = parseChomeNote(note);
+    if (chome) return { town, chome };
+    // 高層ビルの階ごとの郵便番号は階数まで町名に含める
+    if (/^[０-９\d]+階$/.test(note)) return { town: `${town}${note}`, chome: [] };
+    return { town, chome: [] };
+}
+
+// -----------------------------------------------------------------------------
+// 読み込み
+// -----------------------------------------------------------------------------
+/**
+ * KEN_ALL.CSV 形式の行を郵便番号ごとの住所にまとめる
+ * 町域名が長く複数行に分かれている場合（括弧が閉じていない行）は連結します。
+ * @param {string[][]} rows parseCsv の結果
+ * @returns {Map<string, { pref: string, city: string, town: string, chome: number[] }[]>}
+ */
+export function readKenAll(rows) {
+    const index = new Map();
+    let pending = null;
+
+    for (const row of rows) {
+        const zip = row[KEN_ALL_COLUMNS.zip]?.trim();
+        if (!/^\d{7}$/.test(zip || '')) continue;
+
+        const entry = {
+            zip,
+            pref: row[KEN_ALL_COLUMNS.pref],
+            city: row[KEN_ALL_COLUMNS.city],
+            town: row[KEN_ALL_COLUMNS.town],
+        };
+        if (pending && pending.zip === zip) {
+            pending.town += entry.town;
+        } else {
+            pending = entry;
+        }
+        // 括弧が閉じるまでは次の行に続く
+        if (pending.town.includes('（') && !pending.town.includes('）')) continue;
+
+        addAddress(index, pending);
+        pending = null;
+    }
+    if (pending) addAddress(index, pending);
+    return index;
+}
+
+function addAddress(index, { zip, pref, city, town: rawTown }) {
+    const { town, chome } = normalizeTown(rawTown);
+    if (!index.has(zip)) index.set(zip, []);
+    const addresses = index.get(zip);
+    const same = addresses.find(a => a.pref === pref && a.city === city && a.town === town);
+    if (same) {
+        same.chome = [...new Set([...same.chome, ...chome])].sort((a, b) => a - b);
+    } else {
+        addresses.push({ pref, city, town, chome });
+    }
+}
+
+/**
+ * 位置参照情報（大字・町丁目レベル）形式のCSVから町ごとの丁目の一覧を作る
+ * 見出し行の「都道府県名」「市区町村名」「大字町丁目名」の列を使います。
+ * @param {string[][]} rows parseCsv の結果
+ * @returns {Map<string, number[]>} "都道府県名|市区町村名|町名" → 丁目の一覧
+ */
+export function readChomeList(rows) {
+    const [header = [], ...body] = rows;
+    const column = (name) => header.findIndex(h => h.trim() === name);
+    const [prefCol, cityCol, nameCol] = ['都道府県名', '市区町村名', '大字町丁目名'].map(column);
+    if ([prefCol, cityCol, nameCol].includes(-1)) {
+        throw new Error('丁目データの見出しに 都道府県名・市区町村名・大字町丁目名 の列がありません');
+    }
+
+    const chomeByTown = new Map();
+    for (const row of body) {
+        const match = /^(.+?)([一二三四五六七八九十]+)丁目$/.exec(row[nameCol] || '');
+        const number = match && parseKanjiNumber(match[2]);
+        if (!number) continue;
+        const key = chomeKey(row[prefCol], row[cityCol], match[1]);
+        if (!chomeByTown.has(key)) chomeByTown.set(key, new Set());
+        chomeByTown.get(key).add(number);
+    }
+    return new Map([...chomeByTown].map(([key, set]) => [key, [...set].sort((a, b) => a - b)]));
+}
+
+export function chomeKey(pref, city, town) {
+    return `${pref}|${city}|${town}`;
+}
+
+/**
+ * KEN_ALL の住所に丁目データを反映する
+ * 町域名の括弧書きで郵便番号ごとに丁目が分かれている町（大通西など）は、括弧書きの範囲を優先します。
+ * @param {Map<string, object[]>} index readKenAll の結果
+ * @param {Map<string, number[]>} chomeByTown readChomeList の結果
+ */
+export function applyChomeList(index, chomeByTown) {
+    for (const addresses of index.values()) {
+        for (const address of addresses) {
+            const chome = chomeByTown.get(chomeKey(address.pref, address.city, address.town));
+            if (chome && !address.chome.length) address.chome = chome;
+        }
+    }
+    return index;
+}
+
+// -----------------------------------------------------------------------------
+// 出力
+// -----------------------------------------------------------------------------
+/**
+ * 郵便番号の上3桁ごとのファイルに分ける（画面は入力された郵便番号の分だけ読み込む）
+ * @param {Map<string, object[]>} index
+ * @returns {Map<string, Object<string, object[]>>} "220" → { "2200012": [...] }
+ */
+export function splitByPrefix(index) {
+    const files = new Map();
+    for (const zip of [...index.keys()].sort()) {
+        const prefix = zip.slice(0, 3);
+        if (!files.has(prefix)) files.set(prefix, {});
+        files.get(prefix)[zip] = index.get(zip);
+    }
+    return files;
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// =================================================================================
+// 受付フローの検証ツール
+// =================================================================================
+// 使い方（app ディレクトリで実行）:
+//   node tools/validateFlow.mjs                  flowDefinition.js の定義を検証（index.html のページ・入力項目と照合）
+//   node tools/validateFlow.mjs --json           結果をJSONで出力
+//   node tools/validateFlow.mjs --paths          page1 から完了までの全経路を表示（表示条件 when で読み飛ばすページを含む）
+//   --html <file> / --definition <file>          検証する index.html・flowDefinition.js を変える
+//
+// 遷移はフロー定義だけに書くため、index.html の属性からは検証しません。
+// 問題が見つかった場合は終了コード 1 を返します。
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { analyzeFlow, graphFromDefinition, parseFlowHtml } from './flowGraph.mjs';
+
+const publicDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public');
+
+function parseArgs(argv) {
+    const options = {
+        html: path.join(publicDir, 'index.html'),
+        definition: path.join(publicDir, 'flowDefinition.js'),
+        json: false,
+        paths: false,
+        maxPaths: 1000,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') options.json = true;
+        else if (arg === '--paths') options.paths = true;
+        else if (arg === '--html') options.html = path.resolve(argv[++i]);
+        else if (arg === '--definition') options.definition = path.resolve(argv[++i]);
+        else if (arg === '--max-paths') options.maxPaths = Number(argv[++i]);
+        else throw new Error(`不明なオプションです: ${arg}`);
+    }
+    return options;
+}
+
+function formatPath(trail) {
+    return trail.map(({ page, via, skipped }) => {
+        const notes = [via, skipped.length ? `${skipped.join('・')} を読み飛ばし` : null].filter(Boolean);
+        return notes.length ? `${page}(${notes.join(', ')})` : page;
+    }).join(' → ');
+}
+
+function printReport(report, { paths }) {
+    const lines = [`フロー検証（flowDefinition.js）: ${report.start} → ${report.end}`];
+    const section = (title, items, format) => {
+        if (!items.length) return;
+        lines.push('', `■ ${title}（${items.length}件）`);
+        items.forEach(item => lines.push(`  - ${format(item)}`));
+    };
+
+    section('到達できないページ', report.unreachable, id => id);
+    section('行き先のない遷移', report.deadEndTargets,
+        ({ page, kind, target }) => `${page} の ${kind} → ${target ? `"${target}"（存在しないページ）` : '（空）'}`);
+    section('先に進めないページ', report.deadEndPages, id => id);
+    section('hidden input がない選択グループ', report.missingHiddenInputs,
+        ({ page, group }) => `${page}: input[type="hidden"][name="${group}"]`);
+    section('重複しているフィールド名', report.duplicateFieldNames,
+        ({ name, pages }) => `${name}（${pages.join(', ')}）`);
+    section('HTMLに <section> がないページ', report.missingSections, id => id);
+    section('フロー定義にないページ', report.undefinedSections, id => id);
+
+    lines.push('', `■ ${report.start} から ${report.end} までの経路: ${report.paths.length}通り${report.truncated ? '（上限で打ち切り）' : ''}`);
+    if (!report.paths.length) lines.push(`  - ${report.end} にたどり着く経路がありません`);
+    if (paths) report.paths.forEach((trail, i) => lines.push(`  ${i + 1}. ${formatPath(trail)}`));
+
+    lines.push('', report.problemCount ? `問題が ${report.problemCount} 件見つかりました。` : '問題は見つかりませんでした。');
+    console.log(lines.join('\n'));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const pages = parseFlowHtml(await readFile(options.html, 'utf8'));
+
+    const { FLOW_DEFINITION } = await import(pathToFileURL(options.definition).href);
+    const graph = graphFromDefinition(FLOW_DEFINITION);
+
+    const report = analyzeFlow(graph, pages, { maxPaths: options.maxPaths });
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, options);
+    }
+    process.exitCode = report.problemCount ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+});